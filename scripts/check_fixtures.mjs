@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// scripts/check_fixtures.mjs
+// Runs the scraper in fixture mode over scripts/fixtures/*.html and compares what it writes with
+// scripts/fixtures/expected.json, so selector or parser changes that alter the output are caught before a live run.
+//
+//   npm run check:scraper        (needs the Playwright browser: npx playwright install chromium)
+//
+// Compared per record: index, authors, title, journal, year, month, date_text, doi, link (the raw `tail` is not,
+// since it carries page chrome such as "View Item"). After an intended change, review the diff and update expected.json.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(here, "fixtures");
+const FIELDS = ["index", "authors", "title", "journal", "year", "month", "date_text", "doi", "link"];
+
+const pick = (r) => Object.fromEntries(FIELDS.map(k => [k, r[k] ?? null]));
+
+async function main() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "facpub-fixtures-"));
+  const out = path.join(dir, "faculty_pubs.json");
+  try {
+    execFileSync(process.execPath, [path.join(here, "scrape_faculty_pubs.mjs"), "--fixtures", FIXTURES, "--out", out], { stdio: "inherit" });
+    const got = JSON.parse(await fs.readFile(out, "utf8")).map(pick);
+    const want = JSON.parse(await fs.readFile(path.join(FIXTURES, "expected.json"), "utf8")).map(pick);
+
+    const problems = [];
+    if (got.length !== want.length) problems.push(`expected ${want.length} records, got ${got.length}`);
+    want.forEach((w, i) => {
+      const g = got[i] || {};
+      for (const k of FIELDS) {
+        if (JSON.stringify(g[k] ?? null) !== JSON.stringify(w[k])) problems.push(`record ${i + 1} ${k}: expected ${JSON.stringify(w[k])}, got ${JSON.stringify(g[k] ?? null)}`);
+      }
+    });
+    if (problems.length) {
+      for (const p of problems) console.error(`[check] ${p}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`[check] fixtures OK: ${got.length} records match expected.json`);
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((e) => { console.error("[check] Failed:", e.message); process.exitCode = 1; });
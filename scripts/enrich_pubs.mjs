@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// scripts/enrich_pubs.mjs
+// Looks up every DOI in public/data/faculty_pubs.json on Crossref and stores the result on the record as a
+// `crossref` block (corrected title / venue / date plus volume, issue, pages, ISSN, type, abstract, subjects,
+// funders, licenses, issued / print / online dates and the cited-by count), so the dashboard no longer fetches
+// titles from the browser.
+//
+//   node scripts/enrich_pubs.mjs [--in public/data/faculty_pubs.json] [--out <file>] [--mailto you@mun.ca]
+//
+// API:      --api <base URL> (default https://api.crossref.org; point it at a local stand-in to test offline)
+//           --mailto <address> (or FACPUB_MAILTO) joins Crossref's (and OpenAlex's) polite pool
+// Citations: Crossref's is-referenced-by-count is always kept; --citations openalex also looks every DOI up on
+//           OpenAlex (--openalex-api, --openalex-cache scripts/cache/openalex.json) and the dashboard uses that count
+// Open access: --oa looks every DOI up on Unpaywall (needs --mailto; --unpaywall-api, --unpaywall-cache
+//           scripts/cache/unpaywall.json) for its OA status and best free full-text URL
+// Pace:     --rps 5 --concurrency 2 --retries 4; the server's X-Rate-Limit headers lower the pace further
+// Cache:    --cache scripts/cache/crossref.json keeps every response (404s too); entries older than
+//           --max-age <days> (default 90) are fetched again, --refresh refetches everything
+// Other:    --max <n> looks up at most n DOIs this run, --dry-run reports without writing the data file
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { recordDoi } from "./lib/merge.mjs";
+import { createHttpClient, createRateLimiter } from "./lib/http.mjs";
+import { loadCache, staleDois } from "./lib/lookups.mjs";
+import { CROSSREF_API, fetchWorks, enrichRecord } from "./lib/crossref.mjs";
+import { OPENALEX_API, fetchCitationCounts, citationRecord } from "./lib/openalex.mjs";
+import { UNPAYWALL_API, fetchOaStatus, oaRecord } from "./lib/unpaywall.mjs";
+
+/* ------------------------------ CLI ------------------------------ */
+const FLAGS = ["refresh", "dry-run", "oa"];
+const NUMBERS = ["rps", "concurrency", "retries", "max-age", "max"];
+
+function parseArgs(argv) {
+  const opts = {
+    in: "public/data/faculty_pubs.json", out: "", cache: "scripts/cache/crossref.json",
+    api: CROSSREF_API, mailto: process.env.FACPUB_MAILTO || "",
+    citations: "crossref", "openalex-api": OPENALEX_API, "openalex-cache": "scripts/cache/openalex.json",
+    oa: false, "unpaywall-api": UNPAYWALL_API, "unpaywall-cache": "scripts/cache/unpaywall.json",
+    rps: 5, concurrency: 2, retries: 4, "max-age": 90, max: Infinity,
+    refresh: false, "dry-run": false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--") && FLAGS.includes(a.slice(2))) { opts[a.slice(2)] = true; continue; }
+    const m = a.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m || !(m[1] in opts)) throw new Error(`Unknown argument: ${a}`);
+    opts[m[1]] = m[2] ?? argv[++i] ?? "";
+  }
+  for (const k of NUMBERS) {
+    opts[k] = Number(opts[k]);
+    if (!(opts[k] > 0)) throw new Error(`--${k} must be a positive number`);
+  }
+  if (!["crossref", "openalex"].includes(opts.citations)) throw new Error(`--citations must be crossref or openalex, not ${opts.citations}`);
+  if (opts.oa && !opts.mailto) throw new Error("--oa needs --mailto (or FACPUB_MAILTO): Unpaywall requires an email address");
+  opts.out ||= opts.in;
+  return opts;
+}
+
+async function readJsonArray(file) {
+  const json = JSON.parse(await fs.readFile(file, "utf8"));
+  if (!Array.isArray(json)) throw new Error(`${file} is not a JSON array of publications`);
+  return json;
+}
+
+const writeJson = (file, data) => fs.writeFile(file, JSON.stringify(data, null, 2) + "\n", "utf8");
+
+/* ------------------------------ Main ------------------------------ */
+// One source: refresh its cache for the stale DOIs, then return the cache and the failures
+async function lookUp(name, dois, { cacheFile, api, fetch, client, opts }) {
+  const cache = await loadCache(cacheFile);
+  const todo = staleDois(dois, cache, { maxAgeDays: opts["max-age"], refresh: opts.refresh }).slice(0, opts.max);
+  console.log(`[enrich] ${name}: ${Object.keys(cache.works).length} cached${todo.length ? `, looking up ${todo.length} DOIs at ${api} (${opts.rps}/s)` : ""}`);
+  const limiter = createRateLimiter({ perSecond: opts.rps, concurrency: opts.concurrency });
+  const { fetched, failed } = await fetch(todo, {
+    client, limiter, cache, cacheFile, api, mailto: opts.mailto,
+    retry: { retries: opts.retries }, log: (msg) => console.log(`[enrich] ${name}: ${msg}`),
+  });
+  for (const f of failed) console.warn(`[enrich] ${name}: ${f.doi}: ${f.reason}`);
+  console.log(`[enrich] ${name}: fetched ${fetched}, failed ${failed.length}`);
+  return { cache, failed };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const records = await readJsonArray(opts.in);
+  const dois = [...new Set(records.filter(r => !r.removed_at).map(recordDoi).filter(Boolean))];
+  console.log(`[enrich] ${records.length} records, ${dois.length} distinct DOIs`);
+
+  const client = createHttpClient({
+    userAgent: `facpub-enrich/1.0${opts.mailto ? ` (mailto:${opts.mailto})` : ""}`,
+  });
+  const crossref = await lookUp("crossref", dois, { cacheFile: opts.cache, api: opts.api, fetch: fetchWorks, client, opts });
+  const openalex = opts.citations === "openalex"
+    ? await lookUp("openalex", dois, { cacheFile: opts["openalex-cache"], api: opts["openalex-api"], fetch: fetchCitationCounts, client, opts })
+    : null;
+  const unpaywall = opts.oa
+    ? await lookUp("unpaywall", dois, { cacheFile: opts["unpaywall-cache"], api: opts["unpaywall-api"], fetch: fetchOaStatus, client, opts })
+    : null;
+
+  let ok = 0, notFound = 0, corrected = 0, cited = 0;
+  const oaCounts = {};
+  const out = records.map(rec => {
+    const doi = recordDoi(rec);
+    if (!doi || rec.removed_at) return rec;
+    let next = enrichRecord(rec, doi, crossref.cache.works[doi]);
+    if (openalex) next = citationRecord(next, doi, openalex.cache.works[doi]);
+    if (unpaywall) next = oaRecord(next, doi, unpaywall.cache.works[doi]);
+    if (next.crossref?.status === "ok") ok++;
+    if (next.crossref?.status === "not-found") notFound++;
+    if (Object.keys(next.crossref?.corrected || {}).length) corrected++;
+    if (Number.isFinite(openalex ? next.openalex?.cited_by_count : next.crossref?.referenced_by_count)) cited++;
+    if (next.unpaywall?.oa_status) oaCounts[next.unpaywall.oa_status] = (oaCounts[next.unpaywall.oa_status] || 0) + 1;
+    return next;
+  });
+  console.log(`[enrich] ${ok} records matched, ${notFound} DOIs unknown to Crossref, ${corrected} with corrections, ${cited} with a citation count (${opts.citations})`);
+  if (unpaywall) console.log(`[enrich] open access: ${Object.entries(oaCounts).map(([k, n]) => `${n} ${k}`).join(", ") || "no statuses"}`);
+
+  if (opts["dry-run"]) return;
+  await fs.mkdir(path.dirname(path.resolve(opts.out)), { recursive: true });
+  await writeJson(opts.out, out);
+  console.log(`[enrich] wrote ${out.length} publications to ${opts.out}`);
+  if ([crossref, openalex, unpaywall].some(s => s?.failed.length)) process.exitCode = 2;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  main().catch((e) => { console.error("[enrich] Failed:", e.message); process.exitCode = 1; });
+}
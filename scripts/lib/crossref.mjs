@@ -0,0 +1,116 @@
+// scripts/lib/crossref.mjs
+// Crossref side of scripts/enrich_pubs.mjs: DOI lookups through the pluggable client in http.mjs and the shared
+// cache in lookups.mjs, and the mapping of a Crossref work onto the `crossref` block stored on each dataset record.
+// Scraped fields are never overwritten (merge.mjs owns them); the block lists the ones the dashboard should
+// replace under `corrected`, with the scraped value kept as provenance.
+
+import { lookupDois } from "./lookups.mjs";
+
+/* ------------------------------ Constants ------------------------------ */
+export const CROSSREF_API = "https://api.crossref.org";
+// bulky parts of a work the dataset never uses
+const DROP_KEYS = ["reference", "indexed", "content-domain", "assertion"];
+
+const squash = (s = "") => String(s ?? "").replace(/\s+/g, " ").trim();
+const firstOf = (v) => squash(Array.isArray(v) ? v[0] : v);
+const normTitle = (s = "") => squash(s).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// Same test as the dashboard's looksLikeAuthorList: "Smith J, Doe AB, Lee K" scraped into the title/journal slot
+export function looksLikeAuthorList(s = "") {
+  const parts = squash(s).split(/\s*,\s*/).filter(Boolean);
+  if (parts.length < 2) return false;
+  const signal = parts.filter(p => /^[A-Z][a-zA-Z'\u2019\-]+(?:\s+[A-Z]{1,3}\.?)?$/.test(p)).length;
+  return signal >= Math.max(2, Math.floor(parts.length * 0.6));
+}
+
+/* ------------------------------ Lookups ------------------------------ */
+const worksUrl = (api, mailto) => (doi) =>
+  `${api.replace(/\/+$/, "")}/works/${encodeURIComponent(doi)}${mailto ? `?mailto=${encodeURIComponent(mailto)}` : ""}`;
+
+// Crossref /works/<doi> for each DOI into the cache (see lookups.mjs); a 200 keeps the message minus DROP_KEYS
+export function fetchWorks(dois, { api = CROSSREF_API, mailto = "", ...opts } = {}) {
+  return lookupDois(dois, {
+    ...opts,
+    urlOf: worksUrl(api, mailto),
+    keep: (body) => {
+      const message = { ...(body.message || {}) };
+      for (const k of DROP_KEYS) delete message[k];
+      return { message };
+    },
+  });
+}
+
+/* ------------------------------ Work -> crossref block ------------------------------ */
+function dateOf(msg) {
+  for (const k of ["published-print", "issued", "published-online", "published"]) {
+    const dp = msg[k]?.["date-parts"]?.[0];
+    if (dp?.[0]) return { year: Number(dp[0]), month: dp[1] ? Number(dp[1]) : null };
+  }
+  return { year: null, month: null };
+}
+
+// date-parts -> "2020-05-14" / "2020-05" / "2020"
+function dateText(d) {
+  const dp = d?.["date-parts"]?.[0];
+  if (!dp?.[0]) return null;
+  return dp.slice(0, 3).map((n, i) => (i ? String(n).padStart(2, "0") : String(n))).join("-");
+}
+
+export function workFields(msg = {}) {
+  const { year, month } = dateOf(msg);
+  const page = squash(msg.page);
+  return {
+    title: firstOf(msg.title).replace(/<[^>]+>/g, ""),
+    venue: firstOf(msg["container-title"]) || firstOf(msg["short-container-title"]),
+    year, month,
+    volume: squash(msg.volume) || null,
+    issue: squash(msg.issue) || null,
+    pages: page || null,
+    article_number: squash(msg["article-number"]) || null,
+    issn: Array.isArray(msg.ISSN) ? [...new Set(msg.ISSN)] : [],
+    type: squash(msg.type) || null,
+    publisher: squash(msg.publisher) || null,
+    // kept as JATS; the dashboard renders it as text (src/crossrefMeta.js)
+    abstract: squash(msg.abstract) || null,
+    subjects: Array.isArray(msg.subject) ? msg.subject.map(squash).filter(Boolean) : [],
+    funders: (Array.isArray(msg.funder) ? msg.funder : []).map(f => ({
+      name: squash(f?.name), doi: squash(f?.DOI) || null, awards: Array.isArray(f?.award) ? f.award.map(squash).filter(Boolean) : [],
+    })).filter(f => f.name),
+    licenses: (Array.isArray(msg.license) ? msg.license : []).map(l => ({
+      url: squash(l?.URL), content_version: squash(l?.["content-version"]) || null, start: dateText(l?.start),
+    })).filter(l => l.url),
+    issued: dateText(msg.issued),
+    published_print: dateText(msg["published-print"]),
+    published_online: dateText(msg["published-online"]),
+    referenced_by_count: Number.isFinite(msg["is-referenced-by-count"]) ? msg["is-referenced-by-count"] : null,
+  };
+}
+
+// Which scraped values the Crossref ones should replace; returns { field: scrapedValue }
+export function correctionsFor(rec, f) {
+  const out = {};
+  const title = squash(rec.title);
+  if (f.title) {
+    const truncated = title && normTitle(f.title).startsWith(normTitle(title)) && normTitle(f.title).length - normTitle(title).length >= 8;
+    if (!title || looksLikeAuthorList(title) || /(\.\.\.|\u2026)$/.test(title) || truncated) out.title = rec.title ?? "";
+  }
+  const journal = squash(rec.journal);
+  if (f.venue && (!journal || looksLikeAuthorList(journal))) out.venue = rec.journal ?? "";
+  if (f.year && !rec.year) out.year = rec.year ?? null;
+  if (f.month && !rec.month && (!rec.year || rec.year === f.year)) out.month = rec.month ?? null;
+  return out;
+}
+
+/**
+ * Returns the record with its `crossref` block set from the cache entry (or unchanged when the DOI was never looked up):
+ * { doi, status: "ok" | "not-found", retrieved_at, source, title, venue, year, month, volume, …, abstract, subjects,
+ *   funders, licenses, issued, published_print, published_online, referenced_by_count, corrected: { field: scrapedValue } }
+ */
+export function enrichRecord(rec, doi, entry) {
+  if (!entry) return rec;
+  // entries cached before the URL was kept name the public API
+  const base = { doi, retrieved_at: entry.retrieved_at, source: entry.source || `${CROSSREF_API}/works/${doi}` };
+  if (entry.status !== 200) return { ...rec, crossref: { ...base, status: "not-found" } };
+  const fields = workFields(entry.message);
+  return { ...rec, crossref: { ...base, status: "ok", ...fields, corrected: correctionsFor(rec, fields) } };
+}
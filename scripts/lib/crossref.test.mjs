@@ -0,0 +1,86 @@
+// scripts/lib/crossref.test.mjs
+// Run: npm test   (node --test) — Crossref lookups against a local stand-in server and the `crossref` block they produce.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHttpClient, createRateLimiter } from "./http.mjs";
+import { fetchWorks, enrichRecord, correctionsFor, workFields } from "./crossref.mjs";
+import { startStandIn } from "./standIn.mjs";
+
+// trimmed /works/<doi> answer in Crossref's shape
+const WORK = {
+  status: "ok",
+  "message-type": "work",
+  message: {
+    DOI: "10.9778/cmajo.20190123",
+    title: ["Prevalence of diabetes among adults in Newfoundland and Labrador: a population-based study"],
+    "container-title": ["CMAJ Open"],
+    "short-container-title": ["CMAJ Open"],
+    publisher: "Joule Inc.",
+    type: "journal-article",
+    volume: "8", issue: "2", page: "E301-E308",
+    ISSN: ["2291-0026", "2291-0026"],
+    subject: ["General Medicine"],
+    abstract: "<jats:sec><jats:title>Background:</jats:title><jats:p>Diabetes is common.</jats:p></jats:sec>",
+    funder: [{ name: "Canadian Institutes of Health Research", DOI: "10.13039/501100000024", award: ["PJT-153065"] }],
+    license: [
+      { URL: "http://www.elsevier.com/tdm/userlicense/1.0/", "content-version": "tdm", start: { "date-parts": [[2020, 4, 1]] } },
+      { URL: "https://creativecommons.org/licenses/by-nc-nd/4.0/", "content-version": "vor", start: { "date-parts": [[2020, 4, 1]] } },
+    ],
+    issued: { "date-parts": [[2020, 4]] },
+    "published-print": { "date-parts": [[2020, 4, 1]] },
+    "published-online": { "date-parts": [[2020, 3, 27]] },
+    "is-referenced-by-count": 12,
+    reference: [{ key: "ref1" }],
+    indexed: { "date-time": "2024-01-01T00:00:00Z" },
+  },
+};
+
+test("fetchWorks against a stand-in fills the crossref block; a 404 gives not-found", async () => {
+  const api = await startStandIn((path) => (path.startsWith("/works/10.9778%2Fcmajo.20190123") ? { status: 200, body: WORK } : { status: 404, body: null }));
+  try {
+    const sleep = async () => {};
+    const cache = { works: {} };
+    const { fetched, failed } = await fetchWorks(["10.9778/cmajo.20190123", "10.1/missing"], {
+      api: api.url, mailto: "me@example.org", cache,
+      client: createHttpClient(), limiter: createRateLimiter({ perSecond: 1000, sleep }), retry: { sleep },
+    });
+    assert.equal(fetched, 2);
+    assert.deepEqual(failed, []);
+    assert.ok(api.requests.every(p => p.endsWith("?mailto=me%40example.org")));
+    assert.equal(cache.works["10.9778/cmajo.20190123"].message.reference, undefined); // DROP_KEYS
+
+    const rec = { title: "Prevalence of diabetes among adults in Newfoundland and Labrador", journal: "Knight JC, Wang PP, Lee K", year: 2020 };
+    const { crossref } = enrichRecord(rec, "10.9778/cmajo.20190123", cache.works["10.9778/cmajo.20190123"]);
+    assert.equal(crossref.status, "ok");
+    assert.equal(crossref.source, `${api.url}/works/10.9778%2Fcmajo.20190123`);
+    assert.equal(crossref.type, "journal-article");
+    assert.match(crossref.abstract, /<jats:p>Diabetes is common\.<\/jats:p>/);
+    assert.deepEqual(crossref.funders, [{ name: "Canadian Institutes of Health Research", doi: "10.13039/501100000024", awards: ["PJT-153065"] }]);
+    assert.deepEqual(crossref.licenses.map(l => [l.content_version, l.start]), [["tdm", "2020-04-01"], ["vor", "2020-04-01"]]);
+    assert.deepEqual([crossref.issued, crossref.published_print, crossref.published_online], ["2020-04", "2020-04-01", "2020-03-27"]);
+    assert.deepEqual([crossref.year, crossref.month, crossref.pages, crossref.referenced_by_count], [2020, 4, "E301-E308", 12]);
+    assert.deepEqual(crossref.issn, ["2291-0026"]);
+    // truncated title, an author list in the journal slot and the missing month are corrected; the year was already right
+    assert.deepEqual(crossref.corrected, { title: rec.title, venue: rec.journal, month: null });
+
+    const missing = enrichRecord({ title: "x" }, "10.1/missing", cache.works["10.1/missing"]).crossref;
+    assert.equal(missing.status, "not-found");
+    assert.equal(missing.source, `${api.url}/works/10.1%2Fmissing`);
+    assert.equal(missing.title, undefined);
+  } finally {
+    await api.close();
+  }
+});
+
+test("a DOI that was never looked up leaves the record alone", () => {
+  const rec = { title: "x" };
+  assert.equal(enrichRecord(rec, "10.1/x", undefined), rec);
+});
+
+test("correctionsFor keeps good scraped values", () => {
+  const f = workFields(WORK.message);
+  assert.deepEqual(correctionsFor({ title: f.title, journal: "CMAJ Open", year: 2020, month: 4 }, f), {});
+  assert.deepEqual(correctionsFor({ title: "Prevalence of diabetes among…", journal: "CMAJ Open", year: 2020, month: 4 }, f),
+    { title: "Prevalence of diabetes among…" });
+});
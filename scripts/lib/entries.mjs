@@ -0,0 +1,89 @@
+// scripts/lib/entries.mjs
+// Turns one scraped result entry (its visible text + anchors) into the record
+// shape the dashboard reads from public/data/faculty_pubs.json.
+// Pure: no browser, no fs — so saved fixture pages can be parsed offline.
+
+/* ------------------------------ Constants ------------------------------ */
+const MONTH_NAME_TO_NUM = {
+  jan:1, january:1, feb:2, february:2, mar:3, march:3, apr:4, april:4, may:5,
+  jun:6, june:6, jul:7, july:7, aug:8, august:8, sep:9, sept:9, september:9,
+  oct:10, october:10, nov:11, november:11, dec:12, december:12,
+};
+
+// "2025 Apr 21", "2017 JAN", "2023 July 19", "2014" (first date-looking run in the tail)
+const DATE_RE = /\b((?:19|20)\d{2})(?:\s+([A-Za-z]{3,9})\b(?:\s+(\d{1,2})\b)?)?/;
+// Only the explicit "doi: 10.x/y" form; https://doi.org/... tails keep doi null like the source does
+const TAIL_DOI_RE = /\bdoi:\s*(10\.\d{4,9}\/\S+?)\.?(?=\s|$)/i;
+const VIEW_ITEM_RE = /^view\s+item$/i;
+// Bylines are "Surname AB" — at least one author must end in initials for a block to count as a citation
+const INITIALS_RE  = /\s\p{Lu}{1,3}$/u;
+
+/* ------------------------------ Helpers ------------------------------ */
+const squash = (s = "") => String(s).replace(/\s+/g, " ").trim();
+
+export function splitEntryText(text = "") {
+  // Source entries are "Authors. Title. Journal. <tail>" — the tail keeps its own periods.
+  const [authorsText = "", title = "", journal = "", ...rest] = squash(text).split(/\.\s+/);
+  return { authorsText, title: squash(title), journal: squash(journal), tail: squash(rest.join(". ")) };
+}
+
+export function splitAuthors(authorsText = "") {
+  return squash(authorsText).split(/\s*,\s*/).map(squash).filter(Boolean);
+}
+
+export function parseTailDate(tail = "") {
+  const m = squash(tail).match(DATE_RE);
+  if (!m) return { year: null, month: null, date_text: null };
+  const month = m[2] ? (MONTH_NAME_TO_NUM[m[2].toLowerCase()] ?? null) : null;
+  const parts = [m[1]];
+  if (month) { parts.push(m[2]); if (m[3]) parts.push(m[3]); }
+  return { year: Number(m[1]), month, date_text: parts.join(" ") };
+}
+
+export function parseTailDoi(tail = "") {
+  const m = squash(tail).match(TAIL_DOI_RE);
+  return m ? m[1] : null;
+}
+
+export function pickLink(links = []) {
+  const hit = links.find(l => l?.href && /^https?:/i.test(l.href) && !VIEW_ITEM_RE.test(squash(l.text)));
+  return hit ? hit.href : null;
+}
+
+/* ------------------------------ Main ------------------------------ */
+/**
+ * entry: { text, links: [{ text, href }] } as collected from the results page.
+ * Returns null when the block does not look like a citation (nav items, headers…).
+ */
+export function parseEntry(entry, index) {
+  const { authorsText, title, journal, tail } = splitEntryText(entry?.text || "");
+  const authors = splitAuthors(authorsText);
+  if (!title || !(journal || tail) || !authors.some(a => INITIALS_RE.test(a))) return null;
+  const { year, month, date_text } = parseTailDate(tail);
+  return {
+    index,
+    authors,
+    title,
+    journal,
+    year,
+    month,
+    date_text,
+    doi: parseTailDoi(tail),
+    link: pickLink(entry.links),
+    tail,
+  };
+}
+
+/** Parses a page's worth of entries, dropping non-citations and exact repeats across passes. */
+export function parseEntries(entries = [], { startIndex = 1, seen = new Set() } = {}) {
+  const out = [];
+  for (const e of entries) {
+    const key = squash(e?.text).toLowerCase();
+    if (!key || seen.has(key)) continue;
+    const rec = parseEntry(e, startIndex + out.length);
+    if (!rec) continue;
+    seen.add(key);
+    out.push(rec);
+  }
+  return out;
+}
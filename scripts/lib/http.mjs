@@ -0,0 +1,115 @@
+// scripts/lib/http.mjs
+// Polite JSON-over-HTTP for the enrichment scripts: a pluggable client (any fetch-compatible function, so a local
+// stand-in server or a stub can replace the real API), a rate limiter that follows the API's own rate-limit headers,
+// and retries with exponential backoff for 429 / 5xx / network failures.
+
+/* ------------------------------ Client ------------------------------ */
+/**
+ * fetchImpl: fetch-compatible function (defaults to the global fetch of Node 18+).
+ * Returns { getJson(url) -> { status, headers, body } }; body is the parsed JSON, or null when the response has none.
+ * Network failures and timeouts throw; HTTP errors come back as a status for the caller to judge.
+ */
+export function createHttpClient({ fetchImpl = globalThis.fetch, userAgent = "", timeoutMs = 20_000 } = {}) {
+  if (typeof fetchImpl !== "function") throw new Error("No fetch implementation: use Node 18+ or pass fetchImpl");
+  return {
+    async getJson(url) {
+      const ctl = new AbortController();
+      const t = setTimeout(() => ctl.abort(), timeoutMs);
+      try {
+        const res = await fetchImpl(url, {
+          headers: { accept: "application/json", ...(userAgent ? { "user-agent": userAgent } : {}) },
+          signal: ctl.signal,
+        });
+        const text = await res.text();
+        let body = null;
+        try { body = text ? JSON.parse(text) : null; } catch { body = null; }
+        return { status: res.status, headers: res.headers, body };
+      } finally {
+        clearTimeout(t);
+      }
+    },
+  };
+}
+
+/* ------------------------------ Rate limit ------------------------------ */
+const sleepMs = (ms) => new Promise(r => setTimeout(r, ms));
+
+// "1s" | "500ms" | "2" -> milliseconds
+function intervalMs(v) {
+  const m = String(v ?? "").trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/i);
+  if (!m) return null;
+  const n = Number(m[1]), unit = (m[2] || "s").toLowerCase();
+  return unit === "ms" ? n : unit === "m" ? n * 60_000 : n * 1000;
+}
+
+/**
+ * Spaces request starts at least `1000 / perSecond` ms apart and runs at most `concurrency` at once.
+ * observe(headers) tightens the spacing when the server announces a lower limit
+ * (X-Rate-Limit-Limit / X-Rate-Limit-Interval, as sent by Crossref).
+ */
+export function createRateLimiter({ perSecond = 5, concurrency = 2, sleep = sleepMs, now = Date.now } = {}) {
+  let gap = 1000 / perSecond, next = 0, active = 0;
+  const waiting = [];
+  const release = () => { active--; waiting.shift()?.(); };
+
+  return {
+    async run(task) {
+      if (active >= concurrency) await new Promise(r => waiting.push(r));
+      active++;
+      try {
+        const at = Math.max(now(), next);
+        next = at + gap;
+        if (at > now()) await sleep(at - now());
+        return await task();
+      } finally {
+        release();
+      }
+    },
+    observe(headers) {
+      const limit = Number(headers?.get?.("x-rate-limit-limit"));
+      const ms = intervalMs(headers?.get?.("x-rate-limit-interval"));
+      if (limit > 0 && ms) gap = Math.max(gap, ms / limit);
+    },
+    get gapMs() { return gap; },
+  };
+}
+
+/* ------------------------------ Retries ------------------------------ */
+const RETRY_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Retry-After as seconds or an HTTP date
+function retryAfterMs(headers, now) {
+  const v = headers?.get?.("retry-after");
+  if (!v) return null;
+  if (/^\d+$/.test(v.trim())) return Number(v) * 1000;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? Math.max(0, t - now()) : null;
+}
+
+/**
+ * GETs url through the limiter, retrying transient failures up to `retries` times with exponential
+ * backoff (baseDelayMs · 2^attempt, ±25% jitter, or the server's Retry-After). Returns the last response;
+ * throws only when every attempt failed at the network level.
+ */
+export async function getWithRetry(client, limiter, url, {
+  retries = 4, baseDelayMs = 1000, maxDelayMs = 60_000, sleep = sleepMs, random = Math.random, now = Date.now, onRetry = () => {},
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null, error = null;
+    try {
+      res = await limiter.run(() => client.getJson(url));
+      limiter.observe(res.headers);
+      if (!RETRY_STATUS.has(res.status)) return res;
+    } catch (e) {
+      error = e;
+    }
+    if (attempt >= retries) {
+      if (res) return res;
+      throw error;
+    }
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.75 + random() * 0.5);
+    const wait = Math.min(maxDelayMs, (res && retryAfterMs(res.headers, now)) ?? backoff);
+    onRetry({ url, attempt: attempt + 1, status: res?.status ?? null, error: error?.message ?? null, waitMs: Math.round(wait) });
+    await sleep(wait);
+  }
+}
@@ -0,0 +1,102 @@
+// scripts/lib/http.test.mjs
+// Run: npm test   (node --test) — the client, limiter, retries and DOI lookups against a local stand-in server;
+// sleep and now are injected, so nothing actually waits.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHttpClient, createRateLimiter, getWithRetry } from "./http.mjs";
+import { lookupDois, staleDois } from "./lookups.mjs";
+import { startStandIn } from "./standIn.mjs";
+
+const noWait = () => {
+  const waits = [];
+  return { waits, sleep: async (ms) => { waits.push(ms); } };
+};
+const limiterFor = (sleep) => createRateLimiter({ perSecond: 1000, concurrency: 2, sleep, now: () => 0 });
+
+test("a 429 with Retry-After is retried after the announced wait, then succeeds", async () => {
+  const api = await startStandIn((_, n) => (n === 1
+    ? { status: 429, headers: { "retry-after": "3" }, body: { message: "slow down" } }
+    : { status: 200, body: { ok: true } }));
+  try {
+    const { waits, sleep } = noWait();
+    const res = await getWithRetry(createHttpClient(), limiterFor(sleep), `${api.url}/works/x`, { sleep, random: () => 0.5 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+    assert.equal(api.requests.length, 2);
+    assert.ok(waits.includes(3000));
+  } finally {
+    await api.close();
+  }
+});
+
+test("5xx answers use up the retries and are reported as failed, not cached", async () => {
+  const api = await startStandIn(() => ({ status: 503, body: { message: "down" } }));
+  try {
+    const { waits, sleep } = noWait();
+    const cache = { works: {} };
+    const { fetched, failed } = await lookupDois(["10.1/a"], {
+      client: createHttpClient(), limiter: limiterFor(sleep), cache, urlOf: (doi) => `${api.url}/works/${doi}`,
+      retry: { retries: 2, sleep, random: () => 0.5 },
+    });
+    assert.equal(api.requests.length, 3);
+    assert.deepEqual(waits.filter(ms => ms >= 1000), [1000, 2000]); // exponential backoff (limiter spacing aside)
+    assert.equal(fetched, 0);
+    assert.deepEqual(failed, [{ doi: "10.1/a", reason: "HTTP 503" }]);
+    assert.deepEqual(cache.works, {});
+  } finally {
+    await api.close();
+  }
+});
+
+test("a 404 is cached, a 200 keeps what keep() returns", async () => {
+  const api = await startStandIn((path) => (path.includes("missing") ? { status: 404, body: { message: "not found" } } : { status: 200, body: { n: 7 } }));
+  try {
+    const { sleep } = noWait();
+    const cache = { works: {} };
+    const { fetched, failed } = await lookupDois(["10.1/missing", "10.1/here"], {
+      client: createHttpClient(), limiter: limiterFor(sleep), cache, urlOf: (doi) => `${api.url}/works/${doi}?mailto=me%40example.org`,
+      keep: (body) => ({ n: body.n }), now: () => new Date("2024-05-01T00:00:00Z"), retry: { sleep },
+    });
+    assert.equal(fetched, 2);
+    assert.deepEqual(failed, []);
+    assert.deepEqual(cache.works["10.1/missing"], { status: 404, retrieved_at: "2024-05-01T00:00:00.000Z", source: `${api.url}/works/10.1/missing` });
+    assert.equal(cache.works["10.1/here"].status, 200);
+    assert.equal(cache.works["10.1/here"].n, 7);
+  } finally {
+    await api.close();
+  }
+});
+
+test("observe() widens the gap to the server's X-Rate-Limit headers, never narrows it", () => {
+  const limiter = createRateLimiter({ perSecond: 10 });
+  assert.equal(limiter.gapMs, 100);
+  limiter.observe(new Headers({ "x-rate-limit-limit": "5", "x-rate-limit-interval": "1s" }));
+  assert.equal(limiter.gapMs, 200);
+  limiter.observe(new Headers({ "x-rate-limit-limit": "50", "x-rate-limit-interval": "1s" }));
+  assert.equal(limiter.gapMs, 200);
+  limiter.observe(new Headers({ "x-rate-limit-limit": "1", "x-rate-limit-interval": "500ms" }));
+  assert.equal(limiter.gapMs, 500);
+});
+
+test("the limiter spaces request starts by its gap", async () => {
+  let clock = 0;
+  const starts = [];
+  const limiter = createRateLimiter({ perSecond: 4, concurrency: 1, sleep: async (ms) => { clock += ms; }, now: () => clock });
+  for (let i = 0; i < 3; i++) await limiter.run(async () => { starts.push(clock); });
+  assert.deepEqual(starts, [0, 250, 500]);
+});
+
+test("staleDois: missing entries, entries past max-age, and everything on refresh", () => {
+  const now = Date.parse("2024-05-31T00:00:00Z");
+  const cache = { works: {
+    "10.1/fresh": { status: 200, retrieved_at: "2024-05-30T00:00:00Z" },
+    "10.1/old": { status: 404, retrieved_at: "2024-01-01T00:00:00Z" },
+  } };
+  const dois = ["10.1/fresh", "10.1/old", "10.1/new", "10.1/new"];
+  assert.deepEqual(staleDois(dois, cache, { now }), ["10.1/new"]);
+  assert.deepEqual(staleDois(dois, cache, { maxAgeDays: 90, now }), ["10.1/old", "10.1/new"]);
+  assert.deepEqual(staleDois(dois, cache, { maxAgeDays: 1, now }), ["10.1/fresh", "10.1/old", "10.1/new"]);
+  assert.deepEqual(staleDois(dois, cache, { maxAgeDays: 2, now }), ["10.1/old", "10.1/new"]);
+  assert.deepEqual(staleDois(dois, cache, { refresh: true, now }), ["10.1/fresh", "10.1/old", "10.1/new"]);
+});
@@ -0,0 +1,84 @@
+// scripts/lib/lookups.mjs
+// Shared by the enrichment sources (crossref.mjs, openalex.mjs): an on-disk JSON cache of per-DOI API answers and
+// the loop that fetches the missing ones through http.mjs. Each source only says how to build the URL and what to
+// keep from a response.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getWithRetry } from "./http.mjs";
+
+/* ------------------------------ Cache ------------------------------ */
+export const CACHE_VERSION = 1;
+
+// { version, works: { "<doi>": { status, retrieved_at, source, … } } } — 404s are kept too, so unknown DOIs are not re-asked
+// every run; `source` is the URL that was asked (contact address removed), for the provenance on each record
+export async function loadCache(file) {
+  try {
+    const json = JSON.parse(await fs.readFile(file, "utf8"));
+    if (json?.version === CACHE_VERSION && json.works && typeof json.works === "object") return json;
+    console.warn(`[enrich] ignoring ${file}: cache version ${json?.version ?? "?"}, expected ${CACHE_VERSION}`);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[enrich] ignoring unreadable cache ${file}: ${e.message}`);
+  }
+  return { version: CACHE_VERSION, works: {} };
+}
+
+export async function saveCache(file, cache) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(cache) + "\n", "utf8");
+}
+
+// DOIs with no cache entry, or one older than maxAgeDays (all of them with refresh)
+export function staleDois(dois, cache, { maxAgeDays = null, refresh = false, now = Date.now() } = {}) {
+  return [...new Set(dois)].filter(doi => {
+    const entry = cache.works[doi];
+    return refresh || !entry || (maxAgeDays != null && now - Date.parse(entry.retrieved_at) >= maxAgeDays * 86_400_000);
+  });
+}
+
+/* ------------------------------ Lookups ------------------------------ */
+// the request URL without the mailto / email parameter the polite pools ask for
+function sourceOf(url) {
+  try {
+    const u = new URL(url);
+    u.searchParams.delete("mailto");
+    u.searchParams.delete("email");
+    return u.toString();
+  } catch { return url; }
+}
+
+/**
+ * Looks up each DOI and records the answer in the cache, which is updated in place and saved every `saveEvery`
+ * lookups so an interrupted run keeps its progress. Returns { fetched, failed:[{ doi, reason }] }.
+ *   urlOf(doi)   -> request URL
+ *   keep(body)   -> what to cache from a 200 response (merged into { status, retrieved_at, source })
+ * Non-404 client errors and exhausted retries are reported, not cached.
+ */
+export async function lookupDois(dois, {
+  client, limiter, cache, cacheFile = "", urlOf, keep = () => ({}), saveEvery = 50,
+  now = () => new Date(), retry = {}, log = () => {},
+} = {}) {
+  const failed = [];
+  let fetched = 0;
+  const one = async (doi) => {
+    try {
+      const url = urlOf(doi);
+      const res = await getWithRetry(client, limiter, url, { ...retry, onRetry: (r) => log(`retry ${r.attempt} for ${doi} (${r.status ?? r.error}), waiting ${r.waitMs} ms`) });
+      const retrieved_at = now().toISOString(), source = sourceOf(url);
+      if (res.status === 200 && res.body) cache.works[doi] = { status: 200, retrieved_at, source, ...keep(res.body) };
+      else if (res.status === 404) cache.works[doi] = { status: 404, retrieved_at, source };
+      else {
+        failed.push({ doi, reason: `HTTP ${res.status}` });
+        return;
+      }
+      fetched++;
+      if (cacheFile && fetched % saveEvery === 0) await saveCache(cacheFile, cache);
+    } catch (e) {
+      failed.push({ doi, reason: e.name === "AbortError" ? "timeout" : e.message });
+    }
+  };
+  // the limiter bounds concurrency; hand it everything and let it queue
+  await Promise.all([...new Set(dois)].map(one));
+  if (cacheFile && fetched) await saveCache(cacheFile, cache);
+  return { fetched, failed };
+}
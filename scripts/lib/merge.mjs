@@ -0,0 +1,108 @@
+// scripts/lib/merge.mjs
+// Incremental merge of a fresh scrape into the published dataset.
+// Records are keyed on DOI (or a normalized title+year hash when there is none) and
+// keep their `id` and any non-scraped (manual) fields across runs.
+
+import { createHash } from "node:crypto";
+
+/* ------------------------------ Constants ------------------------------ */
+// Fields owned by the scraper; everything else on a record is treated as manual and preserved.
+export const SCRAPED_FIELDS = ["authors", "title", "journal", "year", "month", "date_text", "doi", "link", "tail"];
+const DOI_URL_RE = /doi\.org\/(10\.\d{4,9}\/[^\s?#]+)/i;
+
+/* ------------------------------ Keys & IDs ------------------------------ */
+const sha1 = (s) => createHash("sha1").update(s).digest("hex");
+
+export const normalizeTitle = (s = "") =>
+  String(s).normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+export function recordDoi(rec) {
+  if (rec?.doi) return String(rec.doi).trim().toLowerCase();
+  let link = String(rec?.link || "");
+  try { link = decodeURIComponent(link); } catch {}
+  const m = link.match(DOI_URL_RE);
+  return m ? m[1].replace(/[.,;]+$/, "").toLowerCase() : "";
+}
+
+export function recordKey(rec) {
+  const doi = recordDoi(rec);
+  if (doi) return `doi:${doi}`;
+  return `ty:${sha1(`${normalizeTitle(rec?.title)}|${rec?.year ?? ""}`).slice(0, 16)}`;
+}
+
+export const idForKey = (key) => `pub-${sha1(key).slice(0, 12)}`;
+
+/* ------------------------------ Diff ------------------------------ */
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function diffScraped(before, after) {
+  const changes = {};
+  for (const f of SCRAPED_FIELDS) if (!same(before[f], after[f])) changes[f] = { from: before[f] ?? null, to: after[f] ?? null };
+  return changes;
+}
+
+// Keys repeat when the source lists the same paper twice; later copies get "#2", "#3"… in scrape order.
+function keyAll(records) {
+  const counts = new Map();
+  return records.map(rec => {
+    const base = rec.key || recordKey(rec);
+    const n = (counts.get(base) || 0) + 1;
+    counts.set(base, n);
+    return { key: n === 1 ? base : `${base}#${n}`, rec };
+  });
+}
+
+/* ------------------------------ Main ------------------------------ */
+/**
+ * existing: records currently in faculty_pubs.json (may lack id/key on the first merge).
+ * scraped:  records from this run, in source order.
+ * Returns { records, changelog }. Records missing from this scrape are kept and flagged
+ * with `removed_at`; they are listed after the live ones.
+ */
+export function mergeRecords(existing = [], scraped = [], { now = new Date() } = {}) {
+  const stamp = now.toISOString();
+  const prevByKey = new Map(keyAll(existing).map(({ key, rec }) => [key, rec]));
+  const seen = new Set();
+  const changelog = { generated_at: stamp, summary: {}, added: [], updated: [], removed: [] };
+  let unchanged = 0;
+
+  const live = keyAll(scraped).map(({ key, rec }, i) => {
+    seen.add(key);
+    const prev = prevByKey.get(key);
+    const scrapedPart = Object.fromEntries(SCRAPED_FIELDS.map(f => [f, rec[f] ?? null]));
+    if (!prev) {
+      const out = { index: i + 1, id: idForKey(key), key, ...scrapedPart, first_seen: stamp };
+      changelog.added.push({ id: out.id, key, title: out.title });
+      return out;
+    }
+    const { removed_at, ...manual } = prev;
+    const changes = diffScraped(prev, scrapedPart);
+    if (removed_at) changes.removed_at = { from: removed_at, to: null };
+    const out = { ...manual, index: i + 1, id: prev.id || idForKey(key), key, ...scrapedPart };
+    if (Object.keys(changes).length) changelog.updated.push({ id: out.id, key, title: out.title, changes });
+    else unchanged++;
+    return out;
+  });
+
+  const gone = [];
+  for (const [key, prev] of prevByKey) {
+    if (seen.has(key)) continue;
+    const out = { ...prev, id: prev.id || idForKey(key), key, removed_at: prev.removed_at || stamp };
+    if (!prev.removed_at) changelog.removed.push({ id: out.id, key, title: out.title });
+    gone.push(out);
+  }
+  gone.forEach((r, j) => { r.index = live.length + j + 1; });
+
+  changelog.summary = {
+    added: changelog.added.length,
+    updated: changelog.updated.length,
+    removed: changelog.removed.length,
+    unchanged,
+    total_live: live.length,
+  };
+  return { records: [...live, ...gone], changelog };
+}
+
+/** "public/data/faculty_pubs.json" -> "public/data/faculty_pubs.changelog.json" */
+export const changelogPathFor = (outPath) => outPath.replace(/(\.json)?$/i, ".changelog.json");
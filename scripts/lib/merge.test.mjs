@@ -0,0 +1,68 @@
+// scripts/lib/merge.test.mjs
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { changelogPathFor, idForKey, mergeRecords, recordDoi, recordKey } from "./merge.mjs";
+
+const scrape = (over) => ({
+  authors: "Knight JC, Wang PP", title: "Diabetes in Newfoundland and Labrador", journal: "CMAJ Open",
+  year: 2020, month: 4, date_text: "2020 Apr", doi: "", link: "", tail: "2020 Apr; 8(2):E301-E308.", ...over,
+});
+const A = scrape({ doi: "10.9778/CMAJO.20190123" });
+const B = scrape({ title: "Rural physicians and tele-education", doi: "", link: "https://qe2a-proxy.mun.ca/login?url=https%3A%2F%2Fdoi.org%2F10.1186%2Fs12913-019-4711-2." });
+const C = scrape({ title: "Fish plant workers", year: 2016, doi: "" });
+const T0 = new Date("2024-01-01T00:00:00Z"), T1 = new Date("2024-02-01T00:00:00Z"), T2 = new Date("2024-03-01T00:00:00Z");
+
+test("keys: DOI (also from a proxied doi.org link), else a title+year hash", () => {
+  assert.equal(recordKey(A), "doi:10.9778/cmajo.20190123");
+  assert.equal(recordDoi(B), "10.1186/s12913-019-4711-2");
+  assert.match(recordKey(C), /^ty:[0-9a-f]{16}$/);
+  assert.equal(recordKey(C), recordKey({ ...C, title: "Fish-plant  workers!" }));
+  assert.notEqual(recordKey(C), recordKey({ ...C, year: 2017 }));
+});
+
+test("ids stay put across runs, reordering and title edits; manual fields survive", () => {
+  const first = mergeRecords([], [A, B, C], { now: T0 }).records;
+  assert.deepEqual(first.map(r => r.id), [A, B, C].map(r => idForKey(recordKey(r))));
+  const edited = first.map(r => (r.id === first[0].id ? { ...r, note: "checked by hand" } : r));
+  const { records, changelog } = mergeRecords(edited, [C, { ...A, title: "Diabetes in Newfoundland & Labrador" }, B], { now: T1 });
+  assert.deepEqual(records.map(r => r.id), [first[2].id, first[0].id, first[1].id]);
+  assert.deepEqual(records.map(r => r.index), [1, 2, 3]);
+  assert.equal(records[1].note, "checked by hand");
+  assert.equal(records[1].first_seen, T0.toISOString());
+  assert.deepEqual(changelog.updated, [{
+    id: first[0].id, key: recordKey(A), title: "Diabetes in Newfoundland & Labrador",
+    changes: { title: { from: A.title, to: "Diabetes in Newfoundland & Labrador" } },
+  }]);
+  assert.deepEqual(changelog.summary, { added: 0, updated: 1, removed: 0, unchanged: 2, total_live: 3 });
+});
+
+test("records missing from a scrape get removed_at, listed once in the changelog, and come back cleanly", () => {
+  const first = mergeRecords([], [A, B, C], { now: T0 }).records;
+  const second = mergeRecords(first, [A, C], { now: T1 });
+  const gone = second.records.find(r => r.removed_at);
+  assert.equal(gone.id, first[1].id);
+  assert.equal(gone.removed_at, T1.toISOString());
+  assert.equal(second.records.at(-1), gone);
+  assert.deepEqual(second.changelog.removed, [{ id: gone.id, key: gone.key, title: B.title }]);
+
+  const third = mergeRecords(second.records, [A, C], { now: T2 });
+  assert.equal(third.records.find(r => r.id === gone.id).removed_at, T1.toISOString()); // not re-stamped
+  assert.deepEqual(third.changelog.removed, []);
+
+  const back = mergeRecords(third.records, [A, B, C], { now: T2 });
+  const revived = back.records.find(r => r.id === gone.id);
+  assert.equal(revived.removed_at, undefined);
+  assert.deepEqual(back.changelog.updated.map(u => [u.id, u.changes]), [[gone.id, { removed_at: { from: T1.toISOString(), to: null } }]]);
+});
+
+test("new records and repeated listings: added entries, #2 keys, first_seen", () => {
+  const first = mergeRecords([], [A], { now: T0 }).records;
+  const { records, changelog } = mergeRecords(first, [A, C, A], { now: T1 });
+  assert.deepEqual(records.map(r => r.key), [recordKey(A), recordKey(C), `${recordKey(A)}#2`]);
+  assert.deepEqual(changelog.added.map(a => a.key), [recordKey(C), `${recordKey(A)}#2`]);
+  assert.equal(records[1].first_seen, T1.toISOString());
+  assert.equal(changelog.generated_at, T1.toISOString());
+  assert.equal(changelogPathFor("public/data/faculty_pubs.json"), "public/data/faculty_pubs.changelog.json");
+});
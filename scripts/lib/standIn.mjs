@@ -0,0 +1,23 @@
+// scripts/lib/standIn.mjs
+// Local stand-in for the enrichment APIs, used by the scripts/lib/*.test.mjs tests: a plain http server on a free
+// port that answers every GET through the given handler.
+//   const api = await startStandIn((path) => ({ status: 200, headers: { … }, body: { … } }));
+//   api.url -> "http://127.0.0.1:<port>"; api.requests -> ["/works/10.1%2Fabc?mailto=…", …]; await api.close()
+
+import http from "node:http";
+
+export async function startStandIn(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { status = 200, headers = {}, body = null } = handler(req.url, requests.length) || {};
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(body == null ? "" : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
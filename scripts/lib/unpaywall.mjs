@@ -0,0 +1,58 @@
+// scripts/lib/unpaywall.mjs
+// Open-access status for scripts/enrich_pubs.mjs (--oa): Unpaywall's /v2/<doi> through the same client, limiter and
+// cache helpers as Crossref (lookups.mjs), stored as an `unpaywall` block. Unpaywall answers every request that
+// carries an email address (--mailto); any server with the same API and response shape can stand in for it.
+// Statuses are Unpaywall's: gold (OA journal), hybrid (open license in a subscription journal), bronze (free to read on
+// the publisher site, no license), green (repository copy only), closed.
+
+import { lookupDois } from "./lookups.mjs";
+
+export const UNPAYWALL_API = "https://api.unpaywall.org/v2";
+export const OA_STATUSES = ["gold", "hybrid", "bronze", "green", "closed"];
+
+const doiUrl = (api, mailto) => (doi) =>
+  `${api.replace(/\/+$/, "")}/${doi.split("/").map(encodeURIComponent).join("/")}?email=${encodeURIComponent(mailto)}`;
+
+// the location Unpaywall ranks best (publisher copy over repository, published version over accepted manuscript)
+function bestLocation(body) {
+  const loc = body.best_oa_location;
+  if (!loc || typeof loc !== "object") return null;
+  return {
+    url: loc.url || loc.url_for_pdf || loc.url_for_landing_page || null,
+    landing_url: loc.url_for_landing_page || null,
+    pdf_url: loc.url_for_pdf || null,
+    host_type: loc.host_type || null, // "publisher" | "repository"
+    version: loc.version || null,     // "publishedVersion" | "acceptedVersion" | "submittedVersion"
+    license: loc.license || null,
+  };
+}
+
+export function fetchOaStatus(dois, { api = UNPAYWALL_API, mailto = "", ...opts } = {}) {
+  return lookupDois(dois, {
+    ...opts,
+    urlOf: doiUrl(api, mailto),
+    keep: (body) => ({
+      oa_status: OA_STATUSES.includes(body.oa_status) ? body.oa_status : (body.is_oa ? null : "closed"),
+      is_oa: !!body.is_oa,
+      best_oa_location: bestLocation(body),
+    }),
+  });
+}
+
+/**
+ * Returns the record with its `unpaywall` block set from the cache entry (unchanged when the DOI was never looked up):
+ * { doi, status: "ok" | "not-found", retrieved_at, source, oa_status, is_oa, best_oa_url, host_type, version, license }
+ */
+export function oaRecord(rec, doi, entry) {
+  if (!entry) return rec;
+  const base = { doi, retrieved_at: entry.retrieved_at, source: entry.source || `${UNPAYWALL_API}/${doi}` };
+  if (entry.status !== 200) return { ...rec, unpaywall: { ...base, status: "not-found" } };
+  const loc = entry.best_oa_location || {};
+  return {
+    ...rec,
+    unpaywall: {
+      ...base, status: "ok", oa_status: entry.oa_status, is_oa: entry.is_oa,
+      best_oa_url: loc.url || null, host_type: loc.host_type || null, version: loc.version || null, license: loc.license || null,
+    },
+  };
+}
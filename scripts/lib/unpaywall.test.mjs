@@ -0,0 +1,69 @@
+// scripts/lib/unpaywall.test.mjs
+// Run: npm test   (node --test) — Unpaywall lookups against a local stand-in server, through the `unpaywall` block to the
+// status the dashboard shows (src/openAccess.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHttpClient, createRateLimiter } from "./http.mjs";
+import { fetchOaStatus, oaRecord } from "./unpaywall.mjs";
+import { oaFromUnpaywall, oaStatusOf } from "../../src/openAccess.js";
+import { startStandIn } from "./standIn.mjs";
+
+const loc = (over) => ({
+  url: "https://doi.org/x", url_for_pdf: null, url_for_landing_page: null,
+  host_type: "publisher", version: "publishedVersion", license: "cc-by", ...over,
+});
+// Unpaywall /v2/<doi> answers, trimmed to the fields the lookup keeps
+const ANSWERS = {
+  "10.1/gold": { oa_status: "gold", is_oa: true, best_oa_location: loc({ url: "https://journal.example/gold.pdf" }) },
+  "10.1/green": { oa_status: "green", is_oa: true, best_oa_location: loc({ url: null, url_for_pdf: "https://research.library.mun.ca/1/green.pdf", url_for_landing_page: "https://research.library.mun.ca/1/", host_type: "repository", version: "acceptedVersion", license: null }) },
+  "10.1/hybrid": { oa_status: "hybrid", is_oa: true, best_oa_location: loc({ url: null, url_for_landing_page: "https://publisher.example/hybrid" }) },
+  "10.1/bronze": { oa_status: "bronze", is_oa: true, best_oa_location: loc({ license: null }) },
+  "10.1/closed": { oa_status: "closed", is_oa: false, best_oa_location: null },
+  "10.1/odd": { oa_status: "diamond", is_oa: true, best_oa_location: null },
+  "10.1/nostatus": { is_oa: false, best_oa_location: null },
+};
+
+async function lookUpAll() {
+  const api = await startStandIn((path) => {
+    const doi = decodeURIComponent(path.split("?")[0].replace(/^\/v2\//, ""));
+    return ANSWERS[doi] ? { status: 200, body: { doi, ...ANSWERS[doi] } } : { status: 404, body: { error: true, message: `'${doi}' is not a valid doi` } };
+  });
+  try {
+    const sleep = async () => {};
+    const cache = { works: {} };
+    const dois = [...Object.keys(ANSWERS), "10.1/missing"];
+    const { failed } = await fetchOaStatus(dois, {
+      api: `${api.url}/v2`, mailto: "me@example.org", cache,
+      client: createHttpClient(), limiter: createRateLimiter({ perSecond: 1000, sleep }), retry: { sleep },
+    });
+    assert.deepEqual(failed, []);
+    assert.ok(api.requests.every(p => p.endsWith("?email=me%40example.org")));
+    const blocks = Object.fromEntries(dois.map(d => [d, oaRecord({}, d, cache.works[d]).unpaywall]));
+    return { api, blocks };
+  } finally {
+    await api.close();
+  }
+}
+
+test("Unpaywall statuses map onto the dashboard's, unknown statuses show as unknown", async () => {
+  const { api, blocks } = await lookUpAll();
+  const shown = Object.fromEntries(Object.entries(blocks).map(([d, b]) => [d, oaStatusOf({ oa: oaFromUnpaywall(b) })]));
+  assert.deepEqual(shown, {
+    "10.1/gold": "gold", "10.1/green": "green", "10.1/hybrid": "hybrid", "10.1/bronze": "bronze", "10.1/closed": "closed",
+    "10.1/odd": "unknown", "10.1/nostatus": "closed", "10.1/missing": "unknown",
+  });
+  assert.equal(blocks["10.1/odd"].oa_status, null);  // is_oa with a status we don't know: not guessed
+  assert.equal(blocks["10.1/missing"].status, "not-found");
+  assert.equal(blocks["10.1/gold"].source, `${api.url}/v2/10.1/gold`);
+});
+
+test("best_oa_location: url, then the PDF, then the landing page", async () => {
+  const { blocks } = await lookUpAll();
+  assert.equal(blocks["10.1/gold"].best_oa_url, "https://journal.example/gold.pdf");
+  assert.equal(blocks["10.1/green"].best_oa_url, "https://research.library.mun.ca/1/green.pdf");
+  assert.equal(blocks["10.1/hybrid"].best_oa_url, "https://publisher.example/hybrid");
+  assert.deepEqual([blocks["10.1/green"].host_type, blocks["10.1/green"].version, blocks["10.1/green"].license],
+    ["repository", "acceptedVersion", null]);
+  assert.equal(blocks["10.1/closed"].best_oa_url, null);
+});
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// scripts/scrape_faculty_pubs.mjs
+// Rebuilds public/data/faculty_pubs.json from the Faculty of Medicine publications search.
+//
+//   node scripts/scrape_faculty_pubs.mjs --discipline "Community Health and Humanities" \
+//     --years all --formats all --types all --out public/data/faculty_pubs.json [--headful]
+//
+// Source:   --url <search page> (or FACPUB_SOURCE_URL)
+// Offline:  --fixtures <dir> parses every saved *.html page in <dir> instead of browsing.
+// Filters:  --years all | 2019 | 2015-2020 | 2019,2021   --formats/--types all | "A,B"
+// Merge:    --merge keeps ids/manual fields of the existing --out file, flags removed records and
+//           writes <out>.changelog.json (added/updated/removed) next to it.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { chromium } from "playwright";
+import { parseEntries } from "./lib/entries.mjs";
+import { mergeRecords, changelogPathFor } from "./lib/merge.mjs";
+
+/* ------------------------------ Page selectors ------------------------------ */
+// Everything that depends on the source markup lives here.
+const SELECTORS = {
+  entry:  "li, tr",                                   // candidate citation blocks (non-citations are dropped by the parser)
+  submit: "button[type=submit], input[type=submit]",
+  next:   "a:text-matches('^\\s*(next|›|»|next\\s*[›»])\\s*$', 'i')",
+};
+const ALL = "all";
+const MAX_PAGES = 500;
+const NAV_TIMEOUT_MS = 60_000;
+
+/* ------------------------------ CLI ------------------------------ */
+function parseArgs(argv) {
+  const opts = {
+    discipline: "", years: ALL, formats: ALL, types: ALL,
+    out: "public/data/faculty_pubs.json", url: process.env.FACPUB_SOURCE_URL || "",
+    fixtures: "", headful: false, merge: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--headful" || a === "--merge") { opts[a.slice(2)] = true; continue; }
+    const m = a.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m || !(m[1] in opts)) throw new Error(`Unknown argument: ${a}`);
+    opts[m[1]] = m[2] ?? argv[++i] ?? "";
+  }
+  if (!opts.fixtures && !opts.url) throw new Error("No source: pass --url <search page>, set FACPUB_SOURCE_URL, or use --fixtures <dir>");
+  return opts;
+}
+
+const splitList = (s) => String(s || "").split(",").map(x => x.trim()).filter(Boolean);
+
+export function expandYears(spec) {
+  if (!spec || spec.toLowerCase() === ALL) return [ALL];
+  const out = [];
+  for (const part of splitList(spec)) {
+    const r = part.match(/^(\d{4})\s*[-–]\s*(\d{4})$/);
+    if (r) { for (let y = Math.min(+r[1], +r[2]); y <= Math.max(+r[1], +r[2]); y++) out.push(String(y)); }
+    else if (/^\d{4}$/.test(part)) out.push(part);
+    else throw new Error(`Bad --years value: ${part}`);
+  }
+  return out;
+}
+
+const expandList = (spec) => (!spec || spec.toLowerCase() === ALL ? [ALL] : splitList(spec));
+
+/* ------------------------------ Form helpers ------------------------------ */
+// Finds the <select> a filter belongs to by option text (discipline) or by name/id hint (years, formats, types).
+async function findSelectIndex(page, { hint, optionLabel, yearLike = false }) {
+  return page.evaluate(({ hint, optionLabel, yearLike }) => {
+    const sels = [...document.querySelectorAll("select")];
+    const norm = (s) => (s || "").replace(/\s+/g, " ").trim().toLowerCase();
+    return sels.findIndex(s => {
+      const opts = [...s.options].map(o => norm(o.textContent));
+      if (optionLabel) return opts.includes(norm(optionLabel));
+      if (yearLike) return opts.filter(o => /^(19|20)\d{2}$/.test(o)).length >= 3;
+      return new RegExp(hint, "i").test(`${s.name} ${s.id} ${s.getAttribute("aria-label") || ""}`);
+    });
+  }, { hint, optionLabel, yearLike });
+}
+
+async function chooseOption(page, idx, label) {
+  if (idx < 0) return false;
+  const sel = page.locator("select").nth(idx);
+  if (label === ALL) {
+    const allLabel = await sel.evaluate(s => [...s.options].find(o => /^\s*(all|any)\b/i.test(o.textContent) || o.value === "")?.textContent?.trim());
+    if (!allLabel) return false;
+    label = allLabel;
+  }
+  await sel.selectOption({ label });
+  return true;
+}
+
+async function applyFilters(page, { discipline, year, format, type }) {
+  if (discipline) {
+    const idx = await findSelectIndex(page, { optionLabel: discipline });
+    if (idx < 0) throw new Error(`Discipline not offered by the search page: ${discipline}`);
+    await chooseOption(page, idx, discipline);
+  }
+  await chooseOption(page, await findSelectIndex(page, { yearLike: true }), year);
+  await chooseOption(page, await findSelectIndex(page, { hint: "format" }), format);
+  await chooseOption(page, await findSelectIndex(page, { hint: "type" }), type);
+}
+
+/* ------------------------------ Extraction ------------------------------ */
+async function collectEntries(page) {
+  return page.$$eval(SELECTORS.entry, (els) => els
+    // keep innermost blocks only, so a <li> inside a results <tr> is not read twice
+    .filter(el => !el.querySelector("li, tr"))
+    .map(el => ({
+      text: el.innerText || el.textContent || "",
+      links: [...el.querySelectorAll("a[href]")].map(a => ({ text: (a.innerText || a.textContent || "").trim(), href: a.href })),
+    })));
+}
+
+async function collectAllPages(page) {
+  const out = [];
+  for (let n = 0; n < MAX_PAGES; n++) {
+    out.push(...await collectEntries(page));
+    const next = page.locator(SELECTORS.next).first();
+    if (!(await next.count()) || await next.isDisabled().catch(() => true)) break;
+    await next.click();
+    await page.waitForLoadState("networkidle", { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+  }
+  return out;
+}
+
+async function scrapeLive(page, opts) {
+  const raw = [];
+  for (const year of expandYears(opts.years))
+    for (const format of expandList(opts.formats))
+      for (const type of expandList(opts.types)) {
+        await page.goto(opts.url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+        await applyFilters(page, { discipline: opts.discipline, year, format, type });
+        const submit = page.locator(SELECTORS.submit).first();
+        if (await submit.count()) await submit.click();
+        await page.waitForLoadState("networkidle", { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+        const got = await collectAllPages(page);
+        console.log(`[scrape] year=${year} format=${format} type=${type}: ${got.length} blocks`);
+        raw.push(...got);
+      }
+  return raw;
+}
+
+async function scrapeFixtures(page, dir) {
+  const files = (await fs.readdir(dir)).filter(f => /\.html?$/i.test(f)).sort();
+  if (!files.length) throw new Error(`No .html fixtures in ${dir}`);
+  const raw = [];
+  for (const f of files) {
+    await page.goto(pathToFileURL(path.resolve(dir, f)).href);
+    const got = await collectEntries(page);
+    console.log(`[scrape] fixture ${f}: ${got.length} blocks`);
+    raw.push(...got);
+  }
+  return raw;
+}
+
+/* ------------------------------ Output ------------------------------ */
+async function readJsonArray(file) {
+  try {
+    const json = JSON.parse(await fs.readFile(file, "utf8"));
+    return Array.isArray(json) ? json : [];
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`Cannot merge into ${file}: ${e.message}`);
+  }
+}
+
+const writeJson = (file, data) => fs.writeFile(file, JSON.stringify(data, null, 2) + "\n", "utf8");
+
+/* ------------------------------ Main ------------------------------ */
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const browser = await chromium.launch({ headless: !opts.headful });
+  try {
+    const page = await browser.newPage();
+    const raw = opts.fixtures ? await scrapeFixtures(page, opts.fixtures) : await scrapeLive(page, opts);
+    let records = parseEntries(raw);
+    if (!records.length) throw new Error("No publications parsed — has the source markup changed? See SELECTORS.");
+
+    await fs.mkdir(path.dirname(path.resolve(opts.out)), { recursive: true });
+    if (opts.merge) {
+      const existing = await readJsonArray(opts.out);
+      const merged = mergeRecords(existing, records);
+      records = merged.records;
+      const logPath = changelogPathFor(opts.out);
+      await writeJson(logPath, merged.changelog);
+      const { added, updated, removed, unchanged } = merged.changelog.summary;
+      console.log(`[scrape] merge: +${added} ~${updated} -${removed} =${unchanged} (changelog: ${logPath})`);
+    }
+    await writeJson(opts.out, records);
+    console.log(`[scrape] wrote ${records.length} publications to ${opts.out}`);
+  } finally {
+    await browser.close();
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  main().catch((e) => { console.error("[scrape] Failed:", e.message); process.exitCode = 1; });
+}
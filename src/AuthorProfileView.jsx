@@ -0,0 +1,112 @@
+// Author profile page (?person=<id>): timeline, co-authors, journals, topic mix, byline positions and the
+// full publication list as formatted citations. Data comes from buildAuthorProfile (authorProfile.js).
+
+import React from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid } from "recharts";
+import { CITATION_STYLES, formatCitation } from "./citationFormat";
+
+// Horizontal bar list: [{ label, count, onClick? }]
+function BarList({ items, empty = "None." }) {
+  if (!items.length) return <div className="muted">{empty}</div>;
+  const max = Math.max(...items.map(d => d.count));
+  return (
+    <ul className="bar-list">
+      {items.map(d => (
+        <li key={d.label}>
+          {d.onClick
+            ? <button className="link-btn bar-label" onClick={d.onClick} title={d.title || d.label}>{d.label}</button>
+            : <span className="bar-label" title={d.label}>{d.label}</span>}
+          <span className="bar-track"><span className="bar-fill" style={{ width: `${(d.count / max) * 100}%` }} /></span>
+          <span className="bar-count">{d.count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function AuthorProfileView({
+  profile,                 // buildAuthorProfile(...)
+  member,                  // roster member (facultyRoster.js) or undefined
+  citeStyle, onCiteStyleChange,
+  onBack,                  // () => void
+  onOpenAuthor,            // (personId) => void
+  onFilterAuthor,          // (personId) => void, back to the dashboard filtered to this person
+  onCopyAll,               // (rows) => void
+  copyAllLabel,
+}) {
+  const { person, rows, byYear, coauthors, venues, topics, positions, firstYear, lastYear } = profile;
+  const aka = person.variants.map(v => v.name).filter(n => n !== person.name);
+  const pct = (n) => (rows.length ? ` (${Math.round((n / rows.length) * 100)}%)` : "");
+
+  return (
+    <div className="profile">
+      <div className="card profile-head">
+        <button className="btn pager-btn" onClick={onBack}>← Dashboard</button>
+        <div className="profile-title">
+          <h1>{person.name}</h1>
+          <div className="muted">
+            {member?.rank && <span>{member.rank} · </span>}
+            {member && <span>in the division {member.start ? member.start.year : "…"}–{member.end ? member.end.year : "present"} · </span>}
+            {person.orcid && <a href={`https://orcid.org/${person.orcid}`} target="_blank" rel="noreferrer">ORCID {person.orcid}</a>}
+            {aka.length > 0 && <span>{person.orcid ? " · " : ""}also published as {aka.join(", ")}</span>}
+          </div>
+        </div>
+        <button className="btn pager-btn" onClick={() => onFilterAuthor(person.id)} title="Show this author's papers in the dashboard">Filter dashboard</button>
+      </div>
+
+      <div className="kpis profile-kpis">
+        <div className="kpi"><div className="kpi-label">Publications</div><div className="kpi-value">{rows.length}</div></div>
+        <div className="kpi"><div className="kpi-label">Years</div><div className="kpi-value">{firstYear ? `${firstYear}–${lastYear}` : "—"}</div></div>
+        <div className="kpi"><div className="kpi-label">First author</div><div className="kpi-value">{positions.first}<small>{pct(positions.first)}</small></div></div>
+        <div className="kpi"><div className="kpi-label">Last author</div><div className="kpi-value">{positions.last}<small>{pct(positions.last)}</small></div></div>
+        {positions.solo > 0 && <div className="kpi"><div className="kpi-label">Sole author</div><div className="kpi-value">{positions.solo}</div></div>}
+      </div>
+
+      <div className="profile-grid">
+        <div className="card chart-card">
+          <h3 className="tight">Publications by year</h3>
+          <div style={{ height: 220 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={byYear} margin={{ top: 8, right: 8, bottom: 0, left: -16 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+                <Tooltip />
+                <Bar dataKey="count" name="Publications" fill="#7c3aed" radius={[3, 3, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div className="card">
+          <h3 className="tight">Frequent co-authors</h3>
+          <BarList empty="No co-authors."
+                   items={coauthors.map(c => ({ label: c.name, count: c.count, onClick: () => onOpenAuthor(c.id), title: `Open ${c.name}'s profile` }))} />
+        </div>
+        <div className="card">
+          <h3 className="tight">Journals</h3>
+          <BarList empty="No journal data." items={venues.map(v => ({ label: v.venue, count: v.count }))} />
+        </div>
+        <div className="card">
+          <h3 className="tight">Topic mix</h3>
+          <BarList items={topics.map(t => ({ label: t.topic, count: t.count }))} />
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="cite-controls" style={{ justifyContent: "space-between" }}>
+          <h3 className="tight">Publications ({rows.length})</h3>
+          <div className="cite-controls">
+            <select value={citeStyle} onChange={(e) => onCiteStyleChange(e.target.value)} aria-label="Citation style">
+              {Object.entries(CITATION_STYLES).map(([k, s]) => <option key={k} value={k}>{s.label}</option>)}
+            </select>
+            <button className="btn pager-btn" onClick={() => onCopyAll(rows)} disabled={!rows.length}>{copyAllLabel}</button>
+          </div>
+        </div>
+        <ol className={`profile-pubs${CITATION_STYLES[citeStyle].numbered ? "" : " unnumbered"}`}>
+          {/* formatCitation escapes every field; the HTML only adds <i> and DOI links */}
+          {rows.map(r => <li key={r.id} dangerouslySetInnerHTML={{ __html: formatCitation(r, citeStyle, { html: true }) }} />)}
+        </ol>
+      </div>
+    </div>
+  );
+}
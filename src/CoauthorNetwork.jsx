@@ -0,0 +1,127 @@
+// Co-authorship network panel: SVG rendering of buildCoauthorGraph (coauthorNetwork.js) with the layout
+// computed in networkWorker.js. Hovering a node highlights its collaborators; clicking reports the node to the parent.
+
+import React from "react";
+import { layoutGraph } from "./coauthorNetwork";
+
+const COMMUNITY_COLORS = ["#7c3aed","#0ea5e9","#f59e0b","#10b981","#ef4444","#6366f1","#84cc16","#ec4899","#14b8a6","#f97316"];
+const W = 900, H = 460, PAD = 28;
+
+// One worker per panel; falls back to the main thread where module workers are unavailable or the worker fails
+function useLayout(graph) {
+  const [positions, setPositions] = React.useState(() => new Map());
+  const [busy, setBusy] = React.useState(false);
+  const workerRef = React.useRef(null);
+  const reqRef = React.useRef(0);
+  const msgRef = React.useRef(null);
+
+  React.useEffect(() => {
+    try {
+      const w = new Worker(new URL("./networkWorker.js", import.meta.url), { type: "module" });
+      w.onmessage = ({ data }) => {
+        if (data.id !== reqRef.current) return;
+        setPositions(new Map(data.positions));
+        setBusy(false);
+      };
+      // a worker that fails to load or throws never answers: drop it and lay out the pending graph here
+      w.onerror = w.onmessageerror = (e) => {
+        console.error("[CoauthorNetwork] Layout worker failed, using the main thread", e);
+        w.terminate();
+        if (workerRef.current !== w) return;
+        workerRef.current = null;
+        if (msgRef.current) setPositions(layoutGraph(msgRef.current, { seed: 1 }));
+        setBusy(false);
+      };
+      workerRef.current = w;
+    } catch { workerRef.current = null; }
+    return () => { workerRef.current?.terminate(); workerRef.current = null; };
+  }, []);
+
+  React.useEffect(() => {
+    const id = ++reqRef.current;
+    const msg = { nodes: graph.nodes.map(n => ({ id: n.id })), edges: graph.edges };
+    msgRef.current = msg;
+    if (workerRef.current) {
+      setBusy(true);
+      workerRef.current.postMessage({ id, graph: msg, opts: { seed: 1 } });
+    } else {
+      setPositions(layoutGraph(msg, { seed: 1 }));
+    }
+  }, [graph]);
+
+  return { positions, busy };
+}
+
+export default function CoauthorNetwork({
+  graph,                   // { nodes, edges } from buildCoauthorGraph
+  selected = [],           // selected person ids
+  onNodeClick,             // (personId, event) => void
+}) {
+  const { positions, busy } = useLayout(graph);
+  const [hover, setHover] = React.useState(null);
+
+  const maxPapers = Math.max(1, ...graph.nodes.map(n => n.papers));
+  const maxWeight = Math.max(1, ...graph.edges.map(e => e.weight));
+  const radius = (n) => 3 + 10 * Math.sqrt(n.papers / maxPapers);
+  const at = (id) => {
+    const p = positions.get(id);
+    return p ? { x: PAD + p.x * (W - 2 * PAD), y: PAD + p.y * (H - 2 * PAD) } : null;
+  };
+
+  const neighbours = React.useMemo(() => {
+    const m = new Map();
+    for (const e of graph.edges) {
+      if (!m.has(e.source)) m.set(e.source, new Set());
+      if (!m.has(e.target)) m.set(e.target, new Set());
+      m.get(e.source).add(e.target); m.get(e.target).add(e.source);
+    }
+    return m;
+  }, [graph]);
+  const focus = hover ? new Set([hover, ...(neighbours.get(hover) || [])]) : null;
+  // label the biggest nodes plus whatever is selected or hovered
+  const labelled = new Set([...graph.nodes].sort((a, b) => b.papers - a.papers).slice(0, 12).map(n => n.id));
+
+  if (!graph.nodes.length) return <div className="muted" style={{ padding: 10 }}>No co-authorship data.</div>;
+
+  return (
+    <div className="network-wrap">
+      {busy && <div className="network-busy muted">Laying out…</div>}
+      <svg viewBox={`0 0 ${W} ${H}`} className="network-svg" role="img" aria-label="Co-authorship network">
+        <g>
+          {graph.edges.map(e => {
+            const a = at(e.source), b = at(e.target);
+            if (!a || !b) return null;
+            const dim = focus && !(focus.has(e.source) && focus.has(e.target) && (e.source === hover || e.target === hover));
+            return (
+              <line key={`${e.source}|${e.target}`} x1={a.x} y1={a.y} x2={b.x} y2={b.y}
+                    stroke="#94a3b8" strokeOpacity={dim ? 0.08 : 0.55} strokeWidth={0.6 + 3.4 * (e.weight / maxWeight)}>
+                <title>{`${e.papers} shared paper${e.papers === 1 ? "" : "s"}${e.weight !== e.papers ? ` (weight ${e.weight.toFixed(1)})` : ""}`}</title>
+              </line>
+            );
+          })}
+        </g>
+        <g>
+          {graph.nodes.map(n => {
+            const p = at(n.id);
+            if (!p) return null;
+            const r = radius(n);
+            const isSel = selected.includes(n.id);
+            const dim = (focus && !focus.has(n.id)) || (selected.length > 0 && !isSel && !focus);
+            return (
+              <g key={n.id} className="network-node" transform={`translate(${p.x},${p.y})`}
+                 onMouseEnter={() => setHover(n.id)} onMouseLeave={() => setHover(null)}
+                 onClick={(e) => onNodeClick?.(n.id, e)}>
+                <circle r={r} fill={COMMUNITY_COLORS[n.community % COMMUNITY_COLORS.length]}
+                        fillOpacity={dim ? 0.25 : 0.9} stroke={isSel ? "#111827" : "#fff"} strokeWidth={isSel ? 2 : 1} />
+                {(labelled.has(n.id) || isSel || n.id === hover) && (
+                  <text y={-r - 3} textAnchor="middle" className="network-label" opacity={dim ? 0.35 : 1}>{n.name}</text>
+                )}
+                <title>{`${n.name}: ${n.papers} publication${n.papers === 1 ? "" : "s"}, ${neighbours.get(n.id)?.size || 0} collaborators shown`}</title>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+// Data quality report (?view=quality): records that were dropped, repaired on load or are incomplete, with the
+// reason for each, summary counts per issue and an export for fixing them at the source. Data from auditRecords (dataQuality.js).
+
+import React from "react";
+import { QUALITY_ISSUES, QUALITY_STATUSES } from "./dataQuality";
+
+const STATUS_LABEL = { dropped: "Dropped", repaired: "Repaired", incomplete: "Incomplete" };
+const PAGE = 200;
+
+export default function DataQualityView({
+  report,                  // auditRecords(...)
+  onBack,                  // () => void
+  onExport,                // ("csv" | "xlsx", items) => void
+  cacheCount,              // Crossref lookups cached in this browser (enrichCache.js), null while unknown
+  onClearCache,            // () => void
+}) {
+  const [status, setStatus] = React.useState(null);  // show one status only
+  const [issue, setIssue] = React.useState(null);    // show one issue key only
+  const [limit, setLimit] = React.useState(PAGE);
+
+  const items = React.useMemo(() => report.items.filter(it =>
+    (!status || it.status === status) && (!issue || it.issues.some(i => i.key === issue))), [report, status, issue]);
+  React.useEffect(() => { setLimit(PAGE); }, [status, issue]);
+
+  const issueKeys = Object.keys(QUALITY_ISSUES).filter(k => report.counts[k] > 0);
+
+  return (
+    <div className="quality">
+      <div className="card profile-head">
+        <button className="btn pager-btn" onClick={onBack}>← Dashboard</button>
+        <div className="profile-title">
+          <h1>Data quality</h1>
+          <div className="muted">
+            {report.total} source records checked · {report.items.length} with at least one issue
+          </div>
+        </div>
+        <div className="cite-controls">
+          <button className="btn pager-btn" onClick={() => onExport("csv", items)} disabled={!items.length}>⬇︎ CSV</button>
+          <button className="btn pager-btn" onClick={() => onExport("xlsx", items)} disabled={!items.length}>⬇︎ Excel</button>
+        </div>
+      </div>
+
+      <div className="kpis profile-kpis">
+        {QUALITY_STATUSES.map(s => (
+          <button key={s} className={`kpi quality-kpi${status === s ? " active" : ""}`} onClick={() => setStatus(v => (v === s ? null : s))}
+                  title={status === s ? "Show all" : `Show ${STATUS_LABEL[s].toLowerCase()} records only`}>
+            <div className="kpi-label">{STATUS_LABEL[s]}</div><div className="kpi-value">{report.byStatus[s]}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="card cache-row">
+        <span className="muted">
+          Enrichment cache: {cacheCount == null ? "…" : `${cacheCount} Crossref lookup${cacheCount === 1 ? "" : "s"} stored in this browser`}
+          {" "}(titles fetched for records the build-time enrichment has not checked)
+        </span>
+        <button className="btn pager-btn" onClick={onClearCache} disabled={!cacheCount}
+                title="Forget cached lookups; they are fetched again on the next load">Clear enrichment cache</button>
+      </div>
+
+      {report.unmapped.length > 0 && (
+        <div className="card unmapped-row">
+          <span className="muted">Source fields the dashboard does not read: </span>
+          {report.unmapped.map(({ field, count }, i) => (
+            <span key={field}>{i ? ", " : ""}<code>{field}</code> <span className="muted">({count} record{count === 1 ? "" : "s"})</span></span>
+          ))}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="chips tight">
+          {issueKeys.map(k => (
+            <button key={k} className={`chip${issue === k ? " mode" : ""}`} onClick={() => setIssue(v => (v === k ? null : k))}>
+              {QUALITY_ISSUES[k].label}: {report.counts[k]}
+            </button>
+          ))}
+          {(status || issue) && <button className="chip" onClick={() => { setStatus(null); setIssue(null); }}>Clear ✕</button>}
+        </div>
+      </div>
+
+      <div className="card">
+        <h3 className="tight">Records ({items.length})</h3>
+        <div className="table-scroll">
+          <table className="table quality-table">
+            <thead>
+              <tr><th>Status</th><th>Record</th><th>Issues</th></tr>
+            </thead>
+            <tbody>
+              {items.slice(0, limit).map(({ record, row, status: st, issues }, i) => (
+                <tr key={`${row.id}-${i}`}>
+                  <td><span className={`badge quality-${st}`}>{STATUS_LABEL[st]}</span></td>
+                  <td>
+                    <div className="clamp-2">{record.title || <span className="muted">(no title)</span>}</div>
+                    <div className="muted clamp-1">
+                      {[(record.authors || []).slice(0, 4).join(", ") + ((record.authors || []).length > 4 ? ", …" : ""), record.venue, record.year ?? record.date_text]
+                        .filter(Boolean).join(" · ")}
+                    </div>
+                  </td>
+                  <td>
+                    <ul className="quality-issues">
+                      {issues.map(x => (
+                        <li key={x.key}>
+                          <b>{x.label}</b>{x.status !== QUALITY_ISSUES[x.key].status && <span className="muted"> ({STATUS_LABEL[x.status].toLowerCase()})</span>}
+                          {x.detail && <span className="muted"> — {x.detail}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))}
+              {!items.length && <tr><td colSpan={3} className="muted">No records.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+        {items.length > limit && (
+          <button className="btn pager-btn" style={{ marginTop: 8 }} onClick={() => setLimit(n => n + PAGE)}>
+            Show {Math.min(PAGE, items.length - limit)} more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
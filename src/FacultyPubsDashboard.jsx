@@ -7,9 +7,32 @@ import {
   PieChart, Pie
 } from "recharts";
 import YearMonthPicker from "./YearMonthPicker";
+import AuthorProfileView from "./AuthorProfileView";
+import CoauthorNetwork from "./CoauthorNetwork";
+import DataQualityView from "./DataQualityView";
+import RecordDetail from "./RecordDetail";
 import { inferTopic } from "./topicRules";
-import jsPDF from "jspdf";
-import html2canvas from "html2canvas";
+import { parseCitation } from "./citationParser";
+import { normalizeSource } from "./sourceAdapters";
+import { parseReferenceFile } from "./refImport";
+import { exportReferences, REFERENCE_FORMATS } from "./refExport";
+import { buildExportTables, exportDataFile, toCsv } from "./dataExport";
+import { buildPdfReport } from "./pdfReport";
+import { CITATION_STYLES, formatBibliography, formatCitation } from "./citationFormat";
+import { changedOnly, parseFilterQuery, serializeFilterQuery } from "./urlState";
+import { parseSearchQuery } from "./searchQuery";
+import { buildAuthorIdentities } from "./authorIdentity";
+import { memberOutput, parseRoster, resolveRoster } from "./facultyRoster";
+import { buildAuthorProfile } from "./authorProfile";
+import { buildCoauthorGraph } from "./coauthorNetwork";
+import { buildVenueIndex } from "./venueNormalize";
+import { detectDuplicates } from "./duplicateDetect";
+import { auditRecords, qualityTable } from "./dataQuality";
+import { typeLabel } from "./crossrefMeta";
+import { authorImpact, citationCount, mostCited } from "./citationMetrics";
+import { OA_COLORS, OA_HINTS, OA_STATUSES, OA_UNKNOWN, oaLabel, oaShareByYear, oaStatusOf, readLink } from "./openAccess";
+import { openEnrichCache } from "./enrichCache";
+import { buildSearchIndex, highlightParts, matchingIds, rankRows } from "./searchIndex";
 
 /* ------------------------------ Constants ------------------------------ */
 const PANEL_H       = 350;
@@ -19,6 +42,8 @@ const MONTH_COLORS  = ["#6366F1","#10B981","#F59E0B","#EF4444","#3B82F6","#8B5CF
 const HEAT_COLORS   = ["#EEF2FF","#E0E7FF","#C7D2FE","#A5B4FC","#93C5FD","#60A5FA","#3B82F6","#1D4ED8","#1E40AF"];
 const UNSPECIFIED   = "Unspecified";
 const MIN_YEAR      = 2003;
+const NET_MAX_NODES = 60;
+const LARGE_TEAM    = 10; // papers with more authors are down-weighted in the network (optional)
 
 /* ------------------------------ Month parsing helpers ------------------------------ */
 const MONTH_NAME_TO_NUM = {
@@ -101,6 +126,25 @@ const isNum   = (n) => Number.isFinite(n);
 const shorten = (s = "", n = 22) => (s.length > n ? s.slice(0, n - 1) + "…" : s);
 const BASE    = (import.meta?.env?.BASE_URL ?? "/");
 const withBase = (p) => BASE + String(p || "").replace(/^\/+/, "");
+
+const SEARCH_HELP = [
+  "Words are ANDed; \"quoted phrase\"; -word or NOT word excludes; a OR b, ( … ) groups.",
+  "Fields: author:\"Knight JC\" journal:cmaj title:… subject:… topic:Cardiology doi:10.1177",
+  "year:2020, year:2019..2023, year:..2015; month:apr or month:4",
+].join("\n");
+
+// Facet clicks: a plain click replaces the selection (or clears it when v is the only value);
+// shift/ctrl/cmd-click toggles v within it. Recharts passes the DOM event in different argument slots.
+const isAdditiveClick = (...args) => args.some(a => a && (a.shiftKey || a.ctrlKey || a.metaKey));
+function nextSelection(prev, v, additive) {
+  const has = prev.includes(v);
+  if (additive) return has ? prev.filter(x => x !== v) : [...prev, v];
+  return has && prev.length === 1 ? [] : [v];
+}
+
+// Filter state from the current query string (shareable links, back/forward)
+const readUrlFilters = () => parseFilterQuery(window.location.search, { minYear: MIN_YEAR });
+const filterKeyOf = (s) => JSON.stringify([s.q.trim().toLowerCase(), s.yearSel, s.monthSel, s.yearRange, s.authorSel, s.authorMode, s.subjectSel, s.topicSel, s.venueSel, s.typeSel, s.funderSel, s.licenseSel, s.oaSel, s.dedupe, s.sortMode]);
 const squashSpaces = (s="") => String(s).replace(/\s+/g, " ").trim();
 const normalizeDashesQuotes = (s="") =>
   s.replace(/[\u2010-\u2015]/g, "-").replace(/[\u2018\u2019]/g, "'").replace(/[\u201C\u201D]/g, '"');
@@ -200,43 +244,42 @@ const extractDoi = (url = "") => {
   return m ? m[1] : "";
 };
 
-const CR_CACHE_KEY = "cr-cache-v1";
-function loadCrCache() {
-  try { return JSON.parse(localStorage.getItem(CR_CACHE_KEY) || "{}") || {}; }
-  catch { return {}; }
-}
-function saveCrCache(cache) {
-  try { localStorage.setItem(CR_CACHE_KEY, JSON.stringify(cache)); } catch {}
-}
+// Crossref lookups made from the browser are cached in IndexedDB (see enrichCache.js); one instance per page
+let enrichCachePromise = null;
+const getEnrichCache = () => (enrichCachePromise ||= openEnrichCache());
 
-async function fillRealTitles(rows, { batchSize = 8, timeoutMs = 9000, max = 80, cache = {} } = {}) {
+// Browser fallback for dataset rows the build-time lookup (scripts/enrich_pubs.mjs) has not checked, e.g. an older
+// data file; imported BibTeX/RIS rows carry their own titles and are not run through it
+async function fillRealTitles(rows, { batchSize = 8, timeoutMs = 9000, max = 80, cache } = {}) {
   const need = rows
-    .filter(r => r.title && looksLikeAuthorList(r.title))
-    .map(r => ({ r, doi: extractDoi(r.url || "") }))
+    .filter(r => r.title && looksLikeAuthorList(r.title) && !r.enriched?.crossref)
+    .map(r => ({ r, doi: r.doi || extractDoi(r.url || "") }))
     .filter(x => !!x.doi)
     .slice(0, max);
 
-  if (!need.length) return { rows, cache };
+  if (!need.length) return { rows };
 
   const updates = new Map();
+  const empty = { title: "", venue: "" };
   const getOne = async (doi) => {
-    if (cache[doi]) return cache[doi];
+    const hit = await cache.get(doi);
+    if (hit) return hit;
     const ctl = new AbortController();
     const t = setTimeout(() => ctl.abort(), timeoutMs);
     try {
       const res = await fetch(`https://api.crossref.org/works/${encodeURIComponent(doi)}`, { signal: ctl.signal });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      // an unknown DOI is remembered briefly; outages and rate limits are not cached at all
+      if (res.status === 404) { await cache.set(doi, empty, { negative: true }); return empty; }
+      if (!res.ok) return empty;
       const js = await res.json();
       const m = js?.message || {};
       const title = cleanText((m.title && m.title[0]) || "");
       const venue = cleanText((m["container-title"] && m["container-title"][0]) || "");
       const val = { title, venue };
-      cache[doi] = val;
+      await cache.set(doi, val);
       return val;
     } catch {
-      const val = { title: "", venue: "" };
-      cache[doi] = val;
-      return val;
+      return empty;
     } finally { clearTimeout(t); }
   };
 
@@ -256,7 +299,144 @@ async function fillRealTitles(rows, { batchSize = 8, timeoutMs = 9000, max = 80,
     return r;
   });
 
-  return { rows: outRows, cache };
+  return { rows: outRows };
+}
+
+/* ------------------------------ Record normalization ------------------------------ */
+// Canonical record (see sourceAdapters.js) -> dashboard row. Shared by the JSON loader and local imports.
+function normalizeRow(r, i) {
+  const type   = cleanText(r.type || "");
+  const format = cleanText(r.format || "");
+  let authors  = collectAuthors(r);
+  const fixed  = fixTitleAndAuthors(r.title || "", r.venue || "", authors);
+  authors      = fixed.authors;
+  const title  = fixed.title;
+  const venue  = fixed.venue;
+
+  const subjects = collectSubjects(r);
+
+  const topic    = inferTopic({ title, url: r.url ?? "", venue, year: r.year });
+
+  // year/month extraction
+  let year  = coerceInt(r.year,  MIN_YEAR, 3000);
+  let month = coerceInt(r.month, 1, 12);
+  if (month == null && typeof r.month === "string") {
+    const k = r.month.trim().toLowerCase();
+    month = MONTH_NAME_TO_NUM[k] ?? MONTH_NAME_TO_NUM[k.slice(0,3)] ?? null;
+  }
+  if (year == null || month == null) {
+    const ym = parseYearMonthFromAny(r);
+    if (year  == null && ym.year  != null) year  = coerceInt(ym.year,  MIN_YEAR, 3000);
+    if (month == null && ym.month != null) month = coerceInt(ym.month, 1, 12);
+  }
+
+  // volume/issue/pages/epub status from the citation tail (see citationParser.js);
+  // structured sources (Crossref, PubMed, CSL) already carry them
+  const cit = parseCitation({ tail: r.tail, date_text: r.date_text, year, month });
+  const structured = (k) => (r[k] ? { value: r[k], confidence: 1 } : { value: cit[k], confidence: cit.confidence[k] });
+  const volume = structured("volume"), issue = structured("issue");
+  const pages = structured("pages"), articleNumber = structured("articleNumber");
+
+  const url   = cleanText(r.url || "");
+  const doi   = r.doi || extractDoi(url);
+  const id = String(r.id || `${year || "x"}-${title}-${i}`)
+    .normalize("NFKD").replace(/[^\w\-]+/g, "-").slice(0, 160);
+
+  return {
+    id, title, venue, type, format, authors, subjects, topic, year, month, url, doi,
+    volume: volume.value, issue: issue.value, pages: pages.value,
+    pageFirst: pages.value === cit.pages ? cit.pageFirst : null,
+    pageLast:  pages.value === cit.pages ? cit.pageLast  : null,
+    articleNumber: articleNumber.value, epubAhead: volume.value ? false : cit.epubAhead, pubDate: cit.pubDate,
+    citationConfidence: {
+      ...cit.confidence,
+      volume: volume.confidence, issue: issue.confidence, pages: pages.confidence, articleNumber: articleNumber.confidence,
+    },
+    lcTitle: (title || "").toLowerCase(),
+    lcVenue: (venue || "").toLowerCase(),
+    lcSubjects: subjects.map(s => s.toLowerCase()),
+    lcAuthors: authors.map(a => a.toLowerCase()),
+    orcids: r.orcids || {},
+    issn: r.issn || [],
+    enriched: r.enriched || {},
+    provenance: r.provenance || {},
+    abstract: r.abstract || "",
+    funders: r.funders || [],
+    license: r.license || null,
+    dates: r.dates || {},
+    citedBy: r.citedBy || null,
+    oa: r.oa || null,
+  };
+}
+
+const keepRow = (r) => !!r.title && (!r.year || (r.year >= MIN_YEAR && r.year <= new Date().getFullYear() + 1));
+
+/* ------------------------------ Local imports (BibTeX / RIS) ------------------------------ */
+// Imported canonical records live in localStorage until they are exported back into faculty_pubs.json.
+const LOCAL_IMPORTS_KEY = "local-imports-v1";
+function loadLocalImports() {
+  try { const v = JSON.parse(localStorage.getItem(LOCAL_IMPORTS_KEY) || "[]"); return Array.isArray(v) ? v : []; }
+  catch { return []; }
+}
+function saveLocalImports(list) {
+  try { localStorage.setItem(LOCAL_IMPORTS_KEY, JSON.stringify(list)); } catch {}
+}
+
+const dedupeKey = (r) => (r.doi ? `doi:${String(r.doi).toLowerCase()}` : `t:${(r.title || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()}|${r.year ?? ""}`);
+
+// Dataset rows win: an import whose DOI (or title+year) is already published is dropped, i.e. no longer "local".
+function mergeImportedRows(baseRows, importedRows) {
+  const seen = new Set(baseRows.map(dedupeKey));
+  const extra = [];
+  for (const r of importedRows) {
+    const k = dedupeKey(r);
+    if (seen.has(k)) continue;
+    seen.add(k); extra.push(r);
+  }
+  return extra.length ? [...baseRows, ...extra] : baseRows;
+}
+
+// Canonical record -> faculty_pubs.json record (scraper shape) so exported imports can be appended to the dataset.
+const toDatasetRecord = (r) => ({
+  authors: r.authors || [], title: r.title || "", journal: r.venue || "",
+  year: r.year ?? null, month: r.month ?? null, date_text: r.date_text || (r.year ? String(r.year) : null),
+  doi: r.doi || null, link: r.url || (r.doi ? `https://doi.org/${r.doi}` : null),
+  tail: [r.year, r.volume && `${r.volume}${r.issue ? `(${r.issue})` : ""}${r.pages ? `:${r.pages}` : ""}`, r.doi && `doi: ${r.doi}`]
+    .filter(Boolean).join(". "),
+  ...(Object.keys(r.orcids || {}).length ? { orcids: r.orcids } : {}),
+  ...(r.issn?.length ? { issn: r.issn } : {}),
+});
+
+// Copies plain text plus an HTML flavour (italics, DOI links) when the browser allows it
+async function copyToClipboard(text, html) {
+  try {
+    if (html && window.ClipboardItem && navigator.clipboard?.write) {
+      await navigator.clipboard.write([new window.ClipboardItem({
+        "text/plain": new Blob([text], { type: "text/plain" }),
+        "text/html": new Blob([html], { type: "text/html" }),
+      })]);
+    } else if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+    } else {
+      const ta = document.createElement("textarea");
+      ta.value = text; ta.style.position = "fixed"; ta.style.opacity = "0";
+      document.body.appendChild(ta); ta.select();
+      const ok = document.execCommand("copy"); ta.remove();
+      return ok;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// data: string or Uint8Array (zip / xlsx bytes)
+function downloadBlob(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /* ------------------------------ Tooltips ------------------------------ */
@@ -270,103 +450,151 @@ const SubjectTooltip = ({ active, payload }) =>
   (active && payload?.length)
     ? <TipCard title={payload.at(-1)?.payload?.subject ?? ""} count={payload.at(-1)?.value ?? 0} />
     : null;
-const AuthorTooltip  = ({ active, payload }) =>
-  (active && payload?.length)
-    ? <TipCard title={payload.at(-1)?.payload?.author || ""} count={payload.at(-1)?.value ?? 0} />
-    : null;
+const AuthorTooltip  = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const d = payload.at(-1)?.payload || {};
+  const aka = (d.variants || []).filter(v => v !== d.author);
+  return (
+    <div className="card tip" style={{ padding: 8, fontSize: 10 }}>
+      <div style={{ fontWeight: 700, marginBottom: 2 }}>{d.author || ""}</div>
+      <div>{payload.at(-1)?.value ?? 0} publications</div>
+      {aka.length > 0 && <div className="muted">also as {aka.slice(0, 4).join(", ")}{aka.length > 4 ? ", …" : ""}</div>}
+    </div>
+  );
+};
+
+// Per-year counts as a tiny inline line chart (Top venues panel)
+const Sparkline = ({ values, width = 120, height = 22 }) => {
+  const max = Math.max(1, ...values);
+  const x = (i) => (values.length > 1 ? (i / (values.length - 1)) * (width - 2) + 1 : width / 2);
+  const y = (v) => height - 2 - (v / max) * (height - 4);
+  const pts = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+      <polyline points={pts} fill="none" stroke="#7c3aed" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+};
+
+// Marks table rows that belong to a duplicate / version cluster (duplicateDetect.js)
+const DUP_KIND_LABEL = { duplicate: "Duplicate", preprint: "Preprint → published", correction: "Correction" };
+const VersionBadge = ({ row, cluster }) => {
+  const member = cluster.members.find(m => m.row.id === row.id);
+  if (member) {
+    const label = member.kind === "preprint" ? "Preprint" : member.kind === "correction" ? "Correction" : "Duplicate";
+    return <span className={`badge dup-${member.kind}`} title={`${member.reason}: ${cluster.keep.title}`}>{label}</span>;
+  }
+  const n = cluster.members.length;
+  return (
+    <span className={`badge dup-${cluster.kind}`} title={cluster.members.map(m => `${m.row.year ?? "—"} ${m.row.venue || ""}: ${m.reason}`).join("\n")}>
+      +{n} version{n === 1 ? "" : "s"}
+    </span>
+  );
+};
+
+// Count list for one Crossref metadata facet (click filters, shift-click adds)
+const funderNamesOf = (r) => (r.funders || []).map(f => f.name);
+// items in display order; bars are scaled to the largest count
+const MetaFacet = ({ title, items, selected, onPick, labelOf = (k) => k, hintOf = labelOf }) => (
+  <div className="meta-facet">
+    <div className="hd small">{title}</div>
+    {items.length ? (
+      <ul className="bar-list">
+        {items.map(d => (
+          <li key={d.key} className={selected.includes(d.key) ? "selected" : ""}>
+            <button className="link-btn bar-label" title={hintOf(d.key)} onClick={(e) => onPick(d.key, e)}>{labelOf(d.key)}</button>
+            <span className="bar-track"><span className="bar-fill" style={{ width: `${(d.count / Math.max(...items.map(x => x.count))) * 100}%` }} /></span>
+            <span className="bar-count">{d.count}</span>
+          </li>
+        ))}
+      </ul>
+    ) : <div className="muted">None in view.</div>}
+  </div>
+);
 
 /* ===================================================================== */
 /*                                MAIN                                   */
 /* ===================================================================== */
 export default function FacultyPubsDashboard() {
-  const [rows, setRows]       = useState([]);
+  const [baseRows, setBaseRows] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]); // every source record with its normalized row (data quality report)
+  const [unmappedFields, setUnmappedFields] = useState({}); // source fields the adapter does not read (data quality report)
   const [loading, setLoading] = useState(true);
   const [error, setError]     = useState("");
 
-  // filters
-  const [q, setQ] = useState("");
-  const dq = useDeferredValue(q.toLowerCase());
-  const [yearSel,  setYearSel]  = useState(null);
-  const [monthSel, setMonthSel] = useState(null);
-  const [authorSel, setAuthorSel] = useState("");
-  const [subjectSel, setSubjectSel] = useState("");
-  const [topicSel, setTopicSel] = useState("");
+  // locally imported BibTeX/RIS records (canonical shape), merged over the dataset
+  const [imports, setImports] = useState(loadLocalImports);
+  const [importMsg, setImportMsg] = useState("");
+  const [dropActive, setDropActive] = useState(false);
+  const importedRows = useMemo(() => imports
+    .map((r, i) => ({ ...normalizeRow({ ...r, id: `local-${dedupeKey(r)}` }, i), imported: true }))
+    .filter(keepRow), [imports]);
+  const rows = useMemo(() => mergeImportedRows(baseRows, importedRows), [baseRows, importedRows]);
+  const localCount = rows.length - baseRows.length;
+  useEffect(() => { saveLocalImports(imports); }, [imports]);
+
+  // filters (seeded from the URL)
+  const [urlFilters] = useState(readUrlFilters);
+  const [q, setQ] = useState(urlFilters.q);
+  const dq = useDeferredValue(q);
+  const [yearSel,  setYearSel]  = useState(urlFilters.yearSel);
+  const [monthSel, setMonthSel] = useState(urlFilters.monthSel);
+  const [authorSel, setAuthorSel] = useState(urlFilters.authorSel);
+  const [authorMode, setAuthorMode] = useState(urlFilters.authorMode);
+  const [subjectSel, setSubjectSel] = useState(urlFilters.subjectSel);
+  const [topicSel, setTopicSel] = useState(urlFilters.topicSel);
+  const [venueSel, setVenueSel] = useState(urlFilters.venueSel); // canonical venue names (venueNormalize.js)
+  const [typeSel, setTypeSel] = useState(urlFilters.typeSel);       // Crossref work types
+  const [funderSel, setFunderSel] = useState(urlFilters.funderSel); // funder names
+  const [licenseSel, setLicenseSel] = useState(urlFilters.licenseSel); // license labels (crossrefMeta.js)
+  const [oaSel, setOaSel] = useState(urlFilters.oaSel);                // open-access statuses (openAccess.js)
+  const [dedupe, setDedupe] = useState(urlFilters.dedupe);       // count each duplicate/version cluster once
+  const [sortMode, setSortMode] = useState(urlFilters.sortMode);
+  const [profileId, setProfileId] = useState(urlFilters.profileId); // open author profile (?person=)
+  const [view, setView] = useState(urlFilters.view);                // "quality" = data quality report (?view=)
 
   // year range via Brush (inclusive)
-  const [yearRange, setYearRange] = useState(null);
+  const [yearRange, setYearRange] = useState(urlFilters.yearRange);
   const [brushIdx, setBrushIdx] = useState({ start: 0, end: 0 });
 
-  // table paging
-  const [page, setPage] = useState(0);
+  // table paging; back to the first page whenever the filters change (reset during render so the
+  // URL never records the new filters with the old page)
+  const [page, setPage] = useState(urlFilters.page);
   const PAGE_SIZE = 50;
-  useEffect(() => { setPage(0); }, [dq, yearSel, monthSel, authorSel, subjectSel, topicSel, yearRange]);
+  const filterKey = filterKeyOf({ q, yearSel, monthSel, yearRange, authorSel, authorMode, subjectSel, topicSel, venueSel, typeSel, funderSel, licenseSel, oaSel, dedupe, sortMode });
+  const [pageFilterKey, setPageFilterKey] = useState(filterKey);
+  if (pageFilterKey !== filterKey) { setPageFilterKey(filterKey); setPage(0); }
 
   /* ------------------------------ Load ------------------------------ */
   useEffect(() => {
     (async () => {
       setLoading(true); setError("");
       const json = await tryFetchJson("data/faculty_pubs.json");
-      if (!json) { setError("Could not load /data/faculty_pubs.json"); setRows([]); setLoading(false); return; }
-
-      const cleaned = (Array.isArray(json) ? json : [])
-        .map((r, i) => {
-          const type   = cleanText(r.type || "");
-          const format = cleanText(r.format || "");
-          let authors  = collectAuthors(r);
-          const fixed  = fixTitleAndAuthors(r.title || "", r.venue || "", authors);
-          authors      = fixed.authors;
-          const title  = fixed.title;
-          const venue  = fixed.venue;
-
-          const subjects = collectSubjects(r);
-
-          const topic    = inferTopic({ title, url: r.url ?? "", year: r.year });
-
-          // year/month extraction
-          let year  = coerceInt(r.year,  MIN_YEAR, 3000);
-          let month = coerceInt(r.month, 1, 12);
-          if (month == null && typeof r.month === "string") {
-            const k = r.month.trim().toLowerCase();
-            month = MONTH_NAME_TO_NUM[k] ?? MONTH_NAME_TO_NUM[k.slice(0,3)] ?? null;
-          }
-          if (year == null || month == null) {
-            const ym = parseYearMonthFromAny(r);
-            if (year  == null && ym.year  != null) year  = coerceInt(ym.year,  MIN_YEAR, 3000);
-            if (month == null && ym.month != null) month = coerceInt(ym.month, 1, 12);
-          }
-
-          const url   = cleanText(r.url || r.link || "");
-          const id = String(r.id || `${year || "x"}-${title}-${i}`)
-            .normalize("NFKD").replace(/[^\w\-]+/g, "-").slice(0, 160);
-
-          return {
-            id, title, venue, type, format, authors, subjects, topic, year, month, url,
-            lcTitle: (title || "").toLowerCase(),
-            lcVenue: (venue || "").toLowerCase(),
-            lcSubjects: subjects.map(s => s.toLowerCase()),
-            lcAuthors: authors.map(a => a.toLowerCase())
-          };
-        })
-        .filter(r => r.title)
-        .filter(r => !r.year || (r.year >= MIN_YEAR && r.year <= new Date().getFullYear() + 1));
-
-      setRows(cleaned);
+      if (!json) { setError("Could not load /data/faculty_pubs.json"); setBaseRows([]); setLoading(false); return; }
+
+      const source = normalizeSource(json);
+      if (!source.adapter) { setError("Unrecognized data format in /data/faculty_pubs.json"); setBaseRows([]); setLoading(false); return; }
+
+      const normalized = source.records.map(normalizeRow);
+      const cleaned = normalized.filter(keepRow);
+
+      setAuditEntries(source.records.map((record, i) => ({ record, row: normalized[i], kept: keepRow(normalized[i]) })));
+      setUnmappedFields(source.unmapped);
+      setBaseRows(cleaned);
       setLoading(false);
 
-      // background title fix via Crossref
-      const cache = loadCrCache();
-      fillRealTitles(cleaned, { cache, max: 80 }).then(({ rows: enriched, cache: newCache }) => {
-        saveCrCache(newCache);
+      // background title fix via Crossref, for rows not enriched at build time
+      getEnrichCache().then(cache => fillRealTitles(cleaned, { cache, max: 80 })).then(({ rows: enriched }) => {
         const changed = enriched.some((r, idx) => r.title !== cleaned[idx]?.title || r.venue !== cleaned[idx]?.venue);
         if (!changed) return;
 
-        setRows(prev => {
+        setBaseRows(prev => {
           const prevMap = new Map(prev.map(x => [x.id, x]));
           return enriched.map(r => {
             const before = prevMap.get(r.id);
             const titleChanged = before && r.title !== before.title;
             return titleChanged
-              ? { ...r, topic: inferTopic({ title: r.title, url: r.url, year: r.year }) }
+              ? { ...r, topic: inferTopic({ title: r.title, url: r.url, venue: r.venue, year: r.year }) }
               : r;
           });
         });
@@ -374,44 +602,103 @@ export default function FacultyPubsDashboard() {
     })();
   }, []);
 
+  // curated author aliases and the division roster (both optional; undefined until the request settles,
+  // see authorIdentity.js / facultyRoster.js)
+  const [authorAliases, setAuthorAliases] = useState(undefined);
+  const [rosterJson, setRosterJson] = useState(undefined);
+  useEffect(() => {
+    tryFetchJson("data/author_aliases.json").then(setAuthorAliases);
+    tryFetchJson("data/faculty_roster.json").then(setRosterJson);
+  }, []);
+
+  /* ------------------------------ Derived: author identities ------------------------------ */
+  // Bylines -> canonical person ids; every author aggregate and the author filter work on ids, the table shows bylines
+  // roster names and aliases are curated groups, so a member's papers under every listed variant are one person
+  const identities = useMemo(
+    () => buildAuthorIdentities(rows, { aliases: authorAliases, roster: parseRoster(rosterJson) }),
+    [rows, authorAliases, rosterJson]
+  );
+  const personName = (id) => identities.people.get(id)?.name || id;
+
+  // printed journal names -> canonical venues (bundled abbreviation/ISSN table + fuzzy matching)
+  const venues = useMemo(() => buildVenueIndex(rows), [rows]);
+
+  // repeated entries, preprint -> published pairs and correction notices (see duplicateDetect.js)
+  const dupes = useMemo(() => detectDuplicates(rows, { authorsOf: identities.authorIdsOf }), [rows, identities]);
+  const counted = (r) => !dedupe || !dupes.collapsed.has(r.id);
+
+  // roster members are "our" authors; with a roster the Authors chart and KPI can be limited to them
+  const roster = useMemo(() => resolveRoster(rosterJson, identities), [rosterJson, identities]);
+  const hasRoster = roster.byId.size > 0;
+  const [rosterOnly, setRosterOnly] = useState(true);
+  const rosterScope = hasRoster && rosterOnly;
+  const countsAsAuthor = (id) => !rosterScope || roster.byId.has(id);
+
+  /* ------------------------------ Derived: search ------------------------------ */
+  // Inverted index (rebuilt only when the row set changes); unfielded search terms also match fuzzily through it
+  const searchIndex = useMemo(() => buildSearchIndex(rows), [rows]);
+  const searchQuery = useMemo(() => parseSearchQuery(dq, {
+    freeTerm: (value, phrase) => {
+      if (phrase) return null;
+      const ids = matchingIds(searchIndex, value);
+      return ids && ((r) => ids.has(r.id));
+    },
+  }), [dq, searchIndex]);
+  const relevance = useMemo(
+    () => (searchQuery.terms.length ? rankRows(searchIndex, searchQuery.terms) : null),
+    [searchIndex, searchQuery]
+  );
+  const byRelevance = sortMode === "relevance" && !!relevance;
+  const mark = (text) => highlightParts(text, relevance?.stems).map((p, i) => (p.hit ? <mark key={i}>{p.text}</mark> : p.text));
+
   /* ------------------------------ Derived: filtering ------------------------------ */
+  // authors facet: any-of, or all-of (papers co-authored by every selected author)
+  const matchesAuthors = useMemo(() => {
+    if (!authorSel.length) return () => true;
+    return authorMode === "all"
+      ? (r) => authorSel.every(a => identities.authorIdsOf(r).includes(a))
+      : (r) => authorSel.some(a => identities.authorIdsOf(r).includes(a));
+  }, [authorSel, authorMode, identities]);
+
+  // enrichment facets (type, funder, license from Crossref; open-access status from Unpaywall), each any-of
+  const matchesMeta = useMemo(() => (r) =>
+    (!typeSel.length || typeSel.includes(r.type)) &&
+    (!funderSel.length || funderNamesOf(r).some(f => funderSel.includes(f))) &&
+    (!licenseSel.length || licenseSel.includes(r.license?.label)) &&
+    (!oaSel.length || oaSel.includes(oaStatusOf(r))), [typeSel, funderSel, licenseSel, oaSel]);
+
   const filtered = useMemo(() => {
-    const query = dq.trim();
-    return rows.filter(r => {
-      const inExactYear = !yearSel || r.year === yearSel;
+    const out = rows.filter(r => {
+      const inExactYear = !yearSel.length || yearSel.includes(r.year);
       const inRange = !yearRange || (isNum(r.year) && r.year >= yearRange.from && r.year <= yearRange.to);
       const inMonth   = !monthSel   || r.month === monthSel;
-      const inAuthor  = !authorSel  || (r.authors || []).includes(authorSel);
+      const inAuthor  = matchesAuthors(r);
       const subs      = r.subjects?.length ? r.subjects : [UNSPECIFIED];
-      const inSubject = !subjectSel || subs.includes(subjectSel);
-      const inTopic   = !topicSel   || (r.topic || "Other") === topicSel;
+      const inSubject = !subjectSel.length || subjectSel.some(x => subs.includes(x));
+      const inTopic   = !topicSel.length   || topicSel.includes(r.topic || "Other");
+      const inVenue   = !venueSel.length   || venueSel.includes(venues.canonOf(r));
 
-      const inQuery = !query
-        || r.lcTitle.includes(query)
-        || r.lcVenue.includes(query)
-        || r.lcSubjects.some(s => s.includes(query))
-        || r.lcAuthors.some(a => a.includes(query));
+      const inQuery   = searchQuery.match(r);
 
-      return inExactYear && inRange && inMonth && inAuthor && inSubject && inTopic && inQuery;
+      return inExactYear && inRange && inMonth && inAuthor && inSubject && inTopic && inVenue && matchesMeta(r) && inQuery && counted(r);
     });
-  }, [rows, dq, yearSel, yearRange, monthSel, authorSel, subjectSel, topicSel]);
+    if (byRelevance) out.sort((a, b) => (relevance.scores.get(b.id) || 0) - (relevance.scores.get(a.id) || 0));
+    else if (sortMode === "citations") out.sort((a, b) => (citationCount(b) ?? -1) - (citationCount(a) ?? -1));
+    return out;
+  }, [rows, searchQuery, yearSel, yearRange, monthSel, matchesAuthors, subjectSel, topicSel, venueSel, venues, matchesMeta, dedupe, dupes, byRelevance, relevance, sortMode]);
 
   // for Year bars completeness (ignore time filters)
   const filteredNoTime = useMemo(() => {
-    const query = dq.trim();
     return rows.filter(r => {
-      const inAuthor  = !authorSel  || (r.authors || []).includes(authorSel);
+      const inAuthor  = matchesAuthors(r);
       const subs      = r.subjects?.length ? r.subjects : [UNSPECIFIED];
-      const inSubject = !subjectSel || subs.includes(subjectSel);
-      const inTopic   = !topicSel   || (r.topic || "Other") === topicSel;
-      const inQuery = !query
-        || r.lcTitle.includes(query)
-        || r.lcVenue.includes(query)
-        || r.lcSubjects.some(s => s.includes(query))
-        || r.lcAuthors.some(a => a.includes(query));
-      return inAuthor && inSubject && inTopic && inQuery;
+      const inSubject = !subjectSel.length || subjectSel.some(x => subs.includes(x));
+      const inTopic   = !topicSel.length   || topicSel.includes(r.topic || "Other");
+      const inVenue   = !venueSel.length   || venueSel.includes(venues.canonOf(r));
+      const inQuery   = searchQuery.match(r);
+      return inAuthor && inSubject && inTopic && inVenue && matchesMeta(r) && inQuery && counted(r);
     });
-  }, [rows, dq, authorSel, subjectSel, topicSel]);
+  }, [rows, searchQuery, matchesAuthors, subjectSel, topicSel, venueSel, venues, matchesMeta, dedupe, dupes]);
 
   /* ------------------------------ Paging ------------------------------ */
   const totalRows  = filtered.length;
@@ -420,6 +707,73 @@ export default function FacultyPubsDashboard() {
   const endIndex   = Math.min(startIndex + PAGE_SIZE, totalRows);
   const tableRows  = filtered.slice(startIndex, endIndex);
 
+  /* ------------------------------ URL sync ------------------------------ */
+  // Filter changes push a history entry (typing in the search box or dragging the year brush is coalesced into one);
+  // restored or corrected URLs are replaced in place.
+  const urlSyncRef = useRef({ state: urlFilters, at: 0, replace: true });
+  useEffect(() => {
+    const state = { q, yearSel, monthSel, yearRange, authorSel, authorMode, subjectSel, topicSel, venueSel, typeSel, funderSel, licenseSel, oaSel, dedupe, page, sortMode, profileId, view };
+    const prev = urlSyncRef.current;
+    const now = Date.now();
+    urlSyncRef.current = { state, at: now, replace: false };
+    const search = serializeFilterQuery(state);
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const continuing = now - prev.at < 1500
+      && (changedOnly(prev.state, state, ["q"]) || changedOnly(prev.state, state, ["yearRange", "yearSel"]));
+    if (prev.replace || continuing) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  }, [q, yearSel, monthSel, yearRange, authorSel, authorMode, subjectSel, topicSel, venueSel, typeSel, funderSel, licenseSel, oaSel, dedupe, page, sortMode, profileId, view]);
+
+  const [urlCheckPending, setUrlCheckPending] = useState(true);
+  useEffect(() => {
+    const onPop = () => {
+      const s = readUrlFilters();
+      urlSyncRef.current = { ...urlSyncRef.current, replace: true };
+      setPageFilterKey(filterKeyOf(s));
+      setQ(s.q); setYearSel(s.yearSel); setMonthSel(s.monthSel); setYearRange(s.yearRange);
+      setAuthorSel(s.authorSel); setAuthorMode(s.authorMode); setSubjectSel(s.subjectSel); setTopicSel(s.topicSel); setVenueSel(s.venueSel); setDedupe(s.dedupe); setPage(s.page); setSortMode(s.sortMode);
+      setTypeSel(s.typeSel); setFunderSel(s.funderSel); setLicenseSel(s.licenseSel); setOaSel(s.oaSel);
+      setProfileId(s.profileId); setView(s.view);
+      setUrlCheckPending(true);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  // Once data is in, drop URL selections that match no publication and clamp the page
+  useEffect(() => {
+    if (!urlCheckPending || loading || !rows.length || authorAliases === undefined || rosterJson === undefined) return;
+    setUrlCheckPending(false);
+    // authors are person ids; a byline or an older id from an earlier link ("Knight JC", "wang-p") is mapped onto its person
+    const authorIds = [...new Set(authorSel.map(identities.resolveId).filter(Boolean))];
+    const person = profileId && identities.resolveId(profileId);
+    // venues likewise: a printed name ("PLoS ONE") becomes its canonical venue
+    const venueNames = [...new Set(venueSel.map(v => (venues.names.has(v) ? v : venues.canonOf({ venue: v }))).filter(Boolean))];
+    const fixes = [
+      authorIds.join("\n") !== authorSel.join("\n") && (() => setAuthorSel(authorIds)),
+      profileId && person !== profileId && (() => setProfileId(person || null)),
+      venueNames.join("\n") !== venueSel.join("\n") && (() => setVenueSel(venueNames)),
+      ...[
+        [subjectSel, setSubjectSel, r => (r.subjects?.length ? r.subjects : [UNSPECIFIED])],
+        [topicSel, setTopicSel, r => [r.topic || "Other"]],
+        [typeSel, setTypeSel, r => [r.type]],
+        [funderSel, setFunderSel, funderNamesOf],
+        [licenseSel, setLicenseSel, r => [r.license?.label]],
+        [oaSel, setOaSel, r => [oaStatusOf(r)]],
+      ].map(([sel, set, valuesOf]) => {
+        if (!sel.length) return null;
+        const known = new Set(rows.flatMap(valuesOf));
+        const kept = sel.filter(v => known.has(v));
+        return kept.length !== sel.length && (() => set(kept));
+      }),
+      page > totalPages - 1 && (() => setPage(totalPages - 1)),
+    ].filter(Boolean);
+    if (!fixes.length) return;
+    urlSyncRef.current = { ...urlSyncRef.current, replace: true };
+    fixes.forEach(fix => fix());
+  }, [urlCheckPending, loading, rows, authorAliases, rosterJson, identities, authorSel, profileId, subjectSel, topicSel, venueSel, venues, typeSel, funderSel, licenseSel, oaSel, page, totalPages]);
+
   /* ------------------------------ Charts data ------------------------------ */
   const byYear = useMemo(() => {
     const counts = new Map();
@@ -444,7 +798,7 @@ export default function FacultyPubsDashboard() {
 
   const filteredForHeat = useMemo(() => {
     let base = filteredNoTime;
-    if (yearSel != null) base = base.filter(r => r.year === yearSel);
+    if (yearSel.length) base = base.filter(r => yearSel.includes(r.year));
     else if (yearRange) base = base.filter(r => isNum(r.year) && r.year >= yearRange.from && r.year <= yearRange.to);
     if (monthSel != null) base = base.filter(r => r.month === monthSel);
     return base;
@@ -500,14 +854,95 @@ export default function FacultyPubsDashboard() {
   const topAuthors = useMemo(() => {
     const src = filtered.length ? filtered : rows;
     const map = new Map();
-    for (const r of src) for (const a of (r.authors || [])) {
-      const k = a.replace(/\s+/g, " ").trim(); if (!k) continue;
-      map.set(k, (map.get(k) || 0) + 1);
-    }
-    return Array.from(map, ([author, count]) => ({ author, count }))
+    for (const r of src) for (const id of identities.authorIdsOf(r)) if (countsAsAuthor(id)) map.set(id, (map.get(id) || 0) + 1);
+    return Array.from(map, ([id, count]) => {
+      const p = identities.people.get(id);
+      return { id, author: p?.name || id, variants: (p?.variants || []).map(v => v.name), count };
+    })
       .sort((a, b) => b.count - a.count || a.author.localeCompare(b.author))
       .slice(0, 10);
-  }, [filtered, rows]);
+  }, [filtered, rows, identities, rosterScope, roster]);
+
+  // most frequent canonical venues, each with its per-year counts over the Year chart's span (time filters ignored)
+  const topVenues = useMemo(() => {
+    const counts = new Map();
+    for (const r of filtered) { const v = venues.canonOf(r); if (v) counts.set(v, (counts.get(v) || 0) + 1); }
+    const top = Array.from(counts, ([venue, count]) => ({ venue, count }))
+      .sort((a, b) => b.count - a.count || a.venue.localeCompare(b.venue))
+      .slice(0, 10);
+    const col = new Map(byYear.map((d, i) => [d.year, i]));
+    const trend = new Map(top.map(d => [d.venue, byYear.map(() => 0)]));
+    for (const r of filteredNoTime) {
+      const t = trend.get(venues.canonOf(r));
+      if (t && col.has(r.year)) t[col.get(r.year)]++;
+    }
+    return top.map(d => ({
+      ...d,
+      variants: (venues.names.get(d.venue)?.variants || []).map(v => v.name).filter(n => n !== d.venue),
+      trend: trend.get(d.venue),
+    }));
+  }, [filtered, filteredNoTime, venues, byYear]);
+
+  // co-authorship network over the filtered rows (layout runs in a worker, see CoauthorNetwork.jsx)
+  const [netMinWeight, setNetMinWeight] = useState(1);
+  const [netDownweight, setNetDownweight] = useState(true);
+  const network = useMemo(() => buildCoauthorGraph(filtered, identities, {
+    maxNodes: NET_MAX_NODES,
+    minWeight: netMinWeight,
+    largeTeam: netDownweight ? LARGE_TEAM : 0,
+    include: (id) => !rosterScope || roster.byId.has(id),
+  }), [filtered, identities, netMinWeight, netDownweight, rosterScope, roster]);
+
+  // publication type, funder and license counts in view (Crossref metadata, see crossrefMeta.js)
+  const hasCrossrefMeta = useMemo(() => rows.some(r => r.type || r.funders.length || r.license), [rows]);
+  const metaFacets = useMemo(() => {
+    const count = (valuesOf, limit) => {
+      const m = new Map();
+      for (const r of filtered) for (const v of new Set(valuesOf(r))) if (v) m.set(v, (m.get(v) || 0) + 1);
+      return [...m].map(([key, n]) => ({ key, count: n })).sort((a, b) => b.count - a.count || a.key.localeCompare(b.key)).slice(0, limit);
+    };
+    return { types: count(r => [r.type], 8), funders: count(funderNamesOf, 12), licenses: count(r => [r.license?.label], 8) };
+  }, [filtered]);
+
+  // citation counts captured at build time (see citationMetrics.js); indicators cover the papers in view
+  const hasCitations = useMemo(() => rows.some(r => r.citedBy), [rows]);
+  const citationSources = useMemo(() => {
+    const seen = new Map();
+    for (const r of rows) if (r.citedBy && !seen.has(r.citedBy.source)) seen.set(r.citedBy.source, r.citedBy.retrieved_at);
+    return [...seen].map(([source, at]) => `${source === "openalex" ? "OpenAlex" : "Crossref"}${at ? ` (${String(at).slice(0, 10)})` : ""}`).join(", ");
+  }, [rows]);
+  const topCited = useMemo(() => mostCited(filtered, 10), [filtered]);
+  const impact = useMemo(() => {
+    if (!hasCitations) return [];
+    return authorImpact(filtered, identities, { include: countsAsAuthor })
+      .filter(d => d.counted)
+      .slice(0, 15)
+      .map(d => ({ ...d, author: personName(d.id) }));
+  }, [hasCitations, filtered, identities, rosterScope, roster]);
+
+  // open-access status (Unpaywall, see openAccess.js): facet over the rows in view, share by year ignoring time filters
+  const hasOa = useMemo(() => rows.some(r => r.oa), [rows]);
+  const oaFacet = useMemo(() => {
+    const m = new Map();
+    for (const r of filtered) { const k = oaStatusOf(r); m.set(k, (m.get(k) || 0) + 1); }
+    return [...OA_STATUSES, OA_UNKNOWN].filter(k => m.has(k)).map(key => ({ key, count: m.get(key) }));
+  }, [filtered]);
+  const oaByYear = useMemo(() => oaShareByYear(filteredNoTime), [filteredNoTime]);
+  const oaShare = useMemo(() => {
+    const known = filtered.filter(r => r.oa);
+    return known.length ? known.filter(r => r.oa.status !== "closed").length / known.length : null;
+  }, [filtered]);
+
+  // per-member output, counting only papers from the member's time in the division
+  const facultyOutput = useMemo(() => {
+    if (!hasRoster) return [];
+    const span = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+    const ys = rows.map(r => r.year).filter(isNum);
+    const years = yearSel.length ? yearSel
+      : yearRange ? span(yearRange.from, yearRange.to)
+      : ys.length ? span(Math.min(...ys), Math.max(...ys)) : [];
+    return memberOutput(filtered, roster, identities, { years });
+  }, [hasRoster, rows, filtered, roster, identities, yearSel, yearRange]);
 
   const kpi = {
     total: filtered.length,
@@ -515,43 +950,166 @@ export default function FacultyPubsDashboard() {
       const ys = filtered.map(r => r.year).filter(isNum).sort((a,b)=>a-b);
       return ys.length ? `${ys[0]}–${ys[ys.length-1]}` : "—";
     })(),
-    venues: new Set(filtered.map(r => r.venue).filter(Boolean)).size,
-    authors: new Set(filtered.flatMap(r => r.authors || [])).size,
+    venues: new Set(filtered.map(venues.canonOf).filter(Boolean)).size,
+    authors: new Set(filtered.flatMap(r => identities.authorIdsOf(r)).filter(countsAsAuthor)).size,
   };
 
-  /* ------------------------------ PDF export ------------------------------ */
-  const captureRef = useRef(null);
-  async function handleExportPDF() {
-    if (!captureRef.current) return;
-    captureRef.current.classList.add("exporting");
-    await new Promise(r => setTimeout(r, 250));
-    const node = captureRef.current;
-    const canvas = await html2canvas(node, { backgroundColor: "#ffffff", scale: window.devicePixelRatio < 2 ? 2 : window.devicePixelRatio, useCORS: true, logging: false });
-    const imgData = canvas.toDataURL("image/png");
-    const pdf = new jsPDF({ unit: "pt", format: "a4", compress: true });
-    const pageW = pdf.internal.pageSize.getWidth();
-    const pageH = pdf.internal.pageSize.getHeight();
-    const imgW = pageW;
-    const imgH = (canvas.height * imgW) / canvas.width;
-    if (imgH <= pageH) pdf.addImage(imgData, "PNG", 0, 0, imgW, imgH);
-    else {
-      let srcY = 0;
-      const sliceHpx = Math.floor((canvas.width * pageH) / pageW);
-      const tmp = document.createElement("canvas");
-      tmp.width = canvas.width; tmp.height = sliceHpx;
-      const ctx = tmp.getContext("2d");
-      let first = true;
-      while (srcY < canvas.height) {
-        ctx.clearRect(0, 0, tmp.width, tmp.height);
-        ctx.drawImage(canvas, 0, srcY, tmp.width, sliceHpx, 0, 0, tmp.width, sliceHpx);
-        const slice = tmp.toDataURL("image/png");
-        if (!first) pdf.addPage();
-        pdf.addImage(slice, "PNG", 0, 0, imgW, pageH);
-        first = false; srcY += sliceHpx;
-      }
+  /* ------------------------------ BibTeX / RIS import ------------------------------ */
+  async function handleImportFiles(fileList) {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    const added = [], problems = [];
+    for (const f of files) {
+      const res = parseReferenceFile(f.name, await f.text());
+      added.push(...res.records);
+      problems.push(...res.errors);
+    }
+    setImports(prev => {
+      const byKey = new Map(prev.map(r => [dedupeKey(r), r]));
+      for (const r of added) byKey.set(dedupeKey(r), r);
+      return [...byKey.values()];
+    });
+    setImportMsg(`Imported ${added.length} record${added.length === 1 ? "" : "s"} from ${files.map(f => f.name).join(", ")}`
+      + (problems.length ? ` · ${problems.length} skipped (${shorten(problems[0], 60)})` : ""));
+  }
+
+  function handleExportImports() {
+    const local = rows.filter(r => r.imported);
+    const keys = new Set(local.map(dedupeKey));
+    const records = imports.filter(r => keys.has(dedupeKey(r))).map(toDatasetRecord);
+    downloadBlob(JSON.stringify(records, null, 2) + "\n", "local-imports.json", "application/json");
+  }
+
+  function handleClearImports() {
+    setImports([]); setImportMsg("");
+  }
+
+  const dropHandlers = {
+    onDragOver: (e) => { if (e.dataTransfer?.types?.includes("Files")) { e.preventDefault(); setDropActive(true); } },
+    onDragLeave: (e) => { if (e.currentTarget === e.target) setDropActive(false); },
+    onDrop: (e) => { e.preventDefault(); setDropActive(false); handleImportFiles(e.dataTransfer?.files); },
+  };
+
+  /* ------------------------------ Reference export ------------------------------ */
+  const exportMenuRef = useRef(null);
+  function handleExportReferences(format) {
+    const out = exportReferences(filtered, format);
+    downloadBlob(out.text, out.fileName, out.mime);
+    if (exportMenuRef.current) exportMenuRef.current.open = false;
+  }
+
+  /* ------------------------------ Data export (CSV / XLSX) ------------------------------ */
+  // [label, value] pairs mirroring the Active Filters chips
+  const activeFilters = useMemo(() => [
+    q.trim()  && ["Search", q.trim()],
+    yearSel.length    && [yearSel.length > 1 ? "Years" : "Year", yearSel.join(", ")],
+    yearRange         && ["Years", `${yearRange.from}–${yearRange.to}`],
+    monthSel          && ["Month", MONTHS[monthSel - 1]],
+    authorSel.length  && [authorSel.length > 1 ? `Authors (${authorMode === "all" ? "all of" : "any of"})` : "Author", authorSel.map(personName).join("; ")],
+    subjectSel.length && [subjectSel.length > 1 ? "Subjects (any of)" : "Subject", subjectSel.join("; ")],
+    topicSel.length   && [topicSel.length > 1 ? "Topics (any of)" : "Topic", topicSel.join("; ")],
+    venueSel.length   && [venueSel.length > 1 ? "Venues (any of)" : "Venue", venueSel.join("; ")],
+    typeSel.length    && [typeSel.length > 1 ? "Types (any of)" : "Type", typeSel.map(typeLabel).join("; ")],
+    funderSel.length  && [funderSel.length > 1 ? "Funders (any of)" : "Funder", funderSel.join("; ")],
+    licenseSel.length && [licenseSel.length > 1 ? "Licenses (any of)" : "License", licenseSel.join("; ")],
+    oaSel.length      && [oaSel.length > 1 ? "Open access (any of)" : "Open access", oaSel.map(oaLabel).join("; ")],
+    dedupe            && ["Duplicates", "each paper counted once"],
+  ].filter(Boolean), [q, yearSel, yearRange, monthSel, authorSel, authorMode, subjectSel, topicSel, venueSel, typeSel, funderSel, licenseSel, oaSel, dedupe, identities]);
+
+  function handleExportData(format) {
+    const tables = buildExportTables({ rows: filtered, byYear, byMonth, bySubject: bySubjectRaw, byTopic, topAuthors, topVenues, heat, authorImpact: impact });
+    const out = exportDataFile(tables, { filters: activeFilters, format });
+    downloadBlob(out.bytes, out.fileName, out.mime);
+    if (exportMenuRef.current) exportMenuRef.current.open = false;
+  }
+
+  /* ------------------------------ Citations ------------------------------ */
+  const [citeStyle, setCiteStyle] = useState("vancouver");
+  const [copied, setCopied] = useState(null); // { key, ok }
+  useEffect(() => {
+    if (!copied) return;
+    const t = setTimeout(() => setCopied(null), 1600);
+    return () => clearTimeout(t);
+  }, [copied]);
+
+  async function handleCopyCitation(row) {
+    const ok = await copyToClipboard(formatCitation(row, citeStyle), formatCitation(row, citeStyle, { html: true }));
+    setCopied({ key: row.id, ok });
+  }
+  async function handleCopyAll(list = filtered, key = "all") {
+    const ok = await copyToClipboard(formatBibliography(list, citeStyle), formatBibliography(list, citeStyle, { html: true }));
+    setCopied({ key, ok });
+  }
+  const copyLabel = (key, idle) => (copied?.key === key ? (copied.ok ? "Copied ✓" : "Copy failed") : idle);
+
+  // record detail panel (abstract, funders, license … see RecordDetail.jsx)
+  const [detailId, setDetailId] = useState(null);
+  const detailRow = detailId ? rows.find(r => r.id === detailId) : null;
+
+  /* ------------------------------ Author profile ------------------------------ */
+  // Full-page view of one person (?person=<id>); ignores the dashboard filters so the page is the same for everyone
+  const profile = useMemo(
+    () => (profileId && identities.people.has(profileId) ? buildAuthorProfile(rows, profileId, identities, { venueOf: venues.canonOf }) : null),
+    [rows, profileId, identities, venues]
+  );
+  const openProfile = (id) => {
+    if (!id) return;
+    setDetailId(null);
+    setProfileId(id);
+    window.scrollTo(0, 0);
+  };
+  useEffect(() => {
+    const base = "Faculty Publications";
+    document.title = profile ? `${profile.person.name} · ${base}` : view === "quality" ? `Data quality · ${base}` : base;
+  }, [profile, view]);
+
+  /* ------------------------------ Data quality ------------------------------ */
+  // Dropped, repaired and incomplete source records (?view=quality); Crossref title repairs show up once they land
+  const quality = useMemo(() => auditRecords(auditEntries, {
+    minYear: MIN_YEAR,
+    maxYear: new Date().getFullYear() + 1,
+    isAuthorList: looksLikeAuthorList,
+    finalById: new Map(baseRows.map(r => [r.id, r])),
+    unmapped: unmappedFields,
+  }), [auditEntries, baseRows, unmappedFields]);
+  const openQuality = () => {
+    setProfileId(null); setView("quality");
+    window.scrollTo(0, 0);
+  };
+  // browser-side Crossref cache (enrichCache.js), shown and cleared from the data quality view
+  const [cacheCount, setCacheCount] = useState(null);
+  useEffect(() => {
+    if (view !== "quality") return;
+    getEnrichCache().then(c => c.count()).then(setCacheCount).catch(() => setCacheCount(0));
+  }, [view]);
+  async function handleClearCache() {
+    const cache = await getEnrichCache();
+    await cache.clear();
+    setCacheCount(await cache.count());
+  }
+
+  function handleExportQuality(format, items) {
+    const table = qualityTable(items);
+    if (format === "csv") {
+      downloadBlob(toCsv([table.columns, ...table.rows]), `data-quality-${new Date().toISOString().slice(0, 10)}.csv`, "text/csv");
+      return;
     }
-    captureRef.current.classList.remove("exporting");
-    pdf.save("faculty-publications-dashboard.pdf");
+    const out = exportDataFile([table], { filters: [["View", "Data quality report"]], format, baseName: "faculty-publications-data-quality" });
+    downloadBlob(out.bytes, out.fileName, out.mime);
+  }
+
+  /* ------------------------------ PDF export ------------------------------ */
+  // Text + vector report of the current view (title page, charts, full filtered table)
+  function handleExportPDF() {
+    const doc = buildPdfReport({
+      rows: filtered,
+      kpis: [["Total", kpi.total], ["Year span", kpi.years], ["Venues", kpi.venues], ["Authors", kpi.authors]],
+      filters: activeFilters,
+      charts: { byYear, byMonth, heat, byTopic, bySubject, topAuthors, topVenues },
+      colors: { months: MONTH_COLORS, heat: heatColor },
+      subtitle: "Faculty of Medicine | Division of Population Health and Applied Health Sciences",
+    });
+    doc.save("faculty-publications-report.pdf");
   }
 
   /* ------------------------------ Heatmap panel ------------------------------ */
@@ -597,12 +1155,12 @@ export default function FacultyPubsDashboard() {
                   {yearsList.map((y) => {
                     const v = heat.get(y, m);
                     const bg = heatColor(v, heat.vmax);
-                    const selected = yearSel === y && monthSel === m;
+                    const selected = yearSel.includes(y) && monthSel === m;
                     return (
                       <button
                         key={`cell-${y}-${m}`}
                         title={`${mLabel} ${y}: ${v} publications`}
-                        onClick={() => { setYearSel(y); setMonthSel(m); setYearRange(null); }}
+                        onClick={(e) => { setYearSel(prev => (isAdditiveClick(e) ? nextSelection(prev, y, true) : [y])); setMonthSel(m); setYearRange(null); }}
                         className={`heat-cell${selected ? " selected" : ""}`}
                         style={{ width: colW, height: rowH, background: bg, boxShadow: "inset 0 -1px 0 rgba(255,255,255,.35), 0 0 0 1px rgba(17,24,39,.04)" }}
                       >
@@ -630,7 +1188,7 @@ export default function FacultyPubsDashboard() {
 
   /* ------------------------------ UI ------------------------------ */
   return (
-    <div ref={captureRef} className="wrap pretty" style={{ margin: "12px auto", padding: "0 8px" }}>
+    <div className={`wrap pretty${dropActive ? " drop-active" : ""}`} style={{ margin: "12px auto", padding: "0 8px" }} {...dropHandlers}>
       {/* Header */}
       <div className="hero compact">
         <div className="hero-left" style={{ display:"flex", alignItems:"center", gap:20 }}>
@@ -643,22 +1201,73 @@ export default function FacultyPubsDashboard() {
           </div>
         </div>
         <div className="kpis-and-actions" style={{ display:"flex", alignItems:"center", gap:12 }}>
-          <button className="btn export" onClick={handleExportPDF} aria-label="Download dashboard as PDF">⬇︎ Download PDF</button>
+          <button className="btn export" onClick={handleExportPDF} aria-label="Download a PDF report of the current view">⬇︎ PDF report</button>
+          <details ref={exportMenuRef} className="menu">
+            <summary className="btn export" aria-label="Export the filtered publications">⬇︎ Export ▾</summary>
+            <div className="menu-list card">
+              <div className="hd small">References ({filtered.length})</div>
+              {Object.entries(REFERENCE_FORMATS).map(([k, f]) => (
+                <button key={k} className="menu-item" onClick={() => handleExportReferences(k)} disabled={!filtered.length}>{f.label}</button>
+              ))}
+              <div className="hd small">Table + chart data</div>
+              <button className="menu-item" onClick={() => handleExportData("xlsx")}>Excel workbook (.xlsx)</button>
+              <button className="menu-item" onClick={() => handleExportData("csv")}>CSV files (.zip)</button>
+            </div>
+          </details>
+          <label className="btn import" title="Import BibTeX (.bib) or RIS (.ris) files — or drop them anywhere on the page">
+            ⬆︎ Import BibTeX/RIS
+            <input type="file" accept=".bib,.bibtex,.ris,.txt" multiple onChange={(e) => { handleImportFiles(e.target.files); e.target.value = ""; }} />
+          </label>
+          <button className="btn import" onClick={openQuality} title="Records that were dropped, repaired or are incomplete">
+            Data quality ({quality.items.length})
+          </button>
           <div className="kpis">
-            <div className="kpi"><div className="kpi-label">Total</div><div className="kpi-value">{kpi.total}</div></div>
+            <div className="kpi">
+              <div className="kpi-label">Total</div><div className="kpi-value">{kpi.total}</div>
+              {dupes.collapsed.size > 0 && (
+                <label className="kpi-toggle" title="Count a paper once when it also appears as a repeated entry, a preprint or a correction notice">
+                  <input type="checkbox" checked={dedupe} onChange={(e) => setDedupe(e.target.checked)} />
+                  count once ({dupes.collapsed.size} dup.)
+                </label>
+              )}
+            </div>
             <div className="kpi"><div className="kpi-label">Year span</div><div className="kpi-value">{kpi.years}</div></div>
             <div className="kpi"><div className="kpi-label">Venues</div><div className="kpi-value">{kpi.venues}</div></div>
-            <div className="kpi"><div className="kpi-label">Authors</div><div className="kpi-value">{kpi.authors}</div></div>
+            <div className="kpi"><div className="kpi-label">{rosterScope ? "Faculty authors" : "Authors"}</div><div className="kpi-value">{kpi.authors}</div></div>
           </div>
         </div>
       </div>
 
+      {profile ? (
+        <AuthorProfileView
+          profile={profile}
+          member={roster.byId.get(profile.person.id)}
+          citeStyle={citeStyle} onCiteStyleChange={setCiteStyle}
+          onBack={() => setProfileId(null)}
+          onOpenAuthor={openProfile}
+          onFilterAuthor={(id) => { setAuthorSel([id]); setProfileId(null); }}
+          onCopyAll={(list) => handleCopyAll(list, "profile")}
+          copyAllLabel={copyLabel("profile", `Copy all (${profile.rows.length})`)}
+        />
+      ) : view === "quality" ? (
+        <DataQualityView report={quality} onBack={() => setView(null)} onExport={handleExportQuality}
+                         cacheCount={cacheCount} onClearCache={handleClearCache} />
+      ) : (<>
       {/* Filters */}
       <div className="filters-row card" style={{ marginBottom: 12 }}>
         <div className="filter-combined">
-          <div className="input-wrap">
-            <span style={{opacity:.9}}>🔎</span>
-            <input className="input" placeholder="Title, author, subject…" value={q} onChange={(e)=>setQ(e.target.value)} aria-label="Search publications" />
+          <div className="search-box">
+            <div className={`input-wrap${searchQuery.error ? " invalid" : ""}`} title={SEARCH_HELP}>
+              <span style={{opacity:.9}}>🔎</span>
+              <input className="input" placeholder='Title, author, subject… or author:"Knight JC" year:2020..2024' value={q}
+                     onChange={(e)=>setQ(e.target.value)} aria-label="Search publications"
+                     aria-invalid={!!searchQuery.error} aria-describedby={searchQuery.error ? "search-error" : undefined} />
+            </div>
+            {searchQuery.error && (
+              <div id="search-error" className="search-error" role="status">
+                {searchQuery.error.message} (at character {searchQuery.error.pos + 1}) — showing plain-text matches instead
+              </div>
+            )}
           </div>
           {/* <div className="ymp-compact">
             <YearMonthPicker
@@ -671,20 +1280,50 @@ export default function FacultyPubsDashboard() {
           </div> */}
         </div>
 
-        {(yearSel || monthSel || authorSel || subjectSel || topicSel || dq || yearRange) && (
+        {(localCount > 0 || importMsg) && (
+          <div className="filter-item chips-block">
+            <div className="hd small">Local imports</div>
+            <div className="chips tight">
+              <span className="muted" style={{ fontSize: 12 }}>
+                {importMsg || `${localCount} locally imported record${localCount === 1 ? "" : "s"} not yet in the dataset`}
+              </span>
+              {localCount > 0 && <button className="chip" onClick={handleExportImports} title="Download as faculty_pubs.json records to add to the dataset">Export {localCount} for dataset ⬇︎</button>}
+              <button className="chip" onClick={handleClearImports}>Clear imports ✕</button>
+            </div>
+          </div>
+        )}
+
+        {(yearSel.length || monthSel || authorSel.length || subjectSel.length || topicSel.length || venueSel.length || typeSel.length || funderSel.length || licenseSel.length || oaSel.length || dq || yearRange) && (
           <div className="filter-item chips-block">
             <div className="hd small">Active Filters</div>
             <div className="chips tight">
-              {yearSel   && <button className="chip" onClick={()=> setYearSel(null)}>Year: {yearSel} ✕</button>}
+              {yearSel.map(y => <button key={`y-${y}`} className="chip" onClick={()=> setYearSel(prev => prev.filter(x => x !== y))}>Year: {y} ✕</button>)}
               {yearRange && <button className="chip" onClick={()=> setYearRange(null)}>Years: {yearRange.from}–{yearRange.to} ✕</button>}
               {monthSel  && <button className="chip" onClick={()=> setMonthSel(null)}>Month: {MONTHS[monthSel-1]} ✕</button>}
-              {authorSel && <button className="chip" onClick={()=> setAuthorSel("")}>Author: {authorSel} ✕</button>}
-              {subjectSel&& <button className="chip" onClick={()=> setSubjectSel("")}>Subject: {shorten(subjectSel,20)} ✕</button>}
-              {topicSel  && <button className="chip" onClick={()=> setTopicSel("")}>Topic: {shorten(topicSel,20)} ✕</button>}
+              {authorSel.length > 1 && (
+                <button className="chip mode" onClick={()=> setAuthorMode(m => (m === "all" ? "any" : "all"))}
+                        title="Switch between papers by any selected author and papers co-authored by all of them">
+                  Authors: {authorMode === "all" ? "all of" : "any of"} ⇄
+                </button>
+              )}
+              {authorSel.map(a => (
+                <span key={`a-${a}`} className="chip-group">
+                  <button className="chip" onClick={()=> setAuthorSel(prev => prev.filter(x => x !== a))}>Author: {personName(a)} ✕</button>
+                  <button className="chip" onClick={()=> openProfile(a)} title={`Open ${personName(a)}'s profile`}>Profile ›</button>
+                </span>
+              ))}
+              {subjectSel.map(x => <button key={`s-${x}`} className="chip" title={x} onClick={()=> setSubjectSel(prev => prev.filter(v => v !== x))}>Subject: {shorten(x,20)} ✕</button>)}
+              {topicSel.map(x => <button key={`t-${x}`} className="chip" title={x} onClick={()=> setTopicSel(prev => prev.filter(v => v !== x))}>Topic: {shorten(x,20)} ✕</button>)}
+              {venueSel.map(x => <button key={`v-${x}`} className="chip" title={x} onClick={()=> setVenueSel(prev => prev.filter(v => v !== x))}>Venue: {shorten(x,20)} ✕</button>)}
+              {typeSel.map(x => <button key={`ty-${x}`} className="chip" onClick={()=> setTypeSel(prev => prev.filter(v => v !== x))}>Type: {typeLabel(x)} ✕</button>)}
+              {funderSel.map(x => <button key={`f-${x}`} className="chip" title={x} onClick={()=> setFunderSel(prev => prev.filter(v => v !== x))}>Funder: {shorten(x,20)} ✕</button>)}
+              {licenseSel.map(x => <button key={`l-${x}`} className="chip" onClick={()=> setLicenseSel(prev => prev.filter(v => v !== x))}>License: {x} ✕</button>)}
+              {oaSel.map(x => <button key={`oa-${x}`} className="chip" onClick={()=> setOaSel(prev => prev.filter(v => v !== x))}>Open access: {oaLabel(x)} ✕</button>)}
               {dq && <button className="chip" onClick={()=> setQ("")}>Search ✕</button>}
               <button className="chip" onClick={()=>{
-                setYearSel(null); setYearRange(null); setMonthSel(null);
-                setAuthorSel(""); setSubjectSel(""); setTopicSel(""); setQ("");
+                setYearSel([]); setYearRange(null); setMonthSel(null);
+                setAuthorSel([]); setSubjectSel([]); setTopicSel([]); setVenueSel([]); setQ("");
+                setTypeSel([]); setFunderSel([]); setLicenseSel([]); setOaSel([]);
               }}>Clear all ✕</button>
             </div>
           </div>
@@ -696,7 +1335,7 @@ export default function FacultyPubsDashboard() {
         style={{ display: "grid", gridTemplateColumns: "3fr 2fr 7fr", gap: 12, alignItems: "stretch", marginBottom: 12 }}>
         {/* Year bars */}
         <div className="card chart-card year-card" style={{ height: PANEL_H, display:"flex", flexDirection:"column" }}>
-          <h3 className="tight">Publications by Year / Month </h3>
+          <h3 className="tight">Publications by Year / Month <span className="facet-hint">shift-click to select several</span></h3>
           <div style={{ flex:1, minHeight:0 }}>
             <ResponsiveContainer width="100%" height="100%">
               <BarChart data={byYear} margin={{ top: 4, right: 8, left: 6, bottom: 6 }} barSize={10} barCategoryGap={12}>
@@ -713,11 +1352,11 @@ export default function FacultyPubsDashboard() {
                   {byYear.map((d, i) => (
                     <Cell
                       key={i}
-                      fill={yearSel === d.year ? "#7c3aed" : "url(#yearBar)"}
+                      fill={yearSel.includes(d.year) ? "#7c3aed" : "url(#yearBar)"}
                       style={{ cursor: "pointer" }}
-                      onClick={() => {
+                      onClick={(...args) => {
                         const y = Number(d?.year);
-                        if (isNum(y)) { setYearSel(prev => (prev === y ? null : y)); setYearRange(null); }
+                        if (isNum(y)) { setYearSel(prev => nextSelection(prev, y, isAdditiveClick(...args))); setYearRange(null); }
                       }}
                     />
                   ))}
@@ -738,7 +1377,7 @@ export default function FacultyPubsDashboard() {
                       const from = byYear[Math.min(si, ei)]?.year;
                       const to   = byYear[Math.max(si, ei)]?.year;
                       setBrushIdx({ start: si, end: ei });
-                      if (isNum(from) && isNum(to)) { setYearRange({ from, to }); setYearSel(null); }
+                      if (isNum(from) && isNum(to)) { setYearRange({ from, to }); setYearSel([]); }
                     }}
                   />
                 )}
@@ -788,6 +1427,22 @@ export default function FacultyPubsDashboard() {
         <div className="right-table card" style={{ height: PANEL_H, display: "flex", flexDirection: "column" }}>
             <div className="table-header">
               <h3 className="tight">List of Publications</h3>
+
+              <div className="cite-controls">
+                <select value={sortMode} onChange={(e) => setSortMode(e.target.value)} aria-label="Table order"
+                        title={relevance ? "Order of the table and exports" : "Type a search to rank by relevance"}>
+                  <option value="">Dataset order</option>
+                  <option value="relevance" disabled={!relevance}>Relevance</option>
+                  <option value="citations" disabled={!hasCitations}>Most cited</option>
+                </select>
+                <select value={citeStyle} onChange={(e) => setCiteStyle(e.target.value)} aria-label="Citation style">
+                  {Object.entries(CITATION_STYLES).map(([k, st]) => <option key={k} value={k}>{st.label}</option>)}
+                </select>
+                <button className="btn pager-btn" onClick={() => handleCopyAll()} disabled={!filtered.length}
+                        title={`Copy all ${filtered.length} filtered publications as a ${CITATION_STYLES[citeStyle].label} bibliography`}>
+                  {copyLabel("all", `Copy all (${filtered.length})`)}
+                </button>
+              </div>
           
               {/* COMBINED pager */}
               <div className="pager" style={{ display: "flex", alignItems: "center", gap: "1rem" }}>
@@ -809,7 +1464,7 @@ export default function FacultyPubsDashboard() {
                 <col style={{ width: 110 }} />
                 <col style={{ width: "30%" }} />
                 <col style={{ width: "auto" }} />
-                <col style={{ width: 80 }} />
+                <col style={{ width: 110 }} />
               </colgroup>
               <thead>
                 <tr><th>Year</th><th>Author(s)</th><th>Publication Title</th><th>Link</th></tr>
@@ -819,12 +1474,36 @@ export default function FacultyPubsDashboard() {
                   const title = d.title || "—";
                   const displayTitle = ((!title || looksLikeAuthorList(title)) && d.venue) ? d.venue : title;
                   const authorList = (d.authors || []).join(", ") || "—";
+                  const isInternal = (a) => hasRoster && roster.byId.has(identities.idOf(a));
+                  const link = readLink(d);
                   return (
                     <tr key={`${d.id}-${i}`}>
                       <td className="mono">{d.year ?? "—"}{d.month ? ` (${MONTHS[d.month - 1]})` : ""}</td>
-                      <td className="venue-cell"><div className="clamp-1" title={authorList}>{authorList}</div></td>
-                      <td className="title-cell"><div className="clamp-2" title={displayTitle}>{displayTitle}</div></td>
-                      <td>{d.url ? <a href={d.url} target="_blank" rel="noreferrer" aria-label={`Open ${displayTitle}`}>Open</a> : "—"}</td>
+                      <td className="venue-cell"><div className="clamp-1" title={authorList}>
+                        {d.authors?.length ? d.authors.map((a, j) => (
+                          <Fragment key={j}>
+                            {j > 0 && ", "}
+                            <button className={`link-btn byline${isInternal(a) ? " author-internal" : ""}`}
+                                    title={isInternal(a) ? "Division faculty · open profile" : "Open profile"}
+                                    onClick={() => openProfile(identities.idOf(a))}>{mark(a)}</button>
+                          </Fragment>
+                        )) : "—"}
+                      </div></td>
+                      <td className="title-cell"><div className="clamp-2" title={displayTitle}>
+                        {d.imported && <span className="badge local" title="Locally imported — not yet in the published dataset">Local</span>}
+                        {dupes.clusterOf.has(d.id) && <VersionBadge row={d} cluster={dupes.clusterOf.get(d.id)} />}
+                        <button className="link-btn title-btn" onClick={() => setDetailId(d.id)} title="Show details">{mark(displayTitle)}</button>
+                        {d.citedBy && <span className="cited-by" title={`Cited by ${d.citedBy.count} (${d.citedBy.source})`}>{d.citedBy.count} cit.</span>}
+                      </div></td>
+                      <td className="link-cell">
+                        {link.free
+                          ? <a href={link.url} target="_blank" rel="noreferrer" className="free-link" aria-label={`Free full text of ${displayTitle}`}
+                               title={`Free full text (${oaLabel(d.oa.status)} open access)`}>Free</a>
+                          : link.url ? <a href={link.url} target="_blank" rel="noreferrer" aria-label={`Open ${displayTitle}`}>Open</a> : "—"}
+                        <button className="cite-btn" onClick={() => handleCopyCitation(d)} title={`Copy ${CITATION_STYLES[citeStyle].label} citation`}>
+                          {copyLabel(d.id, "Cite")}
+                        </button>
+                      </td>
                     </tr>
                   );
                 })}
@@ -840,7 +1519,7 @@ export default function FacultyPubsDashboard() {
         style={{ display: "grid", gridTemplateColumns: "3fr 2fr 7fr", gap: 12, alignItems: "stretch", marginBottom: 12 }}>
         {/* Subject / Topic */}
         <div className="card chart-card subject-card" style={{ height: PANEL_H, display:"flex", flexDirection:"column" }}>
-          <h3 className="tight">{showTopicsInstead ? "Subject Areas" : "Subject Areas"}</h3>
+          <h3 className="tight">{showTopicsInstead ? "Subject Areas" : "Subject Areas"} <span className="facet-hint">shift-click to select several</span></h3>
           <div style={{ flex:1, minHeight:0 }}>
             {showTopicsInstead ? (
               byTopic.length === 0 ? (
@@ -865,8 +1544,10 @@ export default function FacultyPubsDashboard() {
                       radius={[0,3,3,0]}
                       isAnimationActive={false}
                       cursor="pointer"
-                      onClick={({ payload }) => { const t = payload?.topic; if (t) setTopicSel(prev => (prev === t ? "" : t)); }}
-                    />
+                      onClick={({ payload }, _i, e) => { const t = payload?.topic; if (t) setTopicSel(prev => nextSelection(prev, t, isAdditiveClick(e))); }}
+                    >
+                      {byTopic.map((d, i) => <Cell key={i} fill={topicSel.includes(d.topic) ? "#7c3aed" : "url(#topicFill)"} />)}
+                    </Bar>
                   </BarChart>
                 </ResponsiveContainer>
               )
@@ -883,8 +1564,8 @@ export default function FacultyPubsDashboard() {
                     <Tooltip content={<SubjectTooltip/>} />
                     <Bar dataKey="count" barSize={6} radius={[0,3,3,0]} fill="#e5e7eb" />
                     <Bar dataKey="count" barSize={18} radius={[0,6,6,0]} isAnimationActive={false}
-                         onClick={({ payload }) => setSubjectSel(prev => prev === payload.subject ? "" : payload.subject)}>
-                      {bySubject.map((d, i) => <Cell key={i} fill={subjectSel === d.subject ? "#7c3aed" : "url(#topicFill)"} />)}
+                         onClick={({ payload }, _i, e) => setSubjectSel(prev => nextSelection(prev, payload.subject, isAdditiveClick(e)))}>
+                      {bySubject.map((d, i) => <Cell key={i} fill={subjectSel.includes(d.subject) ? "#7c3aed" : "url(#topicFill)"} />)}
                     </Bar>
                     <defs>
                       <linearGradient id="topicFill" x1="0" y1="0" x2="1" y2="0">
@@ -909,7 +1590,14 @@ export default function FacultyPubsDashboard() {
       flexDirection: "column",
     }}
   >
-    <h3 className="tight">Authors</h3>
+    <h3 className="tight">
+      {rosterScope ? "Faculty authors" : "Authors"} <span className="facet-hint">shift-click to select several</span>
+      {hasRoster && (
+        <label className="roster-toggle" title="Count only division faculty from faculty_roster.json">
+          <input type="checkbox" checked={rosterOnly} onChange={(e) => setRosterOnly(e.target.checked)} /> faculty only
+        </label>
+      )}
+    </h3>
     <div style={{ flex: 1, minHeight: 0, overflowY: "auto" }}>
       {topAuthors.length === 0 ? (
         <div className="muted" style={{ padding: 8 }}>
@@ -928,8 +1616,17 @@ export default function FacultyPubsDashboard() {
               type="category"
               dataKey="author"
               width={120}
-              tick={{ fontSize: 11 }}
-              tickFormatter={(s) => (s.length > 28 ? s.slice(0, 26) + "…" : s)}
+              tick={({ x, y, payload }) => {
+                const d = topAuthors.find(t => t.author === payload.value);
+                const s = String(payload.value ?? "");
+                return (
+                  <text x={x} y={y} dy={4} textAnchor="end" fontSize={11} className="axis-link"
+                        onClick={() => openProfile(d?.id)}>
+                    <title>Open profile</title>
+                    {s.length > 28 ? s.slice(0, 26) + "…" : s}
+                  </text>
+                );
+              }}
             />
             <Tooltip content={<AuthorTooltip />} />
             <Bar dataKey="count" barSize={6} radius={[0, 2, 2, 0]} fill="#e5e7eb" />
@@ -937,17 +1634,17 @@ export default function FacultyPubsDashboard() {
               dataKey="count"
               isAnimationActive={false}
               shape={(p) => {
-                const selected = authorSel === p?.payload?.author;
+                const selected = authorSel.includes(p?.payload?.id);
                 const r = selected ? 7 : 5;
                 return (
                   <g
-                    onClick={() => {
-                      const a = p?.payload?.author;
-                      if (a) setAuthorSel((prev) => (prev === a ? "" : a));
+                    onClick={(e) => {
+                      const a = p?.payload?.id;
+                      if (a) setAuthorSel((prev) => nextSelection(prev, a, isAdditiveClick(e)));
                     }}
                     style={{ cursor: "pointer" }}
                   >
-                    <circle cx={p.cx} cy={p.cy} r={r} fill="#7c3aed" />
+                    <circle cx={p.cx} cy={p.cy} r={r} fill={selected || !authorSel.length ? "#7c3aed" : "#c4b5fd"} />
                     <circle cx={p.cx} cy={p.cy} r={r} fill="none" stroke="#fff" strokeWidth={1.4} />
                   </g>
                 );
@@ -983,7 +1680,231 @@ export default function FacultyPubsDashboard() {
     </div>
   </div>
 </div>
+      </div>
+
+
+      {/* ============ ROW C: Co-authorship network ============ */}
+      <div className="card network-card" style={{ marginBottom: 12 }}>
+        <div className="network-head">
+          <h3 className="tight">
+            Co-authorship network <span className="facet-hint">size = publications, colour = community, click to filter (shift-click adds)</span>
+          </h3>
+          <div className="network-controls">
+            <label title="Hide collaborations with a lower (weighted) number of shared papers">
+              Min. shared papers
+              <input type="range" min={1} max={10} step={1} value={netMinWeight}
+                     onChange={(e) => setNetMinWeight(Number(e.target.value))} />
+              <span className="mono">{netMinWeight}</span>
+            </label>
+            <label title={`A paper with n > ${LARGE_TEAM} authors adds ${LARGE_TEAM}/n to each of its collaborations`}>
+              <input type="checkbox" checked={netDownweight} onChange={(e) => setNetDownweight(e.target.checked)} />
+              Down-weight papers with more than {LARGE_TEAM} authors
+            </label>
+          </div>
+        </div>
+        <CoauthorNetwork graph={network} selected={authorSel}
+                         onNodeClick={(id, e) => setAuthorSel(prev => nextSelection(prev, id, isAdditiveClick(e)))} />
+      </div>
 
+      {/* ============ ROW D: Top venues ============ */}
+      <div className="card venue-card" style={{ marginBottom: 12 }}>
+        <h3 className="tight">
+          Top venues <span className="facet-hint">journal names merged across abbreviations and spellings; click to filter (shift-click adds)</span>
+        </h3>
+        {topVenues.length ? (
+          <div className="table-scroll">
+            <table className="table venue-table">
+              <thead>
+                <tr>
+                  <th>Venue</th><th className="num">Papers</th>
+                  <th>Trend{byYear.length ? ` ${byYear[0].year}–${byYear[byYear.length - 1].year}` : ""}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topVenues.map(d => (
+                  <tr key={d.venue} className={venueSel.includes(d.venue) ? "selected" : ""}>
+                    <td>
+                      <button className="link-btn" onClick={(e) => setVenueSel(prev => nextSelection(prev, d.venue, isAdditiveClick(e)))}
+                              title={d.variants.length ? `Also printed as ${d.variants.slice(0, 4).join("; ")}${d.variants.length > 4 ? "; …" : ""}` : d.venue}>
+                        {d.venue}
+                      </button>
+                    </td>
+                    <td className="num">
+                      <span className="venue-bar" style={{ width: `${(d.count / topVenues[0].count) * 100}%` }} />
+                      {d.count}
+                    </td>
+                    <td title={byYear.map((y, i) => `${y.year}: ${d.trend[i]}`).join(", ")}><Sparkline values={d.trend} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : <div className="muted">No venue data.</div>}
+      </div>
+
+      {/* ============ ROW E: Duplicates & versions (review) ============ */}
+      {dupes.clusters.length > 0 && (
+        <details className="card dupes-card" style={{ marginBottom: 12 }}>
+          <summary>
+            <h3 className="tight">
+              Duplicates &amp; versions ({dupes.clusters.length})
+              <span className="facet-hint">{dedupe ? "collapsed: each cluster counts once" : "not collapsed: tick “count once” under Total"}</span>
+            </h3>
+          </summary>
+          <ol className="dupes-list">
+            {dupes.clusters.map(c => (
+              <li key={c.id}>
+                <span className={`badge dup-${c.kind}`}>{DUP_KIND_LABEL[c.kind]}</span>
+                <span className="dup-keep" title="Counted record">{c.keep.title} <span className="muted">· {c.keep.venue || "—"} · {c.keep.year ?? "—"}{c.keep.doi ? ` · ${c.keep.doi}` : ""}</span></span>
+                <ul>
+                  {c.members.map(m => (
+                    <li key={m.row.id}>
+                      <span className="muted">{dedupe ? "collapsed" : "also listed"}:</span> {m.row.title}
+                      <span className="muted"> · {m.row.venue || "—"} · {m.row.year ?? "—"} — {m.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+
+      {/* ============ ROW F: Faculty output (only with a roster) ============ */}
+      {hasRoster && (
+        <div className="card faculty-card" style={{ marginBottom: 12 }}>
+          <h3 className="tight">Faculty output <span className="facet-hint">papers from each member's time in the division, within the current filters</span></h3>
+          <div className="table-scroll">
+            <table className="table faculty-table">
+              <thead>
+                <tr><th>Member</th><th>Rank</th><th>In division</th><th className="num">Years in view</th><th className="num">Papers</th><th className="num">Per year</th></tr>
+              </thead>
+              <tbody>
+                {facultyOutput.map(({ member: m, papers, years, perYear }) => (
+                  <tr key={m.id || m.name}>
+                    <td>
+                      {m.id
+                        ? <button className="link-btn" onClick={() => openProfile(m.id)} title="Open profile">{m.name}</button>
+                        : <span className="muted" title="No publications matched this roster name">{m.name}</span>}
+                    </td>
+                    <td>{m.rank || "—"}</td>
+                    <td className="mono">{m.start ? m.start.year : "…"}–{m.end ? m.end.year : "present"}</td>
+                    <td className="num">{years}</td>
+                    <td className="num">{papers}</td>
+                    <td className="num">{years ? perYear.toFixed(1) : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* ============ ROW G: Publication types, funders & licenses (Crossref) ============ */}
+      {hasCrossrefMeta && (
+        <div className="card meta-card" style={{ marginBottom: 12 }}>
+          <h3 className="tight">
+            Types, funders &amp; licenses <span className="facet-hint">from Crossref; click to filter (shift-click adds)</span>
+          </h3>
+          <div className="meta-grid">
+            <MetaFacet title="Publication type" items={metaFacets.types} selected={typeSel} labelOf={typeLabel}
+                       onPick={(k, e) => setTypeSel(prev => nextSelection(prev, k, isAdditiveClick(e)))} />
+            <MetaFacet title="Funders" items={metaFacets.funders} selected={funderSel}
+                       onPick={(k, e) => setFunderSel(prev => nextSelection(prev, k, isAdditiveClick(e)))} />
+            <MetaFacet title="License" items={metaFacets.licenses} selected={licenseSel}
+                       onPick={(k, e) => setLicenseSel(prev => nextSelection(prev, k, isAdditiveClick(e)))} />
+          </div>
+        </div>
+      )}
+
+      {/* ============ ROW I: Open access (Unpaywall) ============ */}
+      {hasOa && (
+        <div className="rowI" style={{ display: "grid", gridTemplateColumns: "1fr 2fr", gap: 12, alignItems: "stretch", marginBottom: 12 }}>
+          <div className="card meta-card">
+            <h3 className="tight">
+              Open access <span className="facet-hint">{oaShare == null ? "no status for the papers in view" : `${Math.round(oaShare * 100)}% free to read`} · click to filter</span>
+            </h3>
+            <MetaFacet title="Status (Unpaywall)" items={oaFacet} selected={oaSel} labelOf={oaLabel} hintOf={(k) => OA_HINTS[k]}
+                       onPick={(k, e) => setOaSel(prev => nextSelection(prev, k, isAdditiveClick(e)))} />
+          </div>
+          <div className="card chart-card oa-card" style={{ height: PANEL_H, display: "flex", flexDirection: "column" }}>
+            <h3 className="tight">OA share by year <span className="facet-hint">papers with a known status; click a year to filter</span></h3>
+            <div style={{ flex: 1, minHeight: 0 }}>
+              {oaByYear.length ? (
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={oaByYear} stackOffset="expand" margin={{ top: 4, right: 8, bottom: 0, left: -8 }}
+                            onClick={(e, ev) => {
+                              const y = Number(e?.activeLabel);
+                              if (isNum(y)) { setYearSel(prev => nextSelection(prev, y, isAdditiveClick(e, ev))); setYearRange(null); }
+                            }}>
+                    <CartesianGrid strokeDasharray="3 6" stroke={COLOR_GRID} />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis tickFormatter={(v) => `${Math.round(v * 100)}%`} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v, name, ctx) => [`${v} of ${ctx.payload.total} (${Math.round((v / ctx.payload.total) * 100)}%)`, oaLabel(name)]}
+                             labelFormatter={(y) => { const d = oaByYear.find(x => x.year === y); return d ? `${y} · ${Math.round(d.share * 100)}% open` : y; }} />
+                    {OA_STATUSES.map(k => (
+                      <Bar key={k} dataKey={k} stackId="oa" fill={OA_COLORS[k]} isAnimationActive={false} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              ) : <div className="muted" style={{ padding: 10 }}>No open-access data for these filters.</div>}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ============ ROW H: Citations (most cited + author impact) ============ */}
+      {hasCitations && (
+        <div className="rowH" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, alignItems: "start", marginBottom: 12 }}>
+          <div className="card citations-card">
+            <h3 className="tight">Most cited <span className="facet-hint">papers in view · {citationSources}</span></h3>
+            {topCited.length ? (
+              <ol className="cited-list">
+                {topCited.map(r => (
+                  <li key={r.id}>
+                    <span className="cited-count mono">{r.citedBy.count}</span>
+                    <button className="link-btn title-btn" onClick={() => setDetailId(r.id)} title="Show details">{r.title || r.venue || "—"}</button>
+                    <span className="muted"> · {venues.canonOf(r) || r.venue || "—"} · {r.year ?? "—"}</span>
+                  </li>
+                ))}
+              </ol>
+            ) : <div className="muted">No cited papers in view.</div>}
+          </div>
+          <div className="card citations-card">
+            <h3 className="tight">
+              Author impact <span className="facet-hint">h-index and i10 over the papers in view{rosterScope ? " (division faculty)" : ""}; citations to date</span>
+            </h3>
+            {impact.length ? (
+              <div className="table-scroll">
+                <table className="table impact-table">
+                  <thead>
+                    <tr><th>Author</th><th className="num">Papers</th><th className="num">Citations</th><th className="num">h</th><th className="num">i10</th></tr>
+                  </thead>
+                  <tbody>
+                    {impact.map(d => (
+                      <tr key={d.id}>
+                        <td><button className="link-btn" onClick={() => openProfile(d.id)} title="Open profile">{d.author}</button></td>
+                        <td className="num" title={d.counted < d.papers ? `${d.papers - d.counted} without a citation count` : undefined}>
+                          {d.counted < d.papers ? `${d.counted}/${d.papers}` : d.papers}
+                        </td>
+                        <td className="num">{d.citations}</td>
+                        <td className="num">{d.h}</td>
+                        <td className="num">{d.i10}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : <div className="muted">No citation counts for the papers in view.</div>}
+          </div>
+        </div>
+      )}
+
+      {detailRow && (
+        <RecordDetail row={detailRow} venue={venues.canonOf(detailRow)} onClose={() => setDetailId(null)}
+                      onOpenAuthor={(a) => openProfile(identities.idOf(a))} />
+      )}
+      </>)}
 
       {loading && <div className="card muted" style={{ textAlign: "center" }}>Loading…</div>}
       {error   && <div className="card" style={{ color: "#b91c1c", background: "#fee2e2" }}>Error: {error}</div>}
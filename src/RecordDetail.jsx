@@ -0,0 +1,103 @@
+// Record detail panel (opened from a title in the publications table): full citation details plus the Crossref
+// metadata captured by scripts/enrich_pubs.mjs — abstract, subjects, funders and awards, license, dates, citation count,
+// open-access status and the free full-text link (preferred over the library proxy link).
+
+import React from "react";
+import { typeLabel } from "./crossrefMeta";
+import { OA_HINTS, oaLabel, readLink } from "./openAccess";
+
+const DATE_LABELS = [["issued", "Issued"], ["published_print", "Print"], ["published_online", "Online"]];
+const FIELD_LABELS = { title: "Title", venue: "Journal", year: "Year", month: "Month" };
+
+export default function RecordDetail({
+  row,                     // normalized row
+  venue,                   // canonical venue name (venueNormalize.js)
+  onClose,                 // () => void
+  onOpenAuthor,            // (byline) => void
+}) {
+  const closeRef = React.useRef(null);
+  React.useEffect(() => { closeRef.current?.focus(); }, [row.id]);
+  React.useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const where = [
+    venue || row.venue,
+    row.volume && `${row.volume}${row.issue ? `(${row.issue})` : ""}`,
+    row.pages || row.articleNumber,
+  ].filter(Boolean).join(", ");
+  const dates = DATE_LABELS.filter(([k]) => row.dates?.[k]);
+  const corrected = Object.entries(row.provenance || {});
+  const link = readLink(row);
+
+  return (
+    <div className="detail-backdrop" onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="card detail-panel" role="dialog" aria-modal="true" aria-labelledby="detail-title">
+        <div className="detail-head">
+          <h2 id="detail-title">{row.title || "(no title)"}</h2>
+          <button ref={closeRef} className="btn pager-btn" onClick={onClose} aria-label="Close details">✕</button>
+        </div>
+
+        <div className="detail-authors">
+          {(row.authors || []).map((a, i) => (
+            <React.Fragment key={i}>
+              {i > 0 && ", "}
+              <button className="link-btn byline" onClick={() => onOpenAuthor(a)}>{a}</button>
+            </React.Fragment>
+          ))}
+        </div>
+
+        <dl className="detail-fields">
+          {where && <><dt>Published in</dt><dd>{where}{row.year ? ` (${row.year})` : ""}</dd></>}
+          {row.type && <><dt>Type</dt><dd>{typeLabel(row.type)}</dd></>}
+          {dates.length > 0 && <><dt>Dates</dt><dd>{dates.map(([k, label]) => `${label} ${row.dates[k]}`).join(" · ")}</dd></>}
+          {row.doi && <><dt>DOI</dt><dd><a href={`https://doi.org/${row.doi}`} target="_blank" rel="noreferrer">{row.doi}</a></dd></>}
+          {row.license && (
+            <><dt>License</dt><dd><a href={row.license.url} target="_blank" rel="noreferrer">{row.license.label}</a>{row.license.open && <span className="badge oa">Open</span>}</dd></>
+          )}
+          {row.oa && (
+            <><dt>Open access</dt><dd title={OA_HINTS[row.oa.status]}>
+              {oaLabel(row.oa.status)}
+              {row.oa.url && <> · <a href={row.oa.url} target="_blank" rel="noreferrer">free full text</a></>}
+              <span className="muted"> ({[row.oa.hostType, row.oa.version, `unpaywall ${String(row.oa.retrieved_at || "").slice(0, 10)}`].filter(Boolean).join(", ")})</span>
+            </dd></>
+          )}
+          {row.funders?.length > 0 && (
+            <><dt>Funders</dt><dd>
+              <ul className="detail-list">
+                {row.funders.map(f => (
+                  <li key={f.name}>{f.name}{f.awards.length > 0 && <span className="muted"> — {f.awards.join(", ")}</span>}</li>
+                ))}
+              </ul>
+            </dd></>
+          )}
+          {row.subjects?.length > 0 && <><dt>Subjects</dt><dd>{row.subjects.join("; ")}</dd></>}
+          {row.citedBy && (
+            <><dt>Cited by</dt><dd>{row.citedBy.count} <span className="muted">({row.citedBy.source}{row.citedBy.retrieved_at ? `, ${String(row.citedBy.retrieved_at).slice(0, 10)}` : ""})</span></dd></>
+          )}
+        </dl>
+
+        <h3 className="tight">Abstract</h3>
+        {row.abstract
+          ? <div className="detail-abstract">{row.abstract}</div>
+          : <div className="muted">No abstract in the source data{row.enriched?.crossref ? " or on Crossref" : ""}.</div>}
+
+        {corrected.length > 0 && (
+          <div className="muted detail-provenance">
+            {corrected.map(([k, p]) => (
+              <div key={k}>{FIELD_LABELS[k] || k} from {p.source} ({String(p.retrieved_at).slice(0, 10)}); the source had {p.was ? `"${p.was}"` : "none"}.</div>
+            ))}
+          </div>
+        )}
+        {link.url && (
+          <div style={{ marginTop: 12 }}>
+            <a className="btn pager-btn" href={link.url} target="_blank" rel="noreferrer">{link.free ? "Free full text ↗" : "Open publication ↗"}</a>
+            {link.free && row.url && <a className="muted detail-alt-link" href={row.url} target="_blank" rel="noreferrer">library link</a>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+// src/authorIdentity.js
+// Resolves byline strings ("Wang PP", "Wang P", "Peter P Wang", "Wang, Peter P.") to canonical people, so
+// author counts, the Authors KPI and the author filter count a person once however their name was printed.
+// Call: const ids = buildAuthorIdentities(rows, { aliases, roster })
+//         aliases = parsed data/author_aliases.json, roster = parseRoster(data/faculty_roster.json) (both optional)
+//       ids.idOf("Wang P") -> "wang-pp" | null
+//       ids.authorIdsOf(row) -> ["wang-pp", "knight-jc", …]      // one per person, byline order
+//       ids.people.get("wang-pp") -> { id, name, variants:[{ name, count }], orcid, count }
+//       ids.resolveId("wang-p") -> "wang-pp" | null   // current id, byline, or an id from an older link
+// Rules, in order:
+//   1. curated aliases: { people: [{ id?, name?, orcid?, aliases: ["Wang P", …] }], distinct: ["Knight J", …] };
+//      a roster member's name and aliases are curated the same way (facultyRoster.js)
+//   2. same ORCID (row.orcids: { byline: orcid }) -> same person
+//   3. same folded surname (case, diacritics, hyphens, apostrophes ignored) and initials
+//   4. a shorter set of initials ("Wang P") joins the one fuller form it prefixes ("Wang PP"), or the form holding
+//      >= 80% of those papers; never when both names appear on one paper, carry different ORCIDs, or are listed
+//      under `distinct`
+// Group authors ("Canadian Task Force on …") are kept as written.
+// Person ids: the curated id, else the group's canonical name key (folded surname + longest initials: "wang-pp"),
+// so they don't move when the most printed byline does. Clashes get -2, -3 … in canonical-key order.
+
+/* ----------------------------------------------------------------------
+ * 1) Name parsing
+ * -------------------------------------------------------------------- */
+const fold = (s) => String(s ?? "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+const squash = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+const GROUP_WORDS = /\b(team|group|network|force|society|coalition|investigators|university|division|unit|collaborat\w*|consortium|committee|study|council|association|department|centre|center|institute|program(me)?|on behalf)\b/i;
+const PARTICLES = new Set(["de", "del", "della", "der", "di", "du", "da", "dos", "van", "von", "le", "la", "st", "mac", "ten", "ter"]);
+
+const familyKey = (family) => fold(family).toLowerCase().replace(/[^a-z0-9]/g, "");
+const initialsOf = (given) => fold(given).split(/[\s.\-]+/).filter(Boolean).map(p => p[0].toUpperCase()).join("");
+
+// byline -> { key, family, initials } | { key, literal }
+export function parseAuthorName(raw = "") {
+  // "Thombs BD; Canadian Task Force …" and "Gustafson DL (Memorial University" keep only the person
+  let s = squash(raw).split(/\s*;\s*|\s+\(/)[0].replace(/[\s.\-]+$/, "");
+  if (!s) return { key: "", literal: "" };
+  if (GROUP_WORDS.test(s) || /\s(of|on|for|the|and)\s/i.test(s)) return { key: `lit:${fold(s).toLowerCase()}`, literal: s };
+
+  let family, initials;
+  const inverted = s.match(/^([^,]+),\s*(.+)$/);           // "Wang, Peter P."
+  const byline = fold(s).match(/^(.+?)\s+([A-Z](?:[.\-\s]?[A-Z]){0,3})\.?$/); // "Wang PP", "Varma D.R"
+  if (inverted) {
+    family = inverted[1]; initials = initialsOf(inverted[2]);
+  } else if (byline) {
+    family = s.slice(0, byline[1].length); initials = byline[2].replace(/[^A-Z]/g, "");
+  } else {
+    const parts = s.split(" ");
+    if (parts.length === 1) { family = s; initials = ""; }
+    else {                                                  // "Peter P Wang", "Ana de Souza"
+      let cut = parts.length - 1;
+      while (cut > 1 && PARTICLES.has(parts[cut - 1].toLowerCase())) cut--;
+      family = parts.slice(cut).join(" "); initials = initialsOf(parts.slice(0, cut).join(" "));
+    }
+  }
+  const fk = familyKey(family);
+  if (!fk) return { key: `lit:${fold(s).toLowerCase()}`, literal: s };
+  return { key: `${fk}|${initials}`, family, initials };
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Union-find over name keys
+ * -------------------------------------------------------------------- */
+function unionFind() {
+  const parent = new Map();
+  const find = (k) => {
+    let r = k;
+    while (parent.has(r) && parent.get(r) !== r) r = parent.get(r);
+    let c = k;
+    while (c !== r) { const n = parent.get(c); parent.set(c, r); c = n; }
+    return r;
+  };
+  const union = (a, b) => { const ra = find(a), rb = find(b); if (ra !== rb) parent.set(rb, ra); return ra; };
+  return { find, union };
+}
+
+const slug = (s) => fold(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "author";
+const normOrcid = (v) => (String(v ?? "").match(/\d{4}-\d{4}-\d{4}-\d{3}[\dX]/i)?.[0] || "").toUpperCase();
+
+const DOMINANT_SHARE = 0.8;
+
+/* ----------------------------------------------------------------------
+ * 3) Build
+ * -------------------------------------------------------------------- */
+export function buildAuthorIdentities(rows = [], { aliases, roster = [] } = {}) {
+  const names = new Map(); // key -> { key, family, initials, literal, count, variants: Map, rows: Set, orcids: Set }
+  const keyOfRaw = new Map();
+  const keyOf = (raw) => {
+    if (!keyOfRaw.has(raw)) keyOfRaw.set(raw, parseAuthorName(raw));
+    return keyOfRaw.get(raw);
+  };
+  const entry = (raw) => {
+    const p = keyOf(raw);
+    if (!p.key) return null;
+    if (!names.has(p.key)) names.set(p.key, { ...p, count: 0, variants: new Map(), rows: new Set(), orcids: new Set() });
+    return names.get(p.key);
+  };
+
+  rows.forEach((r, i) => {
+    for (const raw of r.authors || []) {
+      const e = entry(raw);
+      if (!e) continue;
+      e.count++; e.rows.add(i);
+      e.variants.set(raw, (e.variants.get(raw) || 0) + 1);
+      const orcid = normOrcid(r.orcids?.[raw]);
+      if (orcid) e.orcids.add(orcid);
+    }
+  });
+
+  const { find, union } = unionFind();
+  const curated = new Map(); // root key -> { id, name, orcid }
+  const pinned = new Set();  // keys excluded from the initials rule
+
+  // 1) curated aliases
+  for (const person of Array.isArray(aliases?.people) ? aliases.people : []) {
+    const keys = [person.name, ...(person.aliases || [])].filter(Boolean).map(a => entry(a)?.key).filter(Boolean);
+    if (!keys.length) continue;
+    keys.forEach(k => { union(keys[0], k); pinned.add(k); });
+    curated.set(keys[0], { id: person.id ? slug(person.id) : null, name: person.name || null, orcid: normOrcid(person.orcid) });
+  }
+  // roster members: only the names that occur in the data, so an unmatched member stays visible as such
+  for (const m of Array.isArray(roster) ? roster : []) {
+    const keys = [m.name, ...(m.aliases || [])].filter(Boolean).map(a => keyOf(a).key).filter(k => names.has(k));
+    if (!keys.length) continue;
+    keys.forEach(k => { union(keys[0], k); pinned.add(k); });
+    const c = curated.get(keys.find(k => curated.has(k)));
+    if (!c) curated.set(keys[0], { id: null, name: null, orcid: normOrcid(m.orcid) });
+    else if (!c.orcid) c.orcid = normOrcid(m.orcid);
+  }
+  for (const raw of Array.isArray(aliases?.distinct) ? aliases.distinct : []) {
+    const k = keyOf(raw).key;
+    if (k) pinned.add(k);
+  }
+
+  // 2) shared ORCID
+  const byOrcid = new Map();
+  for (const [k, e] of names) for (const o of e.orcids) {
+    if (byOrcid.has(o)) union(byOrcid.get(o), k); else byOrcid.set(o, k);
+  }
+  for (const [k, c] of curated) if (c.orcid) {
+    if (byOrcid.has(c.orcid)) union(k, byOrcid.get(c.orcid)); else byOrcid.set(c.orcid, k);
+  }
+
+  // 4) short initials -> the fuller form they abbreviate
+  const groups = new Map(); // root -> { root, count, rows, orcids }
+  for (const e of names.values()) {
+    const root = find(e.key);
+    if (!groups.has(root)) groups.set(root, { root, count: 0, rows: new Set(), orcids: new Set() });
+    const g = groups.get(root);
+    g.count += e.count;
+    e.rows.forEach(i => g.rows.add(i));
+    e.orcids.forEach(o => g.orcids.add(o));
+  }
+  const groupOf = (k) => groups.get(find(k));
+  const merge = (into, from) => {
+    const a = groupOf(into), b = groupOf(from);
+    union(a.root, b.root);
+    a.count += b.count;
+    b.rows.forEach(i => a.rows.add(i));
+    b.orcids.forEach(o => a.orcids.add(o));
+    groups.delete(b.root);
+  };
+  const byFamily = new Map();
+  for (const e of names.values()) {
+    if (e.literal != null) continue;
+    const fk = e.key.split("|")[0];
+    if (!byFamily.has(fk)) byFamily.set(fk, []);
+    byFamily.get(fk).push(e);
+  }
+  for (const list of byFamily.values()) {
+    if (list.length < 2) continue;
+    list.sort((a, b) => b.initials.length - a.initials.length);
+    for (const e of list) {
+      if (pinned.has(e.key)) continue;
+      const self = groupOf(e.key);
+      const candidates = new Map(); // root -> group
+      for (const o of list) {
+        if (o.initials.length <= e.initials.length || !o.initials.startsWith(e.initials)) continue;
+        const g = groupOf(o.key);
+        if (g.root !== self.root) candidates.set(g.root, g);
+      }
+      const ok = [...candidates.values()].filter(g =>
+        ![...g.rows].some(i => self.rows.has(i)) &&
+        !(g.orcids.size && self.orcids.size && ![...g.orcids].some(o => self.orcids.has(o))));
+      if (!ok.length || ok.length !== candidates.size) continue;
+      const total = ok.reduce((n, g) => n + g.count, 0);
+      const best = ok.reduce((a, b) => (b.count > a.count ? b : a));
+      if (ok.length === 1 || best.count >= DOMINANT_SHARE * total) merge(best.root, e.key);
+    }
+  }
+
+  // people
+  const membersOf = new Map();
+  for (const e of names.values()) {
+    const root = find(e.key);
+    if (!membersOf.has(root)) membersOf.set(root, []);
+    membersOf.get(root).push(e);
+  }
+  // canonical key: the fullest initials (then the smallest key); literal-only groups use their smallest literal
+  const canonOf = (members) => {
+    const named = members.filter(e => e.literal == null);
+    const pool = named.length ? named : members;
+    const best = pool.reduce((a, b) => (
+      (b.initials?.length || 0) > (a.initials?.length || 0) ||
+      ((b.initials?.length || 0) === (a.initials?.length || 0) && b.key < a.key) ? b : a));
+    return best.literal == null ? `${best.key.split("|")[0]}-${best.initials}` : best.key.slice(4);
+  };
+  const groupsInOrder = [...membersOf.values()]
+    .map(members => ({ members, c: members.map(e => curated.get(e.key)).find(Boolean) || {}, canon: canonOf(members) }))
+    .sort((a, b) => !!b.c.id - !!a.c.id || (a.canon < b.canon ? -1 : a.canon > b.canon ? 1 : 0));
+
+  const people = new Map();
+  const idOfKey = new Map();
+  const legacy = new Map(); // slug of a printed name (how ids used to be made) -> Set of ids
+  for (const { members, c, canon } of groupsInOrder) {
+    const variants = new Map();
+    for (const e of members) for (const [v, n] of e.variants) variants.set(v, (variants.get(v) || 0) + n);
+    const ranked = [...variants].map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || b.name.length - a.name.length || a.name.localeCompare(b.name));
+    const name = c.name || ranked[0]?.name || members[0].literal || "";
+    const orcids = [...new Set(members.flatMap(e => [...e.orcids]))];
+    const base = c.id || slug(canon);
+    let id = base;
+    for (let n = 2; people.has(id); n++) id = `${base}-${n}`;
+    people.set(id, {
+      id, name, variants: ranked, orcid: c.orcid || orcids[0] || null,
+      count: ranked.reduce((n, v) => n + v.count, 0),
+    });
+    for (const e of members) idOfKey.set(e.key, id);
+    for (const v of [name, ...ranked.map(r => r.name)]) {
+      const old = slug(v);
+      if (!legacy.has(old)) legacy.set(old, new Set());
+      legacy.get(old).add(id);
+    }
+  }
+
+  const idOf = (raw) => idOfKey.get(keyOf(squash(raw)).key) ?? null;
+  const cache = new WeakMap();
+  const authorIdsOf = (row) => {
+    if (!row) return [];
+    if (!cache.has(row)) cache.set(row, [...new Set((row.authors || []).map(idOf).filter(Boolean))]);
+    return cache.get(row);
+  };
+  // ?person= / ?author= values: a current id, a byline, or an old slug that still names exactly one person
+  const resolveId = (v) => {
+    if (!v) return null;
+    if (people.has(v)) return v;
+    const old = legacy.get(v);
+    if (old?.size === 1) return [...old][0];
+    return idOf(v);
+  };
+  return { people, idOf, authorIdsOf, resolveId };
+}
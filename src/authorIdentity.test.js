@@ -0,0 +1,76 @@
+// src/authorIdentity.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAuthorIdentities, parseAuthorName } from "./authorIdentity.js";
+
+const papers = (...bylines) => bylines.map(authors => ({ authors }));
+
+test("parseAuthorName reads bylines, inverted and full names, and keeps group authors as written", () => {
+  assert.deepEqual(parseAuthorName("Wang PP"), { key: "wang|PP", family: "Wang", initials: "PP" });
+  assert.equal(parseAuthorName("Wang, Peter P.").key, "wang|PP");
+  assert.equal(parseAuthorName("Peter P Wang").key, "wang|PP");
+  assert.equal(parseAuthorName("Ana de Souza").key, "desouza|A");
+  assert.equal(parseAuthorName("O'Hagan J").key, parseAuthorName("OHagan J").key);
+  assert.equal(parseAuthorName("Gustafson DL (Memorial University").key, "gustafson|DL");
+  assert.equal(parseAuthorName("Canadian Task Force on Preventive Health Care").literal, "Canadian Task Force on Preventive Health Care");
+});
+
+test("a bare surname joins the one fuller form it prefixes: Gustafson -> Gustafson DL", () => {
+  const ids = buildAuthorIdentities(papers(["Gustafson DL", "Reitmanova S"], ["Gustafson DL"], ["Gustafson"]));
+  assert.equal(ids.idOf("Gustafson"), "gustafson-dl");
+  assert.equal(ids.idOf("Gustafson DL"), "gustafson-dl");
+  assert.equal(ids.people.get("gustafson-dl").count, 3);
+});
+
+test("short initials join the dominant fuller form, never one on the same paper or with another ORCID", () => {
+  const dominant = buildAuthorIdentities(papers(["Wang PP"], ["Wang PP"], ["Wang PP"], ["Wang PP"], ["Wang PX"], ["Wang P"]));
+  assert.equal(dominant.idOf("Wang P"), "wang-pp");
+  const split = buildAuthorIdentities(papers(["Wang PP"], ["Wang PX"], ["Wang P"]));
+  assert.equal(split.idOf("Wang P"), "wang-p");
+  const samePaper = buildAuthorIdentities(papers(["Wang P", "Wang PP"], ["Wang PP"]));
+  assert.notEqual(samePaper.idOf("Wang P"), samePaper.idOf("Wang PP"));
+  const orcids = buildAuthorIdentities([
+    { authors: ["Smith J"], orcids: { "Smith J": "0000-0001-0000-0001" } },
+    { authors: ["Smith JA"], orcids: { "Smith JA": "0000-0002-0000-0002" } },
+  ]);
+  assert.notEqual(orcids.idOf("Smith J"), orcids.idOf("Smith JA"));
+});
+
+test("same ORCID merges different spellings; case, accents and hyphens are ignored", () => {
+  const ids = buildAuthorIdentities([
+    { authors: ["Étienne-Roy M"], orcids: { "Étienne-Roy M": "https://orcid.org/0000-0002-1825-0097" } },
+    { authors: ["Roy ME"], orcids: { "Roy ME": "0000-0002-1825-0097" } },
+    { authors: ["etienne roy M"] },
+  ]);
+  assert.equal(ids.idOf("Roy ME"), ids.idOf("Étienne-Roy M"));
+  assert.equal(ids.idOf("etienne roy M"), ids.idOf("Étienne-Roy M"));
+  assert.equal(ids.people.get(ids.idOf("Roy ME")).orcid, "0000-0002-1825-0097");
+});
+
+test("curated aliases merge, distinct keeps apart, the roster groups a member's names", () => {
+  const rows = papers(["Knight JC"], ["Knight J"], ["Knight JC"], ["Wang-Smith P"], ["Wang PP"]);
+  const aliases = { people: [{ id: "pwang", name: "Peter Wang", aliases: ["Wang PP", "Wang-Smith P"] }], distinct: ["Knight J"] };
+  const ids = buildAuthorIdentities(rows, { aliases });
+  assert.notEqual(ids.idOf("Knight J"), ids.idOf("Knight JC"));
+  assert.equal(ids.idOf("Wang-Smith P"), "pwang");
+  assert.equal(ids.people.get("pwang").name, "Peter Wang");
+  const roster = [{ name: "Knight JC", aliases: ["Knight J"], orcid: "0000-0003-0000-0003" }];
+  const withRoster = buildAuthorIdentities(rows, { roster });
+  assert.equal(withRoster.idOf("Knight J"), withRoster.idOf("Knight JC"));
+  assert.equal(withRoster.people.get(withRoster.idOf("Knight J")).orcid, "0000-0003-0000-0003");
+});
+
+test("person ids come from the canonical key and don't move with the most printed byline", () => {
+  const base = papers(["Wang PP", "Knight JC"], ["Wang PP"], ["Wang P", "Lee K"]);
+  const more = [...base, ...papers(["Wang P"], ["Wang P"])];
+  assert.equal(buildAuthorIdentities(base).idOf("Wang P"), "wang-pp");
+  const ids = buildAuthorIdentities(more);
+  assert.equal(ids.idOf("Wang P"), "wang-pp");
+  assert.equal(ids.people.get("wang-pp").name, "Wang P");
+  assert.equal(ids.resolveId("wang-p"), "wang-pp");    // id from an older link
+  assert.equal(ids.resolveId("Knight JC"), "knight-jc");
+  assert.equal(ids.resolveId("nobody"), null);
+  assert.deepEqual(ids.authorIdsOf(more[0]), ["wang-pp", "knight-jc"]);
+});
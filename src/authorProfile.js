@@ -0,0 +1,58 @@
+// src/authorProfile.js
+// Everything the author profile view shows for one canonical person (see authorIdentity.js).
+// Call: buildAuthorProfile(rows, personId, identities, { top, venueOf }) ->
+//   { person, rows, byYear:[{ year, count }], coauthors:[{ id, name, count }], venues:[{ venue, count }],
+//     topics:[{ topic, count }], positions:{ first, last, middle, solo }, firstYear, lastYear }
+// `rows` comes back newest first; byYear is zero-filled between the first and last year so the timeline has no gaps.
+// `venueOf` picks the journal name counted per row (the dashboard passes canonical venues, see venueNormalize.js).
+
+const countInto = (map, k) => map.set(k, (map.get(k) || 0) + 1);
+const ranked = (map, key, top) => [...map]
+  .map(([k, count]) => ({ [key]: k, count }))
+  .sort((a, b) => b.count - a.count || String(a[key]).localeCompare(String(b[key])))
+  .slice(0, top);
+
+export function buildAuthorProfile(rows = [], personId, identities, { top = 10, venueOf = (r) => r.venue } = {}) {
+  const person = identities.people.get(personId);
+  if (!person) return null;
+
+  const own = rows.filter(r => identities.authorIdsOf(r).includes(personId))
+    .sort((a, b) => (b.year ?? 0) - (a.year ?? 0) || (b.month ?? 0) - (a.month ?? 0) || a.title.localeCompare(b.title));
+
+  const years = new Map(), coauthors = new Map(), venues = new Map(), topics = new Map();
+  const positions = { first: 0, last: 0, middle: 0, solo: 0 };
+  for (const r of own) {
+    if (typeof r.year === "number") countInto(years, r.year);
+    for (const id of identities.authorIdsOf(r)) if (id !== personId) countInto(coauthors, id);
+    const venue = venueOf(r);
+    if (venue) countInto(venues, venue);
+    countInto(topics, r.topic || "Other");
+
+    // byline position, on the printed order (a person listed twice counts once, at the first slot);
+    // a sole author counts as first author and is also tallied under `solo`
+    const list = r.authors || [];
+    const at = list.findIndex(a => identities.idOf(a) === personId);
+    if (list.length === 1) { positions.first++; positions.solo++; }
+    else if (at === 0) positions.first++;
+    else if (at === list.length - 1) positions.last++;
+    else if (at > 0) positions.middle++;
+  }
+
+  const ys = [...years.keys()];
+  const firstYear = ys.length ? Math.min(...ys) : null;
+  const lastYear = ys.length ? Math.max(...ys) : null;
+  const byYear = firstYear == null ? []
+    : Array.from({ length: lastYear - firstYear + 1 }, (_, i) => ({ year: firstYear + i, count: years.get(firstYear + i) || 0 }));
+
+  return {
+    person,
+    rows: own,
+    byYear,
+    coauthors: ranked(coauthors, "id", top).map(c => ({ ...c, name: identities.people.get(c.id)?.name || c.id })),
+    venues: ranked(venues, "venue", top),
+    topics: ranked(topics, "topic", Infinity),
+    positions,
+    firstYear,
+    lastYear,
+  };
+}
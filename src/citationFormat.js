@@ -0,0 +1,163 @@
+// src/citationFormat.js
+// Formatted references for normalized dashboard rows in Vancouver (NLM), AMA (11th ed.) and APA (7th ed.).
+// Call: formatCitation(row, "vancouver" | "ama" | "apa", { html }) -> string
+//       formatBibliography(rows, style, { html }) -> string (numbered for Vancouver/AMA, alphabetical for APA)
+// A citation is built as a list of segments { text, italic, href } and rendered either as plain text
+// or as HTML (<i>, <a>) so pasting into a word processor keeps italics and DOI links.
+
+import { splitByline } from "./refExport.js";
+
+/* ----------------------------------------------------------------------
+ * 1) Shared pieces
+ * -------------------------------------------------------------------- */
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+const squash = (s = "") => String(s ?? "").replace(/\s+/g, " ").trim();
+
+// Adds a closing period unless the text already ends in terminal punctuation
+const sentence = (s = "") => { const t = squash(s); return !t || /[.?!]["'\u2019\u201D)]?$/.test(t) ? t : `${t}.`; };
+
+const doiUrl = (doi) => `https://doi.org/${doi}`;
+
+// "1234-1240" -> Vancouver elides repeated leading digits: "1234-40"
+function elidePages(pages) {
+  const m = squash(pages).match(/^(\d+)\s*[-\u2013]\s*(\d+)$/);
+  if (!m) return squash(pages).replace(/\s*[\u2013]\s*/g, "-");
+  const [, a, b] = m;
+  if (b.length !== a.length) return `${a}-${b}`;
+  let i = 0;
+  while (i < a.length - 1 && a[i] === b[i]) i++;
+  return `${a}-${b.slice(i)}`;
+}
+
+const fullPages = (pages, dash = "-") => squash(pages).replace(/\s*[-\u2013]\s*/g, dash);
+
+// Byline names ("Knight JC") for Vancouver/AMA; group authors are kept as written
+function bylineList(authors, { max, keep }) {
+  const list = (authors || []).map(squash).filter(Boolean);
+  if (!list.length) return "";
+  return list.length > max ? `${list.slice(0, keep).join(", ")}, et al` : list.join(", ");
+}
+
+// "Knight JC" -> "Knight, J. C."
+function apaName(byline) {
+  const p = splitByline(byline);
+  return p.literal ? p.literal : `${p.family}, ${p.given}`;
+}
+
+// APA 7: up to 20 authors listed; 21+ -> first 19, an ellipsis, then the final author
+function apaAuthors(authors) {
+  const list = (authors || []).map(squash).filter(Boolean).map(apaName);
+  if (!list.length) return "";
+  if (list.length === 1) return list[0];
+  if (list.length > 20) return `${list.slice(0, 19).join(", ")}, . . . ${list.at(-1)}`;
+  return `${list.slice(0, -1).join(", ")}, & ${list.at(-1)}`;
+}
+
+const seg = (text, opts = {}) => ({ text, ...opts });
+
+function doiOrUrl(row, { doiPrefix }) {
+  if (row.doi) return [seg(doiPrefix === "url" ? doiUrl(row.doi) : `${doiPrefix}${row.doi}`, { href: doiUrl(row.doi) })];
+  if (row.url) return [seg(row.url, { href: row.url })];
+  return [];
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Styles
+ * -------------------------------------------------------------------- */
+// Vancouver (ICMJE/NLM): Knight JC, Smith A, et al. Title. Journal. 2020 Jan;12(3):45-52. doi:10.x
+function vancouver(row) {
+  const out = [];
+  const authors = bylineList(row.authors, { max: 6, keep: 6 });
+  if (authors) out.push(seg(sentence(authors) + " "));
+  if (row.title) out.push(seg(sentence(row.title) + " "));
+  if (row.venue) out.push(seg(sentence(row.venue) + " "));
+  let when = row.year ? String(row.year) : "";
+  if (when && row.month) when += ` ${MONTHS[row.month - 1]}`;
+  let loc = row.volume ? `${row.volume}${row.issue ? `(${row.issue})` : ""}` : "";
+  const pages = row.pages ? elidePages(row.pages) : row.articleNumber || "";
+  if (pages) loc += `${loc ? ":" : ""}${pages}`;
+  const pub = [when, loc].filter(Boolean).join(";");
+  if (pub) out.push(seg(`${pub}. `));
+  const link = doiOrUrl(row, { doiPrefix: "doi:" });
+  if (link.length) out.push(...(row.doi ? link : [seg("Available from: "), ...link]));
+  if (row.epubAhead && !row.volume) out.push(seg(`${link.length ? ". " : ""}Epub ahead of print.`));
+  return out;
+}
+
+// AMA 11th: Knight JC, Smith A, Jones B, et al. Title. <i>Journal</i>. 2020;12(3):45-52. doi:10.x
+function ama(row) {
+  const out = [];
+  const authors = bylineList(row.authors, { max: 6, keep: 3 });
+  if (authors) out.push(seg(sentence(authors) + " "));
+  if (row.title) out.push(seg(sentence(row.title) + " "));
+  if (row.venue) out.push(seg(squash(row.venue), { italic: true }), seg(". "));
+  let loc = row.volume ? `${row.volume}${row.issue ? `(${row.issue})` : ""}` : "";
+  const pages = row.pages ? fullPages(row.pages) : row.articleNumber || "";
+  if (pages) loc += `${loc ? ":" : ""}${pages}`;
+  const pub = [row.year, loc].filter(Boolean).join(";");
+  if (pub) out.push(seg(`${pub}. `));
+  if (row.epubAhead && !row.volume) out.push(seg("Published online ahead of print. "));
+  out.push(...doiOrUrl(row, { doiPrefix: "doi:" }));
+  return out;
+}
+
+// APA 7th: Knight, J. C., & Smith, A. (2020). Title. <i>Journal, 12</i>(3), 45–52. https://doi.org/10.x
+function apa(row) {
+  const out = [];
+  const authors = apaAuthors(row.authors);
+  const year = `(${row.year ?? "n.d."}).`;
+  out.push(seg(authors ? `${sentence(authors)} ${year} ` : ""));
+  if (row.title) out.push(seg(sentence(row.title) + " "));
+  if (!authors) out.push(seg(`${year} `));
+  if (row.venue) {
+    out.push(seg(squash(row.venue) + (row.volume ? ", " : ""), { italic: true }));
+    if (row.volume) out.push(seg(String(row.volume), { italic: true }));
+    if (row.issue) out.push(seg(`(${row.issue})`));
+    if (row.pages) out.push(seg(`, ${fullPages(row.pages, "\u2013")}`));
+    else if (row.articleNumber) out.push(seg(`, Article ${row.articleNumber}`));
+    out.push(seg(". "));
+  }
+  if (row.epubAhead && !row.volume) out.push(seg("Advance online publication. "));
+  out.push(...doiOrUrl(row, { doiPrefix: "url" }));
+  return out;
+}
+
+export const CITATION_STYLES = {
+  vancouver: { label: "Vancouver", build: vancouver, numbered: true },
+  ama:       { label: "AMA",       build: ama,       numbered: true },
+  apa:       { label: "APA",       build: apa,       numbered: false },
+};
+
+/* ----------------------------------------------------------------------
+ * 3) Rendering
+ * -------------------------------------------------------------------- */
+const escapeHtml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function render(segments, html) {
+  if (!html) return segments.map(s => s.text).join("").replace(/\s+/g, " ").trim();
+  return segments.map(s => {
+    let t = escapeHtml(s.text);
+    if (s.italic) t = `<i>${t}</i>`;
+    if (s.href) t = `<a href="${escapeHtml(s.href)}">${t}</a>`;
+    return t;
+  }).join("").replace(/\s+/g, " ").trim();
+}
+
+export function formatCitation(row, style = "vancouver", { html = false } = {}) {
+  const s = CITATION_STYLES[style];
+  if (!s) throw new Error(`Unknown citation style: ${style}`);
+  return render(s.build(row), html);
+}
+
+const apaSortKey = (row) =>
+  `${(apaAuthors(row.authors) || row.title || "").toLowerCase()}|${row.year ?? 9999}|${(row.title || "").toLowerCase()}`;
+
+export function formatBibliography(rows = [], style = "vancouver", { html = false } = {}) {
+  const s = CITATION_STYLES[style];
+  if (!s) throw new Error(`Unknown citation style: ${style}`);
+  const list = s.numbered ? rows : [...rows].sort((a, b) => apaSortKey(a).localeCompare(apaSortKey(b)));
+  const items = list.map(r => formatCitation(r, style, { html }));
+  if (html) return s.numbered ? `<ol>${items.map(i => `<li>${i}</li>`).join("")}</ol>` : items.map(i => `<p>${i}</p>`).join("");
+  return items.map((c, i) => (s.numbered ? `${i + 1}. ${c}` : c)).join("\n");
+}
@@ -0,0 +1,52 @@
+// src/citationMetrics.js
+// Citation indicators over the rows in view, from the per-DOI counts scripts/enrich_pubs.mjs stores (row.citedBy:
+// Crossref's is-referenced-by-count, or OpenAlex's cited_by_count with --citations openalex).
+// Call: hIndex([12, 9, 3, 1])  -> 3          (h papers with at least h citations each)
+//       i10([12, 9, 3, 1])     -> 1          (papers with at least 10 citations)
+//       mostCited(rows, n)     -> the n rows with the highest counts
+//       authorImpact(rows, identities, { include }) -> [{ id, papers, counted, citations, h, i10 }]
+//         identities = buildAuthorIdentities(...) (authorIdentity.js); include(id) limits the authors (e.g. roster only)
+// Counts are citations to date, whatever the publication year: restricting the rows to a period gives each author's
+// indicators for the papers published in it, not the citations received in it. Rows without a count are listed in
+// `papers` but not in `counted`, and add nothing to the indicators.
+
+/* ----------------------------------------------------------------------
+ * 1) Indicators
+ * -------------------------------------------------------------------- */
+export const citationCount = (row) => (Number.isFinite(row?.citedBy?.count) ? row.citedBy.count : null);
+
+export function hIndex(counts = []) {
+  const sorted = counts.filter(Number.isFinite).sort((a, b) => b - a);
+  let h = 0;
+  while (h < sorted.length && sorted[h] >= h + 1) h++;
+  return h;
+}
+
+export const i10 = (counts = []) => counts.filter(c => Number.isFinite(c) && c >= 10).length;
+
+/* ----------------------------------------------------------------------
+ * 2) Rankings
+ * -------------------------------------------------------------------- */
+export function mostCited(rows = [], n = 10) {
+  return rows.filter(r => citationCount(r) > 0)
+    .sort((a, b) => citationCount(b) - citationCount(a) || (b.year ?? 0) - (a.year ?? 0))
+    .slice(0, n);
+}
+
+export function authorImpact(rows = [], identities, { include = () => true } = {}) {
+  const byAuthor = new Map(); // id -> { papers, counts }
+  for (const r of rows) {
+    const c = citationCount(r);
+    for (const id of identities.authorIdsOf(r)) {
+      if (!include(id)) continue;
+      const a = byAuthor.get(id) || { papers: 0, counts: [] };
+      a.papers++;
+      if (c != null) a.counts.push(c);
+      byAuthor.set(id, a);
+    }
+  }
+  return [...byAuthor].map(([id, a]) => ({
+    id, papers: a.papers, counted: a.counts.length,
+    citations: a.counts.reduce((s, c) => s + c, 0), h: hIndex(a.counts), i10: i10(a.counts),
+  })).sort((a, b) => b.h - a.h || b.citations - a.citations || b.papers - a.papers || a.id.localeCompare(b.id));
+}
@@ -0,0 +1,177 @@
+// src/citationParser.js
+// Structured citation metadata from the scraped `tail` + `date_text` strings.
+// Call: parseCitation({ tail, date_text, year?, month? })
+//   "2025 Mar; 27(3):191-197. doi: 10.1007/... View Item"
+//     -> { volume:"27", issue:"3", pages:"191-197", pageFirst:"191", pageLast:"197", articleNumber:null,
+//          epubAhead:false, pubDate:{ year:2025, month:3, day:null, ... }, confidence:{ volume:1, ... } }
+// Every field carries a 0..1 confidence: 1 = explicit pattern, ~0.5 = inferred, 0 = not found.
+
+/* ----------------------------------------------------------------------
+ * 1) Patterns
+ * -------------------------------------------------------------------- */
+const MONTH_NAME_TO_NUM = {
+  jan:1, january:1, feb:2, february:2, mar:3, march:3, apr:4, april:4, may:5,
+  jun:6, june:6, jul:7, july:7, aug:8, august:8, sep:9, sept:9, september:9,
+  oct:10, october:10, nov:11, november:11, dec:12, december:12,
+};
+const SEASONS = { spr: "Spring", spring: "Spring", sum: "Summer", summer: "Summer",
+  fall: "Fall", autumn: "Fall", win: "Winter", winter: "Winter" };
+
+const WORD = "[A-Za-z]{3,9}";
+// "2025 Apr 21", "2024 Jan-Jun", "2018 Sep - Oct", "2014 Spring", "2022"
+const DATE_RE = new RegExp(`\\b((?:19|20)\\d{2})(?:\\s+(${WORD})(?:\\s*-\\s*(${WORD}))?(?:\\s+(\\d{1,2}))?)?\\b`);
+// Same, anchored as the lead of a tail (optionally after a journal name) and followed by its separator
+const TAIL_LEAD_RE = new RegExp(`^(?:.*?\\s)?((?:19|20)\\d{2})(?:\\s+(${WORD})(?:\\s*-\\s*(${WORD}))?(?:\\s+(\\d{1,2}))?)?\\s*([;:.])\\s*`);
+const EPUB_RE = /\bepub(?:\s+ahead\s+of\s+print|\s+(?:19|20)\d{2})|\[epub\]/i;
+// the whole marker, with its date: "Epub 2019 Dec 1.", "Epub ahead of print.", "[Epub ahead of print]"
+const EPUB_PART_RE = new RegExp(`\\[?\\bepub\\b(?:\\s+ahead\\s+of\\s+print|\\s+(?:19|20)\\d{2}(?:\\s+${WORD})?(?:\\s+\\d{1,2})?)?\\]?\\.?`, "ig");
+// "doi: 10.…" and the spellings the source also has: "doi : 10.…", "doi 10.…", "dopi: 10.…"
+const DOI_PART_RE = /\bdo(?:p?i)\s*:?\s*10\.\S+|\bdoi:\s*\S+/ig;
+const BOOK_PAGES_RE = /\bp{1,2}\.?\s*([A-Za-z]?\d+(?:\s*-\s*[A-Za-z]?\d+)?)\b/;
+
+/* ----------------------------------------------------------------------
+ * 2) Helpers
+ * -------------------------------------------------------------------- */
+const clean = (s = "") =>
+  String(s ?? "")
+    .replace(/[\u2010-\u2015]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Drops the parts of a tail that are not citation locators
+const stripTail = (s = "") =>
+  clean(s)
+    .replace(/\bview\s+item\b\.?/ig, "")
+    .replace(EPUB_PART_RE, "")
+    .replace(DOI_PART_RE, "")
+    .replace(/https?:\/\/\S+/ig, "")
+    .replace(/[.\s]+$/, "")
+    .trim();
+
+const field = (value, confidence) =>
+  (value == null || value === "" ? { value: null, confidence: 0 } : { value, confidence: Math.round(confidence * 100) / 100 });
+
+function monthOf(word) {
+  if (!word) return { month: null, season: null };
+  const k = word.toLowerCase();
+  if (MONTH_NAME_TO_NUM[k] ?? MONTH_NAME_TO_NUM[k.slice(0, 3)]) {
+    return { month: MONTH_NAME_TO_NUM[k] ?? MONTH_NAME_TO_NUM[k.slice(0, 3)], season: null };
+  }
+  return { month: null, season: SEASONS[k] ?? SEASONS[k.slice(0, 3)] ?? null };
+}
+
+function dateFromMatch(m, text) {
+  const year = Number(m[1]);
+  const { month, season } = monthOf(m[2]);
+  const endMonth = m[3] ? monthOf(m[3]).month : null;
+  const day = month && m[4] ? Number(m[4]) : null;
+  const pad = (n) => String(n).padStart(2, "0");
+  const iso = [year, month && pad(month), day && pad(day)].filter(Boolean).join("-");
+  return { year, month, day, endMonth: endMonth && endMonth !== month ? endMonth : null, season, iso, text: clean(text) };
+}
+
+// "1068-9" -> "1069", "S30-4" -> "S34", "e142-7" -> "e147", "E639-E649" -> "E649"
+function expandLastPage(first, last) {
+  const fm = String(first).match(/^([A-Za-z]*)(\d+)$/);
+  const lm = String(last).match(/^([A-Za-z]*)(\d+)$/);
+  if (!fm || !lm) return last;
+  const [, prefix, fd] = fm;
+  const ld = lm[2];
+  const digits = ld.length < fd.length ? fd.slice(0, fd.length - ld.length) + ld : ld;
+  return (lm[1] || prefix) + digits;
+}
+
+// The part after "vol(issue):" — a page range, an e-locator or an article number
+function parseLocation(loc, baseConfidence) {
+  const s = clean(loc).replace(/\s*-\s*/g, "-");
+  let m = s.match(/^([A-Za-z]*\d+[A-Za-z]?)-([A-Za-z]*\d+[A-Za-z]?)(?:\.e\d+)?$/);
+  if (m) {
+    return { pages: field(s, baseConfidence), pageFirst: m[1], pageLast: expandLastPage(m[1], m[2]), articleNumber: field(null) };
+  }
+  m = s.match(/^[A-Za-z]+\d+$/);                         // e0315852, glae069
+  if (m) return { pages: field(null), pageFirst: null, pageLast: null, articleNumber: field(s, 0.9 * baseConfidence) };
+  m = s.match(/^\d+$/);                                  // 105992 (article) vs 279 (page or article)
+  if (m) return { pages: field(null), pageFirst: null, pageLast: null, articleNumber: field(s, (s.length >= 5 ? 0.8 : 0.5) * baseConfidence) };
+  return { pages: field(s || null, 0.3 * baseConfidence), pageFirst: null, pageLast: null, articleNumber: field(null) };
+}
+
+// "27(3):191-197", "37 Suppl 2:S238", "67:230-235", "17(3)", "1-18", "11"
+function parseLocator(loc) {
+  const s = clean(loc);
+  let m = s.match(/^([^\s:()]+(?:\s+Suppl\.?(?:\s*\d+)?)?)\s*\(([^)]+)\)\s*(?::\s*(.+))?$/i);
+  if (m) return { volume: field(m[1], 1), issue: field(m[2], 1), ...parseLocation(m[3] || "", 1) };
+  m = s.match(/^([^\s:()]+(?:\s+Suppl\.?(?:\s*\d+)?)?)\s*:\s*(.+)$/i);
+  if (m) return { volume: field(m[1], 0.9), issue: field(null), ...parseLocation(m[2], 0.9) };
+  if (/^\d+$/.test(s)) return { volume: field(s, 0.5), issue: field(null), ...parseLocation("", 0) };
+  return { volume: field(null), issue: field(null), ...parseLocation(s, 0.7) };
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Main
+ * -------------------------------------------------------------------- */
+export function parseCitation({ tail = "", date_text = "", year = null, month = null } = {}) {
+  const raw = clean(tail);
+  const body = stripTail(raw);
+  const hasDoi = /\bdo(?:p?i)\s*:?\s*10\.|doi\.org\//i.test(raw);
+
+  // Publication date: date_text first, then the tail's own date, then the bare year/month fields
+  let pubDate = field(null);
+  const dm = clean(date_text).match(DATE_RE);
+  const lead = body.match(TAIL_LEAD_RE);
+  if (dm) pubDate = field(dateFromMatch(dm, date_text), 1);
+  else if (lead) pubDate = field(dateFromMatch(lead, lead[0].replace(/[;:.]\s*$/, "")), 0.8);
+  else if (Number.isFinite(Number(year)) && year) {
+    const mo = Number.isFinite(Number(month)) && month ? Number(month) : null;
+    pubDate = field({ year: Number(year), month: mo, day: null, endMonth: null, season: null,
+      iso: mo ? `${year}-${String(mo).padStart(2, "0")}` : String(year), text: "" }, 0.5);
+  }
+  // A tail that widens date_text ("2024 Jan-Jun" vs "2024 Jan") or names a season
+  if (pubDate.value && lead && dm && Number(lead[1]) === pubDate.value.year) {
+    const fromTail = dateFromMatch(lead, "");
+    if (!pubDate.value.endMonth && fromTail.endMonth) pubDate.value.endMonth = fromTail.endMonth;
+    if (!pubDate.value.season && fromTail.season) pubDate.value.season = fromTail.season;
+  }
+
+  // Volume / issue / pages: the locator follows the date; books use "p. 220-32"
+  let loc = { volume: field(null), issue: field(null), pages: field(null), pageFirst: null, pageLast: null, articleNumber: field(null) };
+  if (lead) {
+    const rest = body.slice(lead[0].length);
+    if (rest && !/^p{1,2}\.?\s*\d/i.test(rest)) loc = parseLocator(rest);
+  }
+  if (!loc.pages.value && !loc.articleNumber.value) {
+    const bp = body.match(BOOK_PAGES_RE);
+    if (bp) {
+      const pl = parseLocation(bp[1], 0.8);
+      if (pl.pages.value) loc = { ...loc, ...pl };
+      else loc = { ...loc, pages: field(bp[1], 0.8), pageFirst: bp[1], pageLast: bp[1] };
+    }
+  }
+
+  // Epub ahead of print only means something for a tail with no volume or pages: on a paged record an
+  // "Epub 2019 Dec 1" is the online date of a paper that has since been printed. Explicit marker, else inferred
+  // from a dated DOI-only tail.
+  let epubAhead = field(null);
+  if (loc.volume.value) epubAhead = field(false, 0.9);
+  else if (loc.pages.value || loc.articleNumber.value) epubAhead = field(null);
+  else if (EPUB_RE.test(raw)) epubAhead = field(true, 1);
+  else if (pubDate.value?.day && hasDoi) epubAhead = field(true, 0.6);
+
+  return {
+    volume: loc.volume.value,
+    issue: loc.issue.value,
+    pages: loc.pages.value,
+    pageFirst: loc.pageFirst,
+    pageLast: loc.pageLast,
+    articleNumber: loc.articleNumber.value,
+    epubAhead: epubAhead.value,
+    pubDate: pubDate.value,
+    confidence: {
+      volume: loc.volume.confidence,
+      issue: loc.issue.confidence,
+      pages: loc.pages.confidence,
+      articleNumber: loc.articleNumber.confidence,
+      epubAhead: epubAhead.confidence,
+      pubDate: pubDate.confidence,
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// src/citationParser.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCitation } from "./citationParser.js";
+
+const locators = (c) => ({ volume: c.volume, issue: c.issue, pages: c.pages, articleNumber: c.articleNumber, epubAhead: c.epubAhead });
+
+test("volume, issue and page range; the last page is expanded", () => {
+  const c = parseCitation({ tail: "2025 Mar; 27(3):191-197. doi: 10.1007/s10903-024-01234-5. View Item" });
+  assert.deepEqual(locators(c), { volume: "27", issue: "3", pages: "191-197", articleNumber: null, epubAhead: false });
+  assert.deepEqual([c.pubDate.year, c.pubDate.month], [2025, 3]);
+  const short = parseCitation({ tail: "2014; 24(6):1068-9. View Item" });
+  assert.deepEqual([short.pageFirst, short.pageLast], ["1068", "1069"]);
+  const prefixed = parseCitation({ tail: "2019; 190 Suppl:S30-4. View Item" });
+  assert.deepEqual([prefixed.volume, prefixed.pageFirst, prefixed.pageLast], ["190 Suppl", "S30", "S34"]);
+});
+
+test("e-locators and long numbers are article numbers, not pages", () => {
+  const e = parseCitation({ tail: "2021 Jan 5; 11(1):e041234. doi: 10.1136/bmjopen-2020-041234. View Item" });
+  assert.deepEqual(locators(e), { volume: "11", issue: "1", pages: null, articleNumber: "e041234", epubAhead: false });
+  const n = parseCitation({ tail: "2023; 15:105992. View Item" });
+  assert.equal(n.articleNumber, "105992");
+  assert.equal(n.confidence.articleNumber, 0.72);
+  const ambiguous = parseCitation({ tail: "2017 Aug; 17(1):612. View Item" });
+  assert.equal(ambiguous.articleNumber, "612");
+  assert.equal(ambiguous.confidence.articleNumber, 0.5);
+});
+
+test("Epub markers are not read as pages and only flag records without a volume or pages", () => {
+  const printed = parseCitation({ tail: "2020 Feb; 35(2):112-120. doi: 10.1093/heapro/daz012. Epub 2019 Dec 1. View Item" });
+  assert.deepEqual(locators(printed), { volume: "35", issue: "2", pages: "112-120", articleNumber: null, epubAhead: false });
+  const ahead = parseCitation({ tail: "Epub ahead of print. View Item" });
+  assert.equal(ahead.epubAhead, true);
+  assert.equal(ahead.confidence.epubAhead, 1);
+  const bracketed = parseCitation({ tail: "2021 Mar 3. doi: 10.1186/s12913-021-06190-1. [Epub ahead of print]. View Item", date_text: "2021 Mar 3" });
+  assert.deepEqual(locators(bracketed), { volume: null, issue: null, pages: null, articleNumber: null, epubAhead: true });
+  // no marker, but a dated DOI-only tail is most likely online-first
+  const inferred = parseCitation({ tail: "2022 Jun 14. doi: 10.1002/hec.4567. View Item", date_text: "2022 Jun 14" });
+  assert.equal(inferred.epubAhead, true);
+  assert.equal(inferred.confidence.epubAhead, 0.6);
+});
+
+test("doi spellings the source uses (dopi, doi without a colon) are stripped before the pages are read", () => {
+  const dopi = parseCitation({ tail: "2012; 25(2): 80-89. dopi: 10.1108/17511871211221019. View Item" });
+  assert.deepEqual(locators(dopi), { volume: "25", issue: "2", pages: "80-89", articleNumber: null, epubAhead: false });
+  const noColon = parseCitation({ tail: "2016; pp. 45-67. doi 10.1007/978-3-319-12345-6_3. View Item" });
+  assert.deepEqual([noColon.pages, noColon.pageFirst, noColon.pageLast], ["45-67", "45", "67"]);
+  const dopiOnly = parseCitation({ tail: "2020 May 4. dopi: 10.1136/bmjopen-2019-033214. View Item", date_text: "2020 May 4" });
+  assert.equal(dopiOnly.pages, null);
+  assert.equal(dopiOnly.epubAhead, true);
+});
+
+test("dates: date_text wins, the tail widens it, the year fields are the fallback", () => {
+  const c = parseCitation({ tail: "2024 Jan-Jun; 12(1):1-18. View Item", date_text: "2024 Jan" });
+  assert.deepEqual([c.pubDate.year, c.pubDate.month, c.pubDate.endMonth, c.confidence.pubDate], [2024, 1, 6, 1]);
+  const season = parseCitation({ tail: "2014 Spring; 8(1):33-41. View Item" });
+  assert.equal(season.pubDate.season, "Spring");
+  const bare = parseCitation({ tail: "", year: 2019, month: 7 });
+  assert.deepEqual([bare.pubDate.iso, bare.confidence.pubDate], ["2019-07", 0.5]);
+  assert.equal(parseCitation({}).pubDate, null);
+});
@@ -0,0 +1,173 @@
+// src/coauthorNetwork.js
+// Co-authorship network: graph from the rows' author ids, Louvain community detection and a deterministic
+// force-directed layout (run inside networkWorker.js so dragging sliders never blocks the page).
+// Call: const g = buildCoauthorGraph(rows, identities, { maxNodes, minWeight, largeTeam, include })
+//         -> { nodes:[{ id, name, papers, community }], edges:[{ source, target, weight, papers }] }
+//       layoutGraph(g, { iterations, seed }) -> Map(id -> { x, y }) in [0, 1]²
+// Edge weight = papers written together; with `largeTeam` set, a paper with n > largeTeam authors adds only
+// largeTeam / n to each of its pairs, so one consortium paper does not outweigh a steady collaboration.
+
+/* ----------------------------------------------------------------------
+ * 1) Graph
+ * -------------------------------------------------------------------- */
+export function buildCoauthorGraph(rows = [], identities, { maxNodes = 60, minWeight = 1, largeTeam = 0, include = () => true } = {}) {
+  const papers = new Map();
+  for (const r of rows) for (const id of identities.authorIdsOf(r)) if (include(id)) papers.set(id, (papers.get(id) || 0) + 1);
+
+  // the most productive authors (ties by id so the node set is stable)
+  const keep = new Set([...papers].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, maxNodes).map(([id]) => id));
+
+  const pairs = new Map(); // "a\u0000b" -> { weight, papers }
+  for (const r of rows) {
+    const all = identities.authorIdsOf(r);
+    const ids = all.filter(id => keep.has(id)).sort();
+    if (ids.length < 2) continue;
+    const w = largeTeam && all.length > largeTeam ? largeTeam / all.length : 1;
+    for (let i = 0; i < ids.length; i++) for (let j = i + 1; j < ids.length; j++) {
+      const k = `${ids[i]}\u0000${ids[j]}`;
+      const e = pairs.get(k) || { weight: 0, papers: 0 };
+      e.weight += w; e.papers++;
+      pairs.set(k, e);
+    }
+  }
+  const edges = [...pairs]
+    .filter(([, e]) => e.weight >= minWeight - 1e-9)
+    .map(([k, e]) => { const [source, target] = k.split("\u0000"); return { source, target, weight: e.weight, papers: e.papers }; })
+    .sort((a, b) => (a.source + a.target < b.source + b.target ? -1 : 1));
+
+  const nodes = [...keep].sort().map(id => ({ id, name: identities.people.get(id)?.name || id, papers: papers.get(id), community: 0 }));
+  const community = detectCommunities(nodes.map(n => n.id), edges);
+  for (const n of nodes) n.community = community.get(n.id);
+  return { nodes, edges };
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Communities (Louvain: local moving + aggregation, nodes visited in id order)
+ * -------------------------------------------------------------------- */
+export function detectCommunities(ids = [], edges = []) {
+  const index = new Map(ids.map((id, i) => [id, i]));
+  // adjacency of the current level: adj[i] = Map(j -> weight); self-loops hold weight already inside a node
+  let adj = ids.map(() => new Map());
+  for (const e of edges) {
+    const a = index.get(e.source), b = index.get(e.target);
+    if (a == null || b == null || a === b) continue;
+    adj[a].set(b, (adj[a].get(b) || 0) + e.weight);
+    adj[b].set(a, (adj[b].get(a) || 0) + e.weight);
+  }
+  let membership = ids.map((_, i) => i); // original node -> current-level node
+
+  for (let level = 0; level < 10; level++) {
+    const n = adj.length;
+    const degree = adj.map((m, i) => [...m].reduce((s, [j, w]) => s + (j === i ? 2 * w : w), 0));
+    const m2 = degree.reduce((a, b) => a + b, 0);
+    if (!m2) break;
+    const comm = adj.map((_, i) => i);
+    const tot = [...degree];
+    let moved = false;
+
+    for (let pass = 0; pass < 20; pass++) {
+      let changed = false;
+      for (let i = 0; i < n; i++) {
+        const links = new Map(); // neighbour community -> weight from i
+        for (const [j, w] of adj[i]) if (j !== i) links.set(comm[j], (links.get(comm[j]) || 0) + w);
+        const own = comm[i];
+        tot[own] -= degree[i];
+        let best = own, bestGain = (links.get(own) || 0) - (tot[own] * degree[i]) / m2;
+        for (const [c, w] of links) {
+          const gain = w - (tot[c] * degree[i]) / m2;
+          if (gain > bestGain + 1e-12 || (Math.abs(gain - bestGain) <= 1e-12 && c < best && gain > 0)) { best = c; bestGain = gain; }
+        }
+        tot[best] += degree[i];
+        if (best !== own) { comm[i] = best; changed = true; moved = true; }
+      }
+      if (!changed) break;
+    }
+    if (!moved) break;
+
+    // aggregate communities into the next level's nodes
+    const renum = new Map();
+    for (const c of comm) if (!renum.has(c)) renum.set(c, renum.size);
+    const next = [...renum.keys()].map(() => new Map());
+    adj.forEach((m, i) => {
+      const ci = renum.get(comm[i]);
+      for (const [j, w] of m) {
+        const cj = renum.get(comm[j]);
+        // an undirected edge is seen from both ends, so an edge that becomes internal is halved;
+        // an existing self-loop is seen once
+        next[ci].set(cj, (next[ci].get(cj) || 0) + (ci === cj && i !== j ? w / 2 : w));
+      }
+    });
+    membership = membership.map(v => renum.get(comm[v]));
+    adj = next;
+  }
+
+  // number communities by size (largest = 0) so colours stay put when the graph barely changes
+  const sizes = new Map();
+  for (const c of membership) sizes.set(c, (sizes.get(c) || 0) + 1);
+  const order = [...sizes].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([c]) => c);
+  const rank = new Map(order.map((c, i) => [c, i]));
+  return new Map(ids.map((id, i) => [id, rank.get(membership[i])]));
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Layout (Fruchterman-Reingold with a seeded start, so the same graph always lands the same way)
+ * -------------------------------------------------------------------- */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function layoutGraph({ nodes = [], edges = [] } = {}, { iterations = 300, seed = 1 } = {}) {
+  const n = nodes.length;
+  const out = new Map();
+  if (!n) return out;
+  if (n === 1) { out.set(nodes[0].id, { x: 0.5, y: 0.5 }); return out; }
+
+  const rand = mulberry32(seed);
+  const index = new Map(nodes.map((nd, i) => [nd.id, i]));
+  const x = new Float64Array(n), y = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const a = (2 * Math.PI * i) / n;
+    x[i] = Math.cos(a) * 0.5 + (rand() - 0.5) * 0.1;
+    y[i] = Math.sin(a) * 0.5 + (rand() - 0.5) * 0.1;
+  }
+  const links = edges.map(e => [index.get(e.source), index.get(e.target), Math.log1p(e.weight)]).filter(([a, b]) => a != null && b != null);
+  const k = Math.sqrt(1 / n);
+  const dx = new Float64Array(n), dy = new Float64Array(n);
+
+  for (let it = 0; it < iterations; it++) {
+    const temp = 0.1 * (1 - it / iterations) + 0.002;
+    dx.fill(0); dy.fill(0);
+    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) {
+      const ddx = x[i] - x[j], ddy = y[i] - y[j];
+      const d2 = Math.max(ddx * ddx + ddy * ddy, 1e-6);
+      const f = (k * k) / d2;
+      dx[i] += ddx * f; dy[i] += ddy * f; dx[j] -= ddx * f; dy[j] -= ddy * f;
+    }
+    for (const [a, b, w] of links) {
+      const ddx = x[a] - x[b], ddy = y[a] - y[b];
+      const d = Math.sqrt(ddx * ddx + ddy * ddy) || 1e-3;
+      const f = (d / k) * w;
+      dx[a] -= ddx * f; dy[a] -= ddy * f; dx[b] += ddx * f; dy[b] += ddy * f;
+    }
+    for (let i = 0; i < n; i++) {
+      dx[i] -= x[i] * n * k; dy[i] -= y[i] * n * k; // gravity keeps loose components from drifting off
+      const len = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]) || 1;
+      const step = Math.min(len, temp);
+      x[i] += (dx[i] / len) * step; y[i] += (dy[i] / len) * step;
+    }
+  }
+
+  // fit into [0, 1]² keeping the aspect ratio
+  const minX = Math.min(...x), maxX = Math.max(...x), minY = Math.min(...y), maxY = Math.max(...y);
+  const span = Math.max(maxX - minX, maxY - minY) || 1;
+  const offX = (1 - (maxX - minX) / span) / 2, offY = (1 - (maxY - minY) / span) / 2;
+  nodes.forEach((nd, i) => out.set(nd.id, { x: offX + (x[i] - minX) / span, y: offY + (y[i] - minY) / span }));
+  return out;
+}
@@ -0,0 +1,84 @@
+// src/crossrefMeta.js
+// Crossref metadata beyond title and venue, shared by the source adapters (Crossref JSON and the `crossref`
+// block written by scripts/enrich_pubs.mjs) and the dashboard facets / record detail view.
+// Call: jatsToText(abstract)        -> plain text, paragraphs separated by blank lines
+//       pickLicense(licenses)       -> { label, url, open } | null   (version-of-record, open licenses first)
+//       fundersOf(funders)          -> [{ name, doi, awards }]
+//       crossrefDate(dateParts)     -> "2020-05-14" | "2020-05" | "2020" | null
+//       typeLabel("journal-article") -> "Journal article"
+// License and funder lists may be in Crossref's shape ({ URL, "content-version" }, { DOI, award }) or the
+// enrichment block's ({ url, content_version }, { doi, awards }).
+
+/* ----------------------------------------------------------------------
+ * 1) Abstracts
+ * -------------------------------------------------------------------- */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+const decodeEntities = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+  if (e[0] === "#") {
+    const n = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+    return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+  }
+  return ENTITIES[e.toLowerCase()] ?? m;
+});
+
+// Crossref abstracts are JATS XML: <jats:p>, <jats:sec>, <jats:title>Background</jats:title> …
+export function jatsToText(abstract = "") {
+  const text = decodeEntities(String(abstract || "")
+    .replace(/<(?:jats:)?title>\s*([^<]*?)\s*<\/(?:jats:)?title>/gi, (_, t) => (/^abstract$/i.test(t) ? "\n\n" : `\n\n${t}: `))
+    .replace(/<\/?(?:jats:)?(?:p|sec)\b[^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, ""));
+  return text.split(/\n{2,}/).map(p => p.replace(/\s+/g, " ").trim()).filter(Boolean).join("\n\n")
+    .replace(/(^|\n\n)([^\n:]{1,40}):\s*\n\n/g, "$1$2: "); // a section title directly followed by its paragraph
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Licenses, funders, dates, types
+ * -------------------------------------------------------------------- */
+const CC_RE = /creativecommons\.org\/(licenses|publicdomain)\/([a-z-]+)\/?(\d(?:\.\d)?)?/i;
+
+export function licenseLabel(url = "") {
+  const m = String(url).match(CC_RE);
+  if (!m) return { label: "Publisher terms", open: false };
+  if (m[1].toLowerCase() === "publicdomain") return { label: m[2].toLowerCase() === "zero" ? "CC0" : "Public domain", open: true };
+  return { label: `CC ${m[2].toUpperCase()}${m[3] ? ` ${m[3]}` : ""}`, open: true };
+}
+
+export function pickLicense(licenses = []) {
+  const list = (Array.isArray(licenses) ? licenses : []).map(l => ({
+    url: String(l?.url || l?.URL || "").trim(),
+    version: String(l?.content_version || l?.["content-version"] || "").toLowerCase(),
+  })).filter(l => l.url).map(l => ({ ...l, ...licenseLabel(l.url) }));
+  if (!list.length) return null;
+  const rank = (l) => (l.open ? 0 : 2) + (l.version === "vor" ? 0 : 1);
+  const best = [...list].sort((a, b) => rank(a) - rank(b))[0];
+  return { label: best.label, url: best.url, open: best.open };
+}
+
+export function fundersOf(funders = []) {
+  const seen = new Map();
+  for (const f of Array.isArray(funders) ? funders : []) {
+    const name = String(f?.name || "").replace(/\s+/g, " ").trim();
+    if (!name) continue;
+    const awards = (f.awards || f.award || []).map(a => String(a).trim()).filter(Boolean);
+    const prev = seen.get(name.toLowerCase());
+    if (prev) prev.awards = [...new Set([...prev.awards, ...awards])];
+    else seen.set(name.toLowerCase(), { name, doi: f.doi || f.DOI || null, awards: [...new Set(awards)] });
+  }
+  return [...seen.values()];
+}
+
+export function crossrefDate(d) {
+  const dp = d?.["date-parts"]?.[0];
+  if (!dp?.[0]) return null;
+  return dp.slice(0, 3).map((n, i) => (i ? String(n).padStart(2, "0") : String(n))).join("-");
+}
+
+const TYPE_LABELS = {
+  "journal-article": "Journal article", "book-chapter": "Book chapter", "book": "Book", "edited-book": "Edited book",
+  "monograph": "Monograph", "reference-entry": "Reference entry", "proceedings-article": "Conference paper",
+  "posted-content": "Preprint", "report": "Report", "dataset": "Dataset", "dissertation": "Dissertation",
+  "peer-review": "Peer review", "component": "Supplementary component", "other": "Other",
+};
+
+export const typeLabel = (type = "") =>
+  TYPE_LABELS[type] || (type ? type.charAt(0).toUpperCase() + type.slice(1).replace(/[-_]+/g, " ") : "Unknown");
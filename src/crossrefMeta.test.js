@@ -0,0 +1,55 @@
+// src/crossrefMeta.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { crossrefDate, fundersOf, jatsToText, pickLicense, typeLabel } from "./crossrefMeta.js";
+
+test("jatsToText: structured JATS abstract with section titles and entities", () => {
+  const jats = "<jats:sec>\n<jats:title>Background</jats:title>\n<jats:p>Rates of type&#160;2 diabetes are high in\n"
+    + "Newfoundland &amp; Labrador.</jats:p>\n</jats:sec><jats:sec>\n<jats:title>Methods</jats:title>\n"
+    + "<jats:p>We used <jats:italic>administrative</jats:italic> data (n &lt; 5000).</jats:p>\n</jats:sec>";
+  assert.equal(jatsToText(jats),
+    "Background: Rates of type 2 diabetes are high in Newfoundland & Labrador.\n\nMethods: We used administrative data (n < 5000).");
+});
+
+test("jatsToText: an 'Abstract' heading is dropped, plain paragraphs are kept apart", () => {
+  const jats = "<jats:title>Abstract</jats:title><jats:p>First paragraph.</jats:p><jats:p>Second &#x2013; paragraph.</jats:p>";
+  assert.equal(jatsToText(jats), "First paragraph.\n\nSecond \u2013 paragraph.");
+  assert.equal(jatsToText(null), "");
+});
+
+test("pickLicense: the open version-of-record license wins, in Crossref or enrichment shape", () => {
+  const crossref = [
+    { URL: "https://www.elsevier.com/tdm/userlicense/1.0/", "content-version": "tdm", "delay-in-days": 0, start: { "date-parts": [[2021, 1, 1]] } },
+    { URL: "http://creativecommons.org/licenses/by/4.0/", "content-version": "am", "delay-in-days": 365 },
+    { URL: "https://creativecommons.org/licenses/by-nc-nd/4.0/", "content-version": "vor", "delay-in-days": 0 },
+  ];
+  assert.deepEqual(pickLicense(crossref), { label: "CC BY-NC-ND 4.0", url: "https://creativecommons.org/licenses/by-nc-nd/4.0/", open: true });
+  const block = [{ url: "https://creativecommons.org/publicdomain/zero/1.0/", content_version: "vor", start: "2021-01-01" }];
+  assert.deepEqual(pickLicense(block), { label: "CC0", url: block[0].url, open: true });
+  assert.deepEqual(pickLicense([{ URL: "https://www.springer.com/tdm", "content-version": "tdm" }]),
+    { label: "Publisher terms", url: "https://www.springer.com/tdm", open: false });
+  assert.equal(pickLicense([]), null);
+});
+
+test("fundersOf merges repeated funders and their awards", () => {
+  const funders = [
+    { name: "Canadian Institutes of Health Research", DOI: "10.13039/501100000024", "doi-asserted-by": "publisher", award: ["PJT-153065"] },
+    { name: "Canadian  Institutes of Health Research", award: ["PJT-153065", "FDN-1"] },
+    { name: "Research NL", doi: null, awards: [] },
+    { award: ["orphan"] },
+  ];
+  assert.deepEqual(fundersOf(funders), [
+    { name: "Canadian Institutes of Health Research", doi: "10.13039/501100000024", awards: ["PJT-153065", "FDN-1"] },
+    { name: "Research NL", doi: null, awards: [] },
+  ]);
+});
+
+test("crossrefDate and typeLabel", () => {
+  assert.equal(crossrefDate({ "date-parts": [[2020, 5, 4]] }), "2020-05-04");
+  assert.equal(crossrefDate({ "date-parts": [[2020]] }), "2020");
+  assert.equal(crossrefDate({ "date-parts": [[null]] }), null);
+  assert.equal(typeLabel("journal-article"), "Journal article");
+  assert.equal(typeLabel("grant-record"), "Grant record");
+});
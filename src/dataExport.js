@@ -0,0 +1,107 @@
+// src/dataExport.js
+// Spreadsheet export of the dashboard: the filtered publication rows plus the aggregates behind each panel.
+// Call: buildExportTables({ rows, byYear, byMonth, bySubject, byTopic, topAuthors, topVenues, heat, authorImpact }) -> tables
+//       exportDataFile(tables, { filters, format: "xlsx" | "csv" }) -> { bytes, fileName, mime }
+// Every CSV file / worksheet starts with the same header block (generated time + active filters),
+// so numbers pasted elsewhere can be traced back to the dashboard view they came from.
+
+import { buildXlsx, zipFiles } from "./xlsxWriter.js";
+
+/* ----------------------------------------------------------------------
+ * 1) Tables
+ * -------------------------------------------------------------------- */
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+export const PUBLICATION_COLUMNS = [
+  ["id", "ID"], ["year", "Year"], ["month", "Month"], ["pubDate", "Publication date"],
+  ["title", "Title"], ["authors", "Authors"], ["venue", "Journal"], ["volume", "Volume"], ["issue", "Issue"],
+  ["pages", "Pages"], ["articleNumber", "Article number"], ["epubAhead", "Epub ahead of print"],
+  ["doi", "DOI"], ["url", "Link"], ["topic", "Topic"], ["subjects", "Subjects"], ["type", "Type"],
+  ["format", "Format"], ["funders", "Funders"], ["license", "License"], ["abstract", "Abstract"],
+  ["citedBy", "Cited by"], ["citedBySource", "Citation source"], ["oa", "Open access"], ["oaUrl", "Free full text"],
+  ["imported", "Locally imported"],
+];
+
+function cellOf(row, key) {
+  const v = row[key];
+  if (key === "pubDate") return v?.iso || "";
+  if (key === "citedBy") return v?.count ?? "";
+  if (key === "oa") return v?.status || "";
+  if (key === "oaUrl") return row.oa?.url || "";
+  if (key === "citedBySource") return row.citedBy ? `${row.citedBy.source}${row.citedBy.retrieved_at ? ` ${String(row.citedBy.retrieved_at).slice(0, 10)}` : ""}` : "";
+  if (key === "funders") return (v || []).map(f => f.name).join("; ");
+  if (key === "license") return v?.label || "";
+  if (Array.isArray(v)) return v.join("; ");
+  if (typeof v === "boolean") return v ? "yes" : "no";
+  return v ?? "";
+}
+
+export function buildExportTables({ rows = [], byYear = [], byMonth = [], bySubject = [], byTopic = [], topAuthors = [], topVenues = [], heat, authorImpact = [] }) {
+  const years = byYear.map(d => d.year);
+  return [
+    { name: "Publications", file: "publications",
+      columns: PUBLICATION_COLUMNS.map(([, label]) => label),
+      rows: rows.map(r => PUBLICATION_COLUMNS.map(([k]) => cellOf(r, k))) },
+    { name: "By year", file: "by_year", columns: ["Year", "Publications"], rows: byYear.map(d => [d.year, d.count]) },
+    { name: "By month", file: "by_month", columns: ["Month", "Publications"], rows: byMonth.map(d => [d.label, d.count]) },
+    { name: "By subject", file: "by_subject", columns: ["Subject", "Publications"], rows: bySubject.map(d => [d.subject, d.count]) },
+    { name: "By topic", file: "by_topic", columns: ["Topic", "Publications"], rows: byTopic.map(d => [d.topic, d.count]) },
+    { name: "Top authors", file: "top_authors", columns: ["Author", "Publications"], rows: topAuthors.map(d => [d.author, d.count]) },
+    { name: "Top venues", file: "top_venues", columns: ["Venue", "Publications", "Also printed as"],
+      rows: topVenues.map(d => [d.venue, d.count, (d.variants || []).join("; ")]) },
+    { name: "Year x Month", file: "year_month_heat", columns: ["Year", ...MONTHS],
+      rows: heat ? years.map(y => [y, ...MONTHS.map((_, i) => heat.get(y, i + 1))]) : [] },
+    ...(authorImpact.length ? [{ name: "Author impact", file: "author_impact",
+      columns: ["Author", "Publications", "With citation count", "Citations", "h-index", "i10-index"],
+      rows: authorImpact.map(d => [d.author, d.papers, d.counted, d.citations, d.h, d.i10]) }] : []),
+  ];
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Header block
+ * -------------------------------------------------------------------- */
+// filters: [[label, value], …] as shown in the Active Filters chips
+export function headerBlock({ filters = [], total, now = new Date() } = {}) {
+  return [
+    ["Faculty Publication Dashboard — data export"],
+    ["Generated", now.toISOString()],
+    ["Publications in view", total ?? ""],
+    ...(filters.length ? filters.map(([k, v]) => [`Filter: ${k}`, String(v)]) : [["Filters", "none (all publications)"]]),
+    [],
+  ];
+}
+
+/* ----------------------------------------------------------------------
+ * 3) CSV
+ * -------------------------------------------------------------------- */
+// RFC 4180 quoting; cells that a spreadsheet would evaluate as formulas get a leading apostrophe
+function csvCell(v) {
+  if (v == null) return "";
+  if (typeof v === "number") return String(v);
+  let s = String(v);
+  if (/^[=+@\t\r]/.test(s) || /^-(?!\d)/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const toCsv = (rows) => "\uFEFF" + rows.map(r => (r || []).map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+/* ----------------------------------------------------------------------
+ * 4) Entry point
+ * -------------------------------------------------------------------- */
+export function exportDataFile(tables, { filters = [], format = "xlsx", now = new Date(), baseName = "faculty-publications-data" } = {}) {
+  const header = headerBlock({ filters, total: tables[0]?.rows.length, now });
+  const stamp = now.toISOString().slice(0, 10);
+  if (format === "csv") {
+    const files = tables.map(t => ({ name: `${t.file}.csv`, data: toCsv([...header, t.columns, ...t.rows]) }));
+    return { bytes: zipFiles(files, { now }), fileName: `${baseName}-${stamp}-csv.zip`, mime: "application/zip" };
+  }
+  const sheets = tables.map(t => ({
+    name: t.name,
+    rows: [...header.map((r, i) => (i === 0 ? [{ v: r[0], bold: true }] : r)), t.columns.map(v => ({ v, bold: true })), ...t.rows],
+  }));
+  return {
+    bytes: buildXlsx(sheets, { now }),
+    fileName: `${baseName}-${stamp}.xlsx`,
+    mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  };
+}
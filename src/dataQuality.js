@@ -0,0 +1,117 @@
+// src/dataQuality.js
+// Data quality report: every source record that was dropped, repaired on load or is missing something the
+// dashboard relies on, with the reason, so problems can be fixed in the source data instead of silently hidden.
+// Call: const report = auditRecords(entries, { minYear, maxYear, isAuthorList, finalById, unmapped })
+//   entries   : [{ record, row, kept }] — canonical record (sourceAdapters.js), its normalized row, and keepRow()
+//   finalById : Map(row id -> row) after background repairs (Crossref titles), to report those too;
+//               build-time repairs (scripts/enrich_pubs.mjs) are read from row.provenance
+//   unmapped  : { sourceField: recordCount } from normalizeSource (sourceAdapters.js), fields the adapter does not read
+//   -> { items:[{ record, row, status, issues:[{ key, label, status, detail }] }], counts:{ issueKey: n }, byStatus:{ … }, total,
+//        unmapped:[{ field, count }] }
+//       qualityTable(report.items) -> { name, file, columns, rows } for dataExport.js
+// status: "dropped" (not shown anywhere) > "repaired" (shown, changed on load) > "incomplete" (shown, field missing).
+
+/* ----------------------------------------------------------------------
+ * 1) Issues
+ * -------------------------------------------------------------------- */
+export const QUALITY_ISSUES = {
+  "no-title":          { label: "No title",                     status: "dropped" },
+  "year-range":        { label: "Year out of range",            status: "dropped" },
+  "author-list-title": { label: "Author list as title",         status: "repaired" },
+  "crossref-title":    { label: "Title replaced from Crossref", status: "repaired" },
+  "crossref-filled":   { label: "Filled in from Crossref",      status: "repaired" },
+  "no-authors":        { label: "Empty author list",            status: "incomplete" },
+  "no-year":           { label: "No year",                      status: "incomplete" },
+  "no-month":          { label: "Month not parsed",             status: "incomplete" },
+  "no-doi":            { label: "No DOI",                       status: "incomplete" },
+  "proxy-link":        { label: "Proxy-only link",              status: "incomplete" },
+};
+export const QUALITY_STATUSES = ["dropped", "repaired", "incomplete"];
+
+// off-campus readers cannot follow these (library EZproxy logins)
+const PROXY_RE = /^https?:\/\/(qe2a-[^/]+|library-proxy\.[^/]+|[^/]*ezproxy[^/]*)\/login\?(qurl|url)=/i;
+const MONTH_HINT_RE = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b|\b(19|20)\d{2}[-/.](0?[1-9]|1[0-2])\b/i;
+const YEAR_RE = /\b(1[89]\d{2}|2\d{3})\b/;
+
+const rawYearOf = (record) => {
+  const y = Number(record.year);
+  if (Number.isFinite(y) && y) return Math.trunc(y);
+  const m = String(record.date_text || "").match(YEAR_RE);
+  return m ? Number(m[1]) : null;
+};
+
+/* ----------------------------------------------------------------------
+ * 2) Audit
+ * -------------------------------------------------------------------- */
+function issuesOf({ record, row, kept }, { minYear, maxYear, isAuthorList, finalById }) {
+  const out = [];
+  const add = (key, detail = "", status = QUALITY_ISSUES[key].status) => out.push({ key, label: QUALITY_ISSUES[key].label, status, detail });
+  const final = finalById?.get(row.id) || row;
+
+  if (!row.title) add("no-title", record.venue ? `venue "${record.venue}"` : "");
+  // normalizeRow blanks years before minYear (the record stays, undated); keepRow drops years after maxYear
+  const year = row.year ?? rawYearOf(record);
+  if (year != null && (year < minYear || year > maxYear)) {
+    add("year-range", `${year} (allowed ${minYear}–${maxYear})`, kept ? "incomplete" : "dropped");
+  } else if (!row.year) add("no-year", record.date_text ? `date "${record.date_text}"` : "");
+
+  if (isAuthorList(record.title || "") && !isAuthorList(row.title || "")) {
+    add("author-list-title", `title taken from the venue field, authors read from "${record.title}"`);
+  } else if (isAuthorList(final.title || "")) {
+    add("author-list-title", `"${final.title}" (no DOI or venue to repair it from)`, "incomplete");
+  }
+  const prov = row.provenance || {};
+  if (prov.title) add("crossref-title", `"${prov.title.was}" -> "${row.title}" (${String(prov.title.retrieved_at).slice(0, 10)})`);
+  else if (final.title !== row.title) add("crossref-title", `"${row.title}" -> "${final.title}"`);
+  const filled = ["venue", "year", "month"].filter(k => prov[k]);
+  if (filled.length) add("crossref-filled", filled.map(k => `${k} ${prov[k].was ? `"${prov[k].was}"` : "(empty)"} -> "${row[k]}"`).join(", "));
+
+  if (!row.authors?.length) add("no-authors");
+  if (row.year && !row.month) {
+    add("no-month", MONTH_HINT_RE.test(record.date_text || "") ? `could not read the month in "${record.date_text}"` : `source gives ${record.date_text ? `"${record.date_text}"` : "no date"}`);
+  }
+  if (!row.doi) add("no-doi");
+  if (PROXY_RE.test(row.url || "") && !row.doi) add("proxy-link", row.url);
+  return out;
+}
+
+export function auditRecords(entries = [], { minYear, maxYear, isAuthorList = () => false, finalById = null, unmapped = {} } = {}) {
+  const opts = { minYear, maxYear, isAuthorList, finalById };
+  const counts = Object.fromEntries(Object.keys(QUALITY_ISSUES).map(k => [k, 0]));
+  const byStatus = Object.fromEntries(QUALITY_STATUSES.map(s => [s, 0]));
+  const items = [];
+  for (const e of entries) {
+    const issues = issuesOf(e, opts);
+    if (!issues.length) continue;
+    for (const i of issues) counts[i.key]++;
+    const status = QUALITY_STATUSES.find(s => issues.some(i => i.status === s));
+    byStatus[status]++;
+    items.push({ record: e.record, row: finalById?.get(e.row.id) || e.row, status, issues });
+  }
+  items.sort((a, b) => QUALITY_STATUSES.indexOf(a.status) - QUALITY_STATUSES.indexOf(b.status) || (b.row.year || 0) - (a.row.year || 0));
+  const fields = Object.entries(unmapped || {}).map(([field, count]) => ({ field, count }))
+    .sort((a, b) => b.count - a.count || a.field.localeCompare(b.field));
+  return { items, counts, byStatus, total: entries.length, unmapped: fields };
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Export
+ * -------------------------------------------------------------------- */
+export function qualityTable(items = []) {
+  return {
+    name: "Data quality", file: "data_quality",
+    columns: ["Status", "Issues", "Details", "Title (source)", "Authors", "Journal", "Year", "Date text", "DOI", "Link"],
+    rows: items.map(({ record, row, status, issues }) => [
+      status,
+      issues.map(i => i.label).join("; "),
+      issues.filter(i => i.detail).map(i => `${i.label}: ${i.detail}`).join("; "),
+      record.title || "",
+      (record.authors || []).join("; "),
+      record.venue || "",
+      record.year ?? "",
+      record.date_text || "",
+      row.doi || "",
+      record.url || "",
+    ]),
+  };
+}
@@ -0,0 +1,166 @@
+// src/duplicateDetect.js
+// Finds records that describe the same paper: repeated entries (online-first + issue version, re-scraped rows with
+// a slightly different title), preprint -> journal pairs and correction notices, so the dashboard can count each once.
+// Call: const dupes = detectDuplicates(rows, { authorsOf })     // authorsOf(row) -> person ids (authorIdentity.js)
+//   -> { clusters:[{ id, kind, keep, members:[{ row, kind, reason }] }], collapsed: Set(row id), clusterOf: Map(row id -> cluster) }
+//   kind: "duplicate" | "preprint" (preprint -> published pair) | "correction" (erratum / corrigendum + its paper)
+//   `keep` is the record that stays counted (the published version); `members` are the ones folded into it.
+// Records with different non-preprint DOIs never end up in one cluster, not even through a DOI-less record that
+// resembles both (new editions and book chapters keep their own DOI);
+// a correction whose original is not in the data is left alone.
+
+/* ----------------------------------------------------------------------
+ * 1) Record features
+ * -------------------------------------------------------------------- */
+const PREPRINT_DOI = /^10\.(1101|21203|2139|48550|20944|22541|31219|31234|31235|31222)\//;
+const PREPRINT_VENUE = /\b(medrxiv|biorxiv|arxiv|psyarxiv|socarxiv|research square|ssrn|preprints|authorea|osf preprints)\b/i;
+const NOTICE_PREFIX = /^\s*(?:(?:author|publisher)(?:'s)?\s+)?(correction|erratum|corrigendum|addendum)\b\s*(?:to|for|on|in)?\s*[:\-.]?\s*/i;
+
+const fold = (s) => String(s ?? "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+const STOP = new Set(["a", "an", "the", "of", "and", "in", "on", "for", "to", "with", "at", "by", "from", "among", "its", "their"]);
+
+const titleTokens = (title) => fold(title).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(w => w && !STOP.has(w));
+
+export const isPreprint = (r) => PREPRINT_DOI.test(String(r.doi || "").toLowerCase()) || PREPRINT_VENUE.test(r.venue || "");
+export const isNotice = (r) => NOTICE_PREFIX.test(r.title || "");
+
+// token-set similarity (Dice), robust to reordered or lightly edited titles
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function authorOverlap(a, b) {
+  if (!a.length || !b.length) return 0;
+  const set = new Set(a);
+  return b.filter(x => set.has(x)).length / Math.min(a.length, b.length);
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Pair rules (first match wins)
+ * -------------------------------------------------------------------- */
+const SAME_TITLE = 0.9;      // repeated entries
+const PREPRINT_TITLE = 0.7;  // preprint titles are often reworded on acceptance
+const MIN_TOKENS = 3;        // "Tele-education" alone is not evidence of anything
+const pct = (x) => `${Math.round(x * 100)}%`;
+
+function comparePair(a, b) {
+  const doiA = String(a.row.doi || "").toLowerCase(), doiB = String(b.row.doi || "").toLowerCase();
+  if (doiA && doiA === doiB) return { kind: "duplicate", reason: "same DOI" };
+
+  if (a.notice !== b.notice) {
+    const [notice, paper] = a.notice ? [a, b] : [b, a];
+    const sim = similarity(notice.tokens, paper.tokens);
+    if (sim >= SAME_TITLE && paper.tokens.size >= MIN_TOKENS && !(notice.row.year && paper.row.year && notice.row.year < paper.row.year)) {
+      return { kind: "correction", reason: `notice for this paper (title ${pct(sim)} similar)`, member: notice };
+    }
+    return null;
+  }
+  if (a.notice) return null;
+
+  const sim = similarity(a.tokens, b.tokens);
+  const overlap = authorOverlap(a.authors, b.authors);
+  if (Math.min(a.tokens.size, b.tokens.size) < MIN_TOKENS || overlap < 0.5) return null;
+  const why = `title ${pct(sim)} similar, ${pct(overlap)} author overlap`;
+
+  if (a.preprint !== b.preprint) {
+    const [pre, pub] = a.preprint ? [a, b] : [b, a];
+    const order = !(pre.row.year && pub.row.year) || pre.row.year <= pub.row.year;
+    return sim >= PREPRINT_TITLE && order ? { kind: "preprint", reason: `preprint of this paper (${why})`, member: pre } : null;
+  }
+  if (doiA && doiB) return null;
+  const close = !(a.row.year && b.row.year) || Math.abs(a.row.year - b.row.year) <= 1;
+  return sim >= SAME_TITLE && close ? { kind: "duplicate", reason: why } : null;
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Clustering
+ * -------------------------------------------------------------------- */
+// the published, most complete record stays counted (ties: dataset order)
+const keepRank = (f) => [f.notice, f.preprint, !f.row.doi, !f.row.volume, !f.row.month, f.index];
+function byKeepRank(a, b) {
+  const ra = keepRank(a), rb = keepRank(b);
+  for (let i = 0; i < ra.length; i++) if (ra[i] !== rb[i]) return ra[i] < rb[i] ? -1 : 1;
+  return 0;
+}
+const KIND_ORDER = ["correction", "preprint", "duplicate"];
+
+export function detectDuplicates(rows = [], { authorsOf = (r) => (r.authors || []).map(a => String(a).toLowerCase()) } = {}) {
+  const feats = rows.map((row, index) => {
+    const notice = isNotice(row);
+    return {
+      row, index, notice,
+      preprint: isPreprint(row),
+      tokens: new Set(titleTokens(notice ? String(row.title).replace(NOTICE_PREFIX, "") : row.title)),
+      authors: authorsOf(row),
+    };
+  });
+
+  // candidate pairs share a DOI or at least two not-too-common title words
+  const df = new Map();
+  for (const f of feats) for (const t of f.tokens) df.set(t, (df.get(t) || 0) + 1);
+  const posting = new Map(), byDoi = new Map();
+  feats.forEach((f, i) => {
+    for (const t of f.tokens) if (df.get(t) <= 40) { if (!posting.has(t)) posting.set(t, []); posting.get(t).push(i); }
+    const doi = String(f.row.doi || "").toLowerCase();
+    if (doi) { if (!byDoi.has(doi)) byDoi.set(doi, []); byDoi.get(doi).push(i); }
+  });
+
+  const parent = feats.map((_, i) => i);
+  const find = (i) => { while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; } return i; };
+  // published DOIs per cluster root: a DOI-less record similar to two papers must not bridge them into one cluster
+  const paperDois = feats.map(f => {
+    const doi = String(f.row.doi || "").toLowerCase();
+    return new Set(doi && !f.preprint && !f.notice ? [doi] : []);
+  });
+  const links = []; // [i, j, { kind, reason, member? }]
+  const link = (i, j) => {
+    const ri = find(i), rj = find(j);
+    const dois = new Set([...paperDois[ri], ...paperDois[rj]]);
+    if (dois.size > 1) return;
+    const res = comparePair(feats[i], feats[j]);
+    if (!res) return;
+    links.push([i, j, res]);
+    parent[ri] = rj;
+    paperDois[rj] = dois;
+  };
+
+  for (const list of byDoi.values()) for (let x = 1; x < list.length; x++) link(list[0], list[x]);
+  feats.forEach((f, i) => {
+    const shared = new Map();
+    for (const t of f.tokens) for (const j of posting.get(t) || []) if (j > i) shared.set(j, (shared.get(j) || 0) + 1);
+    for (const [j, n] of shared) if (n >= 2 && find(i) !== find(j)) link(i, j);
+  });
+
+  const groups = new Map();
+  feats.forEach((f, i) => { const r = find(i); if (!groups.has(r)) groups.set(r, []); groups.get(r).push(f); });
+
+  const clusters = [], collapsed = new Set(), clusterOf = new Map();
+  for (const [root, list] of groups) {
+    if (list.length < 2) continue;
+    const keep = [...list].sort(byKeepRank)[0];
+    // each folded record is explained by the first link that reached it
+    const why = new Map();
+    for (const [i, j, res] of links) {
+      if (find(i) !== root) continue;
+      for (const k of [i, j]) {
+        if (feats[k] === keep || why.has(k)) continue;
+        if (res.member && res.member !== feats[k]) continue;
+        why.set(k, res);
+      }
+    }
+    const members = list.filter(f => f !== keep).map(f => {
+      const res = why.get(f.index) || { kind: f.notice ? "correction" : f.preprint ? "preprint" : "duplicate", reason: "linked through another version" };
+      return { row: f.row, kind: res.kind, reason: res.reason };
+    });
+    const kind = KIND_ORDER.find(k => members.some(m => m.kind === k));
+    const cluster = { id: keep.row.id, kind, keep: keep.row, members };
+    clusters.push(cluster);
+    for (const f of list) clusterOf.set(f.row.id, cluster);
+    for (const m of members) collapsed.add(m.row.id);
+  }
+  clusters.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) || (b.keep.year || 0) - (a.keep.year || 0));
+  return { clusters, collapsed, clusterOf };
+}
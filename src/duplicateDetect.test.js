@@ -0,0 +1,27 @@
+// src/duplicateDetect.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectDuplicates } from "./duplicateDetect.js";
+
+const TITLE = "Prevalence of diabetes among adults in Newfoundland and Labrador";
+const AUTHORS = ["Knight JC", "Wang PP"];
+const row = (id, doi, extra = {}) => ({ id, doi, title: TITLE, authors: AUTHORS, year: 2020, ...extra });
+
+test("a DOI-less record does not bridge two records with different DOIs", () => {
+  const rows = [row("a", "10.1/aaa"), row("b", ""), row("c", "10.1/ccc")];
+  const { clusters, collapsed, clusterOf } = detectDuplicates(rows);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].keep.id, "a");
+  assert.deepEqual(clusters[0].members.map(m => m.row.id), ["b"]);
+  assert.ok(!collapsed.has("c"));
+  assert.equal(clusterOf.get("c"), undefined);
+});
+
+test("records sharing a DOI, or one with no DOI, are still merged", () => {
+  const rows = [row("a", "10.1/aaa"), row("b", ""), row("c", "10.1/AAA", { month: 3 })];
+  const { clusters } = detectDuplicates(rows);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].members.length, 2);
+});
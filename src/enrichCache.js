@@ -0,0 +1,147 @@
+// src/enrichCache.js
+// Browser cache for the Crossref lookups the dashboard still makes itself (rows not enriched at build time, see
+// fillRealTitles): IndexedDB, one entry per DOI with its own timestamps, so it is not bound by the localStorage quota.
+// Call: const cache = await openEnrichCache({ ttlMs, negativeTtlMs, maxEntries })
+//   await cache.get(doi)                      -> stored value, or undefined when missing / expired
+//   await cache.set(doi, value, { negative }) -> negative = "Crossref does not know this DOI", kept for negativeTtlMs only
+//   await cache.count(), await cache.clear()
+// Entries: { key, value, negative, storedAt, expiresAt, usedAt } in store "lookups"; expired entries are dropped when the
+// cache opens, and past maxEntries the least recently used ones go first.
+// Schema changes bump DB_VERSION and add a step to UPGRADES. Version 1 imports the old localStorage cache
+// ("cr-cache-v1", one JSON blob) once — its failed lookups ({ title: "", venue: "" }) are not carried over — and removes it.
+// Without IndexedDB (private windows in some browsers, tests) the same API works on an in-memory Map.
+
+/* ----------------------------------------------------------------------
+ * 1) Schema
+ * -------------------------------------------------------------------- */
+const DB_NAME = "facpub-enrichment";
+const DB_VERSION = 1;
+const STORE = "lookups";
+export const LEGACY_KEY = "cr-cache-v1";
+
+const DAY = 86_400_000;
+export const DEFAULT_CACHE_OPTIONS = { ttlMs: 30 * DAY, negativeTtlMs: 60 * 60_000, maxEntries: 2000 };
+
+function legacyEntries(now, ttlMs) {
+  let old = null;
+  try { old = JSON.parse(globalThis.localStorage?.getItem(LEGACY_KEY) || "null"); } catch {}
+  if (!old || typeof old !== "object") return [];
+  // the blob has no timestamps: give every surviving entry a fresh TTL
+  return Object.entries(old)
+    .filter(([, v]) => v && (v.title || v.venue))
+    .map(([key, v]) => ({ key, value: { title: v.title || "", venue: v.venue || "" }, negative: false, storedAt: now, expiresAt: now + ttlMs, usedAt: now }));
+}
+
+// UPGRADES[n] moves a database from version n to n + 1 (runs inside the versionchange transaction)
+const UPGRADES = [
+  (db, tx, { now, ttlMs }) => {
+    const store = db.createObjectStore(STORE, { keyPath: "key" });
+    store.createIndex("usedAt", "usedAt");
+    store.createIndex("expiresAt", "expiresAt");
+    for (const e of legacyEntries(now, ttlMs)) store.put(e);
+    tx.addEventListener("complete", () => { try { globalThis.localStorage?.removeItem(LEGACY_KEY); } catch {} });
+  },
+];
+
+/* ----------------------------------------------------------------------
+ * 2) IndexedDB plumbing
+ * -------------------------------------------------------------------- */
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+const committed = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+function openDb(ctx) {
+  return new Promise((resolve, reject) => {
+    const req = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) UPGRADES[v](req.result, req.transaction, ctx);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("enrichment cache is open in an older tab"));
+  });
+}
+
+// deletes expired entries, then the least recently used ones beyond maxEntries
+async function evict(db, { maxEntries, now }) {
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  let cursor = await done(store.index("expiresAt").openCursor(IDBKeyRange.upperBound(now)));
+  while (cursor) { cursor.delete(); cursor.continue(); cursor = await done(cursor.request); }
+  let excess = (await done(store.count())) - maxEntries;
+  if (excess > 0) {
+    cursor = await done(store.index("usedAt").openCursor());
+    while (cursor && excess-- > 0) { cursor.delete(); cursor.continue(); cursor = await done(cursor.request); }
+  }
+  await committed(tx);
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Cache API
+ * -------------------------------------------------------------------- */
+function memoryCache({ ttlMs, negativeTtlMs, maxEntries, now }) {
+  const map = new Map();
+  return {
+    backend: "memory",
+    async get(key) {
+      const e = map.get(key);
+      if (!e || e.expiresAt <= now()) { map.delete(key); return undefined; }
+      map.delete(key); map.set(key, e); // Map order doubles as recency
+      return e.value;
+    },
+    async set(key, value, { negative = false } = {}) {
+      map.delete(key);
+      map.set(key, { value, expiresAt: now() + (negative ? negativeTtlMs : ttlMs) });
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async count() { return map.size; },
+    async clear() { map.clear(); },
+  };
+}
+
+export async function openEnrichCache(options = {}) {
+  const { ttlMs, negativeTtlMs, maxEntries } = { ...DEFAULT_CACHE_OPTIONS, ...options };
+  const now = options.now || Date.now;
+  if (!globalThis.indexedDB) return memoryCache({ ttlMs, negativeTtlMs, maxEntries, now });
+
+  let db;
+  try {
+    db = await openDb({ now: now(), ttlMs });
+    await evict(db, { maxEntries, now: now() });
+  } catch (e) {
+    console.warn("[enrichCache] IndexedDB unavailable, caching in memory only:", e?.message || e);
+    return memoryCache({ ttlMs, negativeTtlMs, maxEntries, now });
+  }
+  const count = () => done(db.transaction(STORE).objectStore(STORE).count());
+
+  return {
+    backend: "indexeddb",
+    async get(key) {
+      const tx = db.transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      const e = await done(store.get(key));
+      if (!e) return undefined;
+      if (e.expiresAt <= now()) { store.delete(key); return undefined; }
+      store.put({ ...e, usedAt: now() });
+      return e.value;
+    },
+    async set(key, value, { negative = false } = {}) {
+      const t = now();
+      const tx = db.transaction(STORE, "readwrite");
+      tx.objectStore(STORE).put({ key, value, negative, storedAt: t, expiresAt: t + (negative ? negativeTtlMs : ttlMs), usedAt: t });
+      await committed(tx);
+      if (await count() > maxEntries) await evict(db, { maxEntries, now: t });
+    },
+    count,
+    async clear() {
+      const tx = db.transaction(STORE, "readwrite");
+      tx.objectStore(STORE).clear();
+      await committed(tx);
+    },
+  };
+}
@@ -0,0 +1,102 @@
+// src/facultyRoster.js
+// Division roster (public/data/faculty_roster.json): who our faculty are and when they were in the division,
+// so internal authors can be told apart from external co-authors.
+// Call: const identities = buildAuthorIdentities(rows, { aliases, roster: parseRoster(json) })   (authorIdentity.js)
+//       const roster = resolveRoster(json, identities)
+//       roster.byId.get(personId) -> member | undefined; roster.members -> [member]
+//       memberOutput(rows, roster, identities, { years }) -> [{ member, papers, years, perYear, firstYear, lastYear }]
+//         years = the calendar years in view (default: every year the rows span)
+// File shape:
+//   { "members": [{ "name": "Wang PP", "aliases": ["Peter P Wang"], "orcid": "0000-…",
+//                   "rank": "Professor", "start": "2005-07", "end": null }] }
+// `start` / `end` are "YYYY" or "YYYY-MM" (end null = current); a member's output only counts papers dated inside
+// that window.
+
+/* ----------------------------------------------------------------------
+ * 1) Parse
+ * -------------------------------------------------------------------- */
+const squash = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+// "2005" | "2005-07" -> { year, month } (month null when only the year is known)
+function parseYearMonth(v) {
+  const m = squash(v).match(/^(\d{4})(?:-(\d{1,2}))?/);
+  if (!m) return null;
+  const month = m[2] ? Number(m[2]) : null;
+  return { year: Number(m[1]), month: month >= 1 && month <= 12 ? month : null };
+}
+
+const ORCID_RE = /\d{4}-\d{4}-\d{4}-\d{3}[\dX]/i;
+
+export function parseRoster(json) {
+  const list = Array.isArray(json) ? json : Array.isArray(json?.members) ? json.members : [];
+  return list
+    .filter(m => m && typeof m === "object" && squash(m.name))
+    .map(m => ({
+      name: squash(m.name),
+      aliases: (Array.isArray(m.aliases) ? m.aliases : []).map(squash).filter(Boolean),
+      orcid: (String(m.orcid ?? "").match(ORCID_RE)?.[0] || "").toUpperCase() || null,
+      rank: squash(m.rank) || null,
+      start: parseYearMonth(m.start),
+      end: parseYearMonth(m.end),
+    }));
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Resolve against author identities
+ * -------------------------------------------------------------------- */
+// A member is matched by ORCID first, then by any of their name variants (all one person when the identities were
+// built with the roster)
+export function resolveRoster(json, identities) {
+  const members = parseRoster(json);
+  const byOrcid = new Map();
+  for (const p of identities?.people?.values() || []) if (p.orcid) byOrcid.set(p.orcid, p.id);
+
+  const byId = new Map();
+  for (const m of members) {
+    m.id = (m.orcid && byOrcid.get(m.orcid)) || [m.name, ...m.aliases].map(n => identities?.idOf(n)).find(Boolean) || null;
+    if (m.id && !byId.has(m.id)) byId.set(m.id, m);
+  }
+  return { members, byId };
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Tenure & output
+ * -------------------------------------------------------------------- */
+// Papers without a month count for the whole year; papers without a year never count against a tenure window
+export function inTenure(member, year, month) {
+  if (typeof year !== "number") return false;
+  const { start, end } = member;
+  if (start && (year < start.year || (year === start.year && month && start.month && month < start.month))) return false;
+  if (end && (year > end.year || (year === end.year && month && end.month && month > end.month))) return false;
+  return true;
+}
+
+// How many of the given years fall inside a member's tenure
+const tenureYears = (member, years) => years.filter(y => inTenure(member, y, null)).length;
+
+function spanOf(rows) {
+  const ys = rows.map(r => r.year).filter(y => typeof y === "number");
+  if (!ys.length) return [];
+  const lo = Math.min(...ys), hi = Math.max(...ys);
+  return Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+}
+
+export function memberOutput(rows = [], roster, identities, { years = spanOf(rows) } = {}) {
+  const stats = new Map(); // id -> { papers, first, last }
+  for (const r of rows) for (const id of identities.authorIdsOf(r)) {
+    const m = roster.byId.get(id);
+    if (!m || !inTenure(m, r.year, r.month)) continue;
+    const s = stats.get(id) || { papers: 0, first: r.year, last: r.year };
+    s.papers++; s.first = Math.min(s.first, r.year); s.last = Math.max(s.last, r.year);
+    stats.set(id, s);
+  }
+  // unmatched members stay listed (0 papers) so a misspelt roster name is visible
+  return roster.members.filter(m => !m.id || roster.byId.get(m.id) === m).map(m => {
+    const s = stats.get(m.id) || { papers: 0, first: null, last: null };
+    const span = tenureYears(m, years);
+    return {
+      member: m, papers: s.papers, years: span, perYear: span ? s.papers / span : 0,
+      firstYear: s.first, lastYear: s.last,
+    };
+  }).sort((a, b) => b.papers - a.papers || a.member.name.localeCompare(b.member.name));
+}
@@ -0,0 +1,46 @@
+// src/journalTable.js
+// Bundled lookup table for venueNormalize.js: canonical journal name, the abbreviations / alternate titles it
+// is printed under, and ISSNs (print and electronic). Names follow the journal's own styling; abbreviations are
+// the NLM / ISO forms plus the acronyms the journals use themselves.
+// Add a journal by appending an entry; ISSNs are optional, aliases only need to cover what fuzzy matching misses.
+
+export const JOURNALS = [
+  { name: "CMAJ", aliases: ["Canadian Medical Association Journal", "Can Med Assoc J", "CMAJ : Canadian Medical Association journal"], issn: ["0820-3946", "1488-2329"] },
+  { name: "CMAJ Open", aliases: ["CMAJO", "CMAJ Open Access"], issn: ["2291-0026"] },
+  { name: "PLoS One", aliases: ["PLOS ONE", "Public Library of Science One"], issn: ["1932-6203"] },
+  { name: "BMJ", aliases: ["British Medical Journal", "Br Med J", "BMJ (Clinical research ed.)"] },
+  { name: "BMJ Open", aliases: [], issn: ["2044-6055"] },
+  { name: "BMC Public Health", aliases: [], issn: ["1471-2458"] },
+  { name: "BMC Health Services Research", aliases: ["BMC Health Serv Res"], issn: ["1472-6963"] },
+  { name: "BMC Medical Education", aliases: ["BMC Med Educ"], issn: ["1472-6920"] },
+  { name: "Canadian Journal of Public Health", aliases: ["Can J Public Health", "Revue canadienne de sante publique"], issn: ["0008-4263", "1920-7476"] },
+  { name: "Canadian Family Physician", aliases: ["Can Fam Physician", "Le Medecin de famille canadien"], issn: ["0008-350X", "1715-5258"] },
+  { name: "Canadian Journal of Surgery", aliases: ["Can J Surg"], issn: ["0008-428X"] },
+  { name: "Canadian Journal of Diabetes", aliases: ["Can J Diabetes"] },
+  { name: "Canadian Journal of Rural Medicine", aliases: ["Can J Rural Med", "CJRM"] },
+  { name: "Healthcare Policy", aliases: ["Healthc Policy", "Politiques de sante"], issn: ["1715-6572"] },
+  { name: "Health Policy", aliases: [], issn: ["0168-8510"] }, // not an abbreviation of Healthcare Policy
+  { name: "Healthcare Management Forum", aliases: ["Healthc Manage Forum"] },
+  { name: "Current Oncology", aliases: ["Curr Oncol"], issn: ["1198-0052", "1718-7729"] },
+  { name: "Journal of Obstetrics and Gynaecology Canada", aliases: ["J Obstet Gynaecol Can", "JOGC"], issn: ["1701-2163"] },
+  { name: "Applied Physiology, Nutrition, and Metabolism", aliases: ["Appl Physiol Nutr Metab", "APNM"], issn: ["1715-5312"] },
+  { name: "American Journal of Public Health", aliases: ["Am J Public Health", "AJPH"], issn: ["0090-0036"] },
+  { name: "International Journal of Environmental Research and Public Health", aliases: ["Int J Environ Res Public Health", "IJERPH"], issn: ["1660-4601"] },
+  { name: "International Journal of Epidemiology", aliases: ["Int J Epidemiol"], issn: ["0300-5771"] },
+  { name: "Journal of Medical Internet Research", aliases: ["J Med Internet Res", "JMIR"], issn: ["1438-8871"] },
+  { name: "Scientific Reports", aliases: ["Sci Rep"], issn: ["2045-2322"] },
+  { name: "Systematic Reviews", aliases: ["Syst Rev"], issn: ["2046-4053"] },
+  { name: "Medical Teacher", aliases: ["Med Teach"], issn: ["0142-159X"] },
+  { name: "Academic Medicine", aliases: ["Acad Med"], issn: ["1040-2446"] },
+  { name: "European Journal of Human Genetics", aliases: ["Eur J Hum Genet", "EJHG"], issn: ["1018-4813"] },
+  { name: "Genetics in Medicine", aliases: ["Genet Med"], issn: ["1098-3600"] },
+  { name: "Journal of Community Genetics", aliases: ["J Community Genet"] },
+  { name: "Journal of Interprofessional Care", aliases: ["J Interprof Care"] },
+  { name: "Journal of the American Medical Association", aliases: ["JAMA", "J Am Med Assoc"] },
+  { name: "New England Journal of Medicine", aliases: ["N Engl J Med", "NEJM"] },
+  { name: "The Lancet", aliases: ["Lancet"] },
+  { name: "Healthcare (Basel)", aliases: ["Healthcare"] },
+  { name: "Obesity (Silver Spring)", aliases: ["Obesity"] },
+  { name: "EcoHealth", aliases: [] },
+  { name: "FACETS", aliases: [] },
+];
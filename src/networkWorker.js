@@ -0,0 +1,11 @@
+// src/networkWorker.js
+// Runs the co-authorship layout off the main thread.
+// Call: worker.postMessage({ id, graph, opts }) -> message { id, positions: [[nodeId, { x, y }], …] }
+// `id` lets the caller drop answers to requests it has already superseded.
+
+import { layoutGraph } from "./coauthorNetwork.js";
+
+self.onmessage = ({ data }) => {
+  const { id, graph, opts } = data || {};
+  self.postMessage({ id, positions: [...layoutGraph(graph, opts)] });
+};
@@ -0,0 +1,64 @@
+// src/openAccess.js
+// Open-access status of each paper, from the `unpaywall` block scripts/enrich_pubs.mjs --oa writes, for the OA facet,
+// the OA-share-by-year chart and the table link (funders' open-access reporting, e.g. the Tri-Agency OA policy).
+// Call: oaFromUnpaywall(block)  -> { status, url, hostType, version, license, source, retrieved_at } | null
+//       readLink(row)           -> { url, free } — the free full-text URL when there is one, else the record link
+//       oaShareByYear(rows)     -> [{ year, total, gold, hybrid, bronze, green, closed, open, share }]
+//       OA_STATUSES, oaLabel("gold") -> "Gold"
+// Rows without a status (no DOI, not looked up, unknown to Unpaywall) are "unknown" and kept out of the shares.
+
+/* ----------------------------------------------------------------------
+ * 1) Statuses
+ * -------------------------------------------------------------------- */
+// best to worst; "closed" means Unpaywall found no free copy
+export const OA_STATUSES = ["gold", "hybrid", "bronze", "green", "closed"];
+export const OA_UNKNOWN = "unknown";
+
+const LABELS = { gold: "Gold", hybrid: "Hybrid", bronze: "Bronze", green: "Green", closed: "Closed", unknown: "Unknown" };
+export const OA_COLORS = { gold: "#eab308", hybrid: "#0ea5e9", bronze: "#b45309", green: "#16a34a", closed: "#9ca3af" };
+export const OA_HINTS = {
+  gold: "Published in an open-access journal",
+  hybrid: "Open license in a subscription journal",
+  bronze: "Free to read on the publisher site, no open license",
+  green: "Free copy in a repository only",
+  closed: "No free copy found",
+  unknown: "Not looked up (no DOI or not enriched)",
+};
+
+export const oaLabel = (status) => LABELS[status] || status;
+export const oaStatusOf = (row) => row?.oa?.status || OA_UNKNOWN;
+export const isOpen = (status) => OA_STATUSES.includes(status) && status !== "closed";
+
+export function oaFromUnpaywall(block) {
+  if (!block || block.status !== "ok" || !OA_STATUSES.includes(block.oa_status)) return null;
+  return {
+    status: block.oa_status,
+    url: block.oa_status === "closed" ? null : block.best_oa_url || null,
+    hostType: block.host_type || null,
+    version: block.version || null,
+    license: block.license || null,
+    source: "unpaywall",
+    retrieved_at: block.retrieved_at || null,
+  };
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Links and shares
+ * -------------------------------------------------------------------- */
+// the scraped link is often the library's EZproxy login (qe2a-proxy.mun.ca), which only works on campus
+export const readLink = (row) => (row?.oa?.url ? { url: row.oa.url, free: true } : { url: row?.url || null, free: false });
+
+export function oaShareByYear(rows = []) {
+  const years = new Map();
+  for (const r of rows) {
+    const s = oaStatusOf(r);
+    if (!Number.isFinite(r.year) || s === OA_UNKNOWN) continue;
+    const y = years.get(r.year) || Object.fromEntries([["year", r.year], ["total", 0], ...OA_STATUSES.map(k => [k, 0])]);
+    y[s]++; y.total++;
+    years.set(r.year, y);
+  }
+  return [...years.values()].sort((a, b) => a.year - b.year).map(y => {
+    const open = y.total - y.closed;
+    return { ...y, open, share: y.total ? open / y.total : 0 };
+  });
+}
@@ -0,0 +1,31 @@
+// src/openAccess.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { oaFromUnpaywall, oaShareByYear, oaStatusOf, readLink } from "./openAccess.js";
+
+const PROXY = "https://qe2a-proxy.mun.ca/login?url=https://doi.org/10.1/x";
+
+test("readLink prefers the free full text over the EZproxy link", () => {
+  const row = { url: PROXY, oa: oaFromUnpaywall({ status: "ok", oa_status: "green", best_oa_url: "https://research.library.mun.ca/1/x.pdf" }) };
+  assert.deepEqual(readLink(row), { url: "https://research.library.mun.ca/1/x.pdf", free: true });
+  const closed = { url: PROXY, oa: oaFromUnpaywall({ status: "ok", oa_status: "closed", best_oa_url: "https://ignored.example" }) };
+  assert.deepEqual(readLink(closed), { url: PROXY, free: false });
+  assert.deepEqual(readLink({ url: PROXY }), { url: PROXY, free: false });
+});
+
+test("oaFromUnpaywall only accepts looked-up blocks with a known status", () => {
+  assert.equal(oaFromUnpaywall({ status: "not-found" }), null);
+  assert.equal(oaFromUnpaywall({ status: "ok", oa_status: null }), null);
+  assert.equal(oaStatusOf({ oa: null }), "unknown");
+});
+
+test("oaShareByYear counts known statuses and leaves unknown rows out of the share", () => {
+  const row = (year, status) => ({ year, oa: status ? { status } : null });
+  const rows = [row(2021, "gold"), row(2021, "closed"), row(2021, null), row(2021, null), row(2020, "green"), row(2020, "bronze"), row(null, "gold")];
+  assert.deepEqual(oaShareByYear(rows), [
+    { year: 2020, total: 2, gold: 0, hybrid: 0, bronze: 1, green: 1, closed: 0, open: 2, share: 1 },
+    { year: 2021, total: 2, gold: 1, hybrid: 0, bronze: 0, green: 0, closed: 1, open: 1, share: 0.5 },
+  ]);
+});
@@ -0,0 +1,369 @@
+// src/pdfReport.js
+// Vector PDF report of the current dashboard view, drawn with jsPDF text and shapes (no screenshots):
+//   title page (active filters + KPIs) -> one region per chart -> the complete filtered list as a table.
+// Call: buildPdfReport({ rows, kpis, filters, charts, colors }) -> jsPDF document (then doc.save(name))
+// Charts are never split across a page break; the table repeats its header on every page and all pages are numbered.
+
+import { jsPDF } from "jspdf";
+
+/* ----------------------------------------------------------------------
+ * 1) Page geometry, fonts, text
+ * -------------------------------------------------------------------- */
+const PAGE   = { margin: 40, top: 52, bottom: 46 };
+const INK    = "#0f172a";
+const MUTED  = "#6b7280";
+const GRID   = "#e5e7eb";
+const ACCENT = "#6d5cf4";
+const HEAD_FILL = "#eef2ff";
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+// The built-in PDF fonts only cover Latin-1: fold typographic punctuation, drop combining marks, "?" for the rest
+const PUNCT = {
+  "\u2010": "-", "\u2011": "-", "\u2013": "-", "\u2014": "-", "\u2212": "-",
+  "\u2018": "'", "\u2019": "'", "\u201C": '"', "\u201D": '"', "\u2026": "...", "\u00A0": " ", "\u202F": " ",
+};
+
+export function pdfText(s) {
+  return String(s ?? "").normalize("NFC")
+    .replace(/[\u2010\u2011\u2013\u2014\u2212\u2018\u2019\u201C\u201D\u2026\u00A0\u202F]/g, c => PUNCT[c])
+    .replace(/[^\x00-\xFF]/g, c => c.normalize("NFKD").replace(/[^\x00-\xFF]/g, "") || "?")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function font(doc, size, style = "normal", color = INK) {
+  doc.setFont("helvetica", style);
+  doc.setFontSize(size);
+  doc.setTextColor(color);
+}
+
+// Single-line text clipped to width w
+function fit(doc, s, w) {
+  let t = pdfText(s);
+  if (doc.getTextWidth(t) <= w) return t;
+  while (t && doc.getTextWidth(t + "...") > w) t = t.slice(0, -1);
+  return t + "...";
+}
+
+function newPage(ctx) {
+  ctx.doc.addPage();
+  ctx.y = PAGE.top;
+}
+
+// Moves to a fresh page unless h points still fit below the cursor
+function ensureSpace(ctx, h) {
+  if (ctx.y + h > ctx.pageH - PAGE.bottom) newPage(ctx);
+}
+
+function sectionTitle(ctx, title, note) {
+  const { doc } = ctx;
+  font(doc, 12, "bold");
+  doc.text(pdfText(title), PAGE.margin, ctx.y + 10);
+  if (note) {
+    font(doc, 8, "normal", MUTED);
+    doc.text(fit(doc, note, ctx.width), PAGE.margin, ctx.y + 22);
+  }
+  ctx.y += note ? 32 : 20;
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Vector charts
+ * -------------------------------------------------------------------- */
+function niceStep(max, ticks = 4) {
+  const raw = max / ticks;
+  const mag = 10 ** Math.floor(Math.log10(raw || 1));
+  const n = raw / mag;
+  return Math.max(1, (n <= 1 ? 1 : n <= 2 ? 2 : n <= 5 ? 5 : 10) * mag);
+}
+
+// Vertical bars with a value axis (publications by year)
+function drawColumns(doc, data, { x, y, w, h, labelOf, color = ACCENT }) {
+  const max = Math.max(1, ...data.map(d => d.count));
+  const step = niceStep(max);
+  const top = Math.ceil(max / step) * step;
+  const axisW = 26, plotX = x + axisW, plotW = w - axisW, baseY = y + h - 14, plotH = h - 22;
+
+  doc.setDrawColor(GRID);
+  doc.setLineWidth(0.5);
+  font(doc, 7, "normal", MUTED);
+  for (let v = 0; v <= top; v += step) {
+    const yy = baseY - (v / top) * plotH;
+    doc.line(plotX, yy, x + w, yy);
+    doc.text(String(v), plotX - 4, yy + 2, { align: "right" });
+  }
+
+  const slot = plotW / Math.max(1, data.length);
+  const bw = Math.max(1, Math.min(18, slot * 0.7));
+  const every = Math.max(1, Math.ceil(data.length / Math.max(1, Math.floor(plotW / 24))));
+  data.forEach((d, i) => {
+    const bh = (d.count / top) * plotH;
+    const bx = plotX + i * slot + (slot - bw) / 2;
+    if (bh > 0) {
+      doc.setFillColor(color);
+      doc.rect(bx, baseY - bh, bw, bh, "F");
+      if (slot >= 14) { font(doc, 6, "normal", MUTED); doc.text(String(d.count), bx + bw / 2, baseY - bh - 2, { align: "center" }); }
+    }
+    if (i % every === 0) { font(doc, 7, "normal", MUTED); doc.text(pdfText(labelOf(d)), bx + bw / 2, baseY + 9, { align: "center" }); }
+  });
+}
+
+// Labelled horizontal bars (topics, subjects, authors); returns the height used
+function drawBarList(doc, data, { x, y, w, labelOf, labelW = 190, rowH = 15, color = ACCENT }) {
+  const max = Math.max(1, ...data.map(d => d.count));
+  const barX = x + labelW + 8, barW = w - labelW - 8 - 30;
+  data.forEach((d, i) => {
+    const yy = y + i * rowH;
+    font(doc, 8, "normal", INK);
+    doc.text(fit(doc, labelOf(d), labelW), x, yy + rowH * 0.65);
+    doc.setFillColor(GRID);
+    doc.rect(barX, yy + 4, barW, rowH - 8, "F");
+    doc.setFillColor(color);
+    doc.rect(barX, yy + 4, Math.max(0.5, (barW * d.count) / max), rowH - 8, "F");
+    font(doc, 8, "normal", MUTED);
+    doc.text(String(d.count), barX + barW + 4, yy + rowH * 0.65);
+  });
+  return data.length * rowH;
+}
+
+// Donut of monthly counts as filled polygons, with a legend on the right
+function drawDonut(doc, data, { x, y, r, inner, colors }) {
+  const total = data.reduce((s, d) => s + d.count, 0);
+  const cx = x + r, cy = y + r;
+  let a0 = -Math.PI / 2;
+  data.forEach((d, i) => {
+    if (!d.count) return;
+    const a1 = a0 + (2 * Math.PI * d.count) / total;
+    const n = Math.max(2, Math.ceil((a1 - a0) / (Math.PI / 36)));
+    const pts = [];
+    for (let k = 0; k <= n; k++) { const a = a0 + ((a1 - a0) * k) / n; pts.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]); }
+    for (let k = n; k >= 0; k--) { const a = a0 + ((a1 - a0) * k) / n; pts.push([cx + inner * Math.cos(a), cy + inner * Math.sin(a)]); }
+    doc.setFillColor(colors[i % colors.length]);
+    doc.lines(pts.slice(1).map((p, k) => [p[0] - pts[k][0], p[1] - pts[k][1]]), pts[0][0], pts[0][1], [1, 1], "F", true);
+    a0 = a1;
+  });
+  font(doc, 14, "bold");
+  doc.text(String(total), cx, cy + 2, { align: "center" });
+  font(doc, 7, "normal", MUTED);
+  doc.text("with a month", cx, cy + 11, { align: "center" });
+
+  const lx = x + 2 * r + 30;
+  data.forEach((d, i) => {
+    const ly = y + 4 + i * 13;
+    doc.setFillColor(colors[i % colors.length]);
+    doc.rect(lx, ly, 8, 8, "F");
+    font(doc, 8, "normal", INK);
+    doc.text(pdfText(d.label), lx + 14, ly + 7);
+    font(doc, 8, "normal", MUTED);
+    doc.text(`${d.count}${total ? ` (${Math.round((100 * d.count) / total)}%)` : ""}`, lx + 44, ly + 7);
+  });
+}
+
+// Year x month grid; returns the height used
+function drawHeatmap(doc, years, heat, { x, y, w, rowH, colorOf }) {
+  const labelW = 36, cellW = (w - labelW) / 12;
+  font(doc, 7, "normal", MUTED);
+  MONTHS.forEach((m, i) => doc.text(m, x + labelW + i * cellW + cellW / 2, y + 8, { align: "center" }));
+  years.forEach((yr, r) => {
+    const yy = y + 12 + r * rowH;
+    font(doc, 7, "normal", INK);
+    doc.text(String(yr), x, yy + rowH * 0.68);
+    for (let m = 1; m <= 12; m++) {
+      const v = heat.get(yr, m);
+      const cx = x + labelW + (m - 1) * cellW;
+      doc.setFillColor(colorOf(v, heat.vmax));
+      doc.roundedRect(cx + 1, yy + 1, cellW - 2, rowH - 2, 2, 2, "F");
+      if (v) {
+        font(doc, 6, "normal", v / (heat.vmax || 1) > 0.45 ? "#ffffff" : INK);
+        doc.text(String(v), cx + cellW / 2, yy + rowH * 0.68, { align: "center" });
+      }
+    }
+  });
+  return 12 + years.length * rowH;
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Title page & chart pages
+ * -------------------------------------------------------------------- */
+function titlePage(ctx, { title, subtitle, kpis, filters, now }) {
+  const { doc } = ctx;
+  doc.setFillColor(ACCENT);
+  doc.rect(0, 0, ctx.pageW, 8, "F");
+
+  font(doc, 10, "normal", MUTED);
+  doc.text(doc.splitTextToSize(pdfText(subtitle), ctx.width), PAGE.margin, 90);
+  font(doc, 24, "bold");
+  doc.text(pdfText(title), PAGE.margin, 130);
+  font(doc, 12, "normal", MUTED);
+  doc.text(`Publication report - generated ${now.toISOString().slice(0, 16).replace("T", " ")} UTC`, PAGE.margin, 150);
+
+  const gap = 10, boxW = (ctx.width - gap * (kpis.length - 1)) / kpis.length;
+  kpis.forEach(([label, value], i) => {
+    const bx = PAGE.margin + i * (boxW + gap);
+    doc.setDrawColor(GRID);
+    doc.setFillColor("#f8fafc");
+    doc.roundedRect(bx, 180, boxW, 58, 6, 6, "FD");
+    font(doc, 8, "normal", MUTED);
+    doc.text(pdfText(label).toUpperCase(), bx + 10, 198);
+    font(doc, 18, "bold");
+    doc.text(fit(doc, String(value), boxW - 20), bx + 10, 224);
+  });
+
+  ctx.y = 270;
+  sectionTitle(ctx, "Active filters");
+  if (!filters.length) {
+    font(doc, 10, "normal", MUTED);
+    doc.text("None - the report covers every publication in the dataset.", PAGE.margin, ctx.y + 4);
+    ctx.y += 18;
+  }
+  for (const [label, value] of filters) {
+    font(doc, 10, "bold");
+    doc.text(`${pdfText(label)}:`, PAGE.margin, ctx.y + 4);
+    font(doc, 10, "normal");
+    const lines = doc.splitTextToSize(pdfText(value), ctx.width - 80);
+    doc.text(lines, PAGE.margin + 80, ctx.y + 4);
+    ctx.y += 14 * lines.length;
+  }
+  ctx.y += 16;
+}
+
+// Each chart gets a region of known height so it always lands whole on one page
+function chartPages(ctx, { byYear = [], byMonth = [], heat, byTopic = [], bySubject = [], topAuthors = [], topVenues = [] }, colors) {
+  const { doc } = ctx;
+  const x = PAGE.margin, w = ctx.width;
+  const region = (title, note, h, draw) => {
+    ensureSpace(ctx, h + (note ? 32 : 20) + 18);
+    sectionTitle(ctx, title, note);
+    draw(ctx.y);
+    ctx.y += h + 18;
+  };
+
+  if (byYear.length) {
+    region("Publications by year", "Year and month selections are not applied to this chart, as on the dashboard.", 170,
+      (y) => drawColumns(doc, byYear, { x, y, w, h: 170, labelOf: d => d.year }));
+  }
+  if (byMonth.some(d => d.count)) {
+    region("Publications by month", null, 160,
+      (y) => drawDonut(doc, byMonth, { x: x + 10, y, r: 75, inner: 44, colors: colors.months }));
+  }
+  const years = byYear.map(d => d.year);
+  if (heat && heat.vmax > 0 && years.length) {
+    const rowH = Math.max(9, Math.min(16, (ctx.pageH - PAGE.top - PAGE.bottom - 70) / years.length));
+    region("Year x month", "Cell = publications in that month; darker is more.", 12 + years.length * rowH,
+      (y) => drawHeatmap(doc, years, heat, { x, y, w, rowH, colorOf: colors.heat }));
+  }
+  const lists = [
+    ["Topics", byTopic, d => d.topic],
+    ["Subjects", bySubject, d => d.subject],
+    ["Top authors", topAuthors, d => d.author],
+    ["Top venues", topVenues, d => d.venue],
+  ];
+  for (const [title, data, labelOf] of lists) {
+    if (!data.length) continue;
+    region(title, null, data.length * 15, (y) => drawBarList(doc, data, { x, y, w, labelOf }));
+  }
+}
+
+/* ----------------------------------------------------------------------
+ * 4) Publication table
+ * -------------------------------------------------------------------- */
+const MAX_AUTHORS = 8;
+const TABLE_FONT = 8, LINE_H = 9.6, CELL_PAD = 3;
+
+const doiUrl = (doi) => (doi ? `https://doi.org/${doi}` : "");
+
+const TABLE_COLUMNS = [
+  { label: "Year", w: 34, text: r => r.year ?? "" },
+  { label: "Author(s)", w: 140, text: r => {
+    const a = r.authors || [];
+    return a.length > MAX_AUTHORS ? `${a.slice(0, MAX_AUTHORS - 2).join(", ")}, et al. (${a.length})` : a.join(", ");
+  } },
+  { label: "Title", w: 200, text: r => r.title || "", link: r => doiUrl(r.doi) || r.url },
+  { label: "Journal / DOI", w: 141, text: r => [
+    r.venue,
+    [r.volume && `${r.volume}${r.issue ? `(${r.issue})` : ""}`, r.pages || r.articleNumber].filter(Boolean).join(":"),
+    r.doi && `doi:${r.doi}`,
+  ].filter(Boolean).join("\n") },
+];
+
+function tableHeader(ctx, widths) {
+  const { doc } = ctx;
+  doc.setFillColor(HEAD_FILL);
+  doc.rect(PAGE.margin, ctx.y, ctx.width, 16, "F");
+  font(doc, TABLE_FONT, "bold");
+  let cx = PAGE.margin;
+  TABLE_COLUMNS.forEach((c, i) => { doc.text(c.label, cx + CELL_PAD, ctx.y + 11); cx += widths[i]; });
+  ctx.y += 16;
+}
+
+function publicationTable(ctx, rows) {
+  const { doc } = ctx;
+  const scale = ctx.width / TABLE_COLUMNS.reduce((s, c) => s + c.w, 0);
+  const widths = TABLE_COLUMNS.map(c => c.w * scale);
+
+  newPage(ctx);
+  sectionTitle(ctx, `Publications (${rows.length})`, "Complete filtered list, in the same order as the dashboard table.");
+  tableHeader(ctx, widths);
+  font(doc, TABLE_FONT);
+
+  rows.forEach((r, ri) => {
+    const cells = TABLE_COLUMNS.map((c, i) =>
+      String(c.text(r)).split("\n").flatMap(part => doc.splitTextToSize(pdfText(part), widths[i] - 2 * CELL_PAD)));
+    const h = Math.max(1, ...cells.map(l => l.length)) * LINE_H + 2 * CELL_PAD;
+    if (ctx.y + h > ctx.pageH - PAGE.bottom) {
+      newPage(ctx);
+      tableHeader(ctx, widths);
+    }
+    if (ri % 2) { doc.setFillColor("#f8fafc"); doc.rect(PAGE.margin, ctx.y, ctx.width, h, "F"); }
+    let cx = PAGE.margin;
+    cells.forEach((lines, i) => {
+      const url = TABLE_COLUMNS[i].link?.(r);
+      font(doc, TABLE_FONT, "normal", url ? "#1d4ed8" : INK);
+      doc.text(lines, cx + CELL_PAD, ctx.y + CELL_PAD + LINE_H * 0.75);
+      if (url) doc.link(cx, ctx.y, widths[i], h, { url });
+      cx += widths[i];
+    });
+    doc.setDrawColor(GRID);
+    doc.line(PAGE.margin, ctx.y + h, PAGE.margin + ctx.width, ctx.y + h);
+    ctx.y += h;
+  });
+  if (!rows.length) {
+    font(doc, 10, "normal", MUTED);
+    doc.text("No publications match the active filters.", PAGE.margin, ctx.y + 16);
+  }
+}
+
+/* ----------------------------------------------------------------------
+ * 5) Entry point
+ * -------------------------------------------------------------------- */
+function pageFooters(ctx, label) {
+  const { doc } = ctx;
+  const n = doc.getNumberOfPages();
+  for (let i = 1; i <= n; i++) {
+    doc.setPage(i);
+    const fy = ctx.pageH - 24;
+    doc.setDrawColor(GRID);
+    doc.line(PAGE.margin, fy - 10, ctx.pageW - PAGE.margin, fy - 10);
+    font(doc, 7, "normal", MUTED);
+    doc.text(pdfText(label), PAGE.margin, fy);
+    doc.text(`Page ${i} of ${n}`, ctx.pageW - PAGE.margin, fy, { align: "right" });
+  }
+}
+
+export function buildPdfReport({
+  rows = [], kpis = [], filters = [], charts = {}, colors = {},
+  title = "Faculty Publication Dashboard", subtitle = "", now = new Date(),
+} = {}) {
+  const doc = new jsPDF({ unit: "pt", format: "a4", compress: true });
+  doc.setProperties({ title: pdfText(title), subject: "Publication report", creator: pdfText(title) });
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const ctx = { doc, pageW, pageH, width: pageW - 2 * PAGE.margin, y: PAGE.top };
+  const palette = { months: colors.months || [ACCENT], heat: colors.heat || (() => HEAD_FILL) };
+
+  titlePage(ctx, { title, subtitle, kpis, filters, now });
+  newPage(ctx);
+  chartPages(ctx, charts, palette);
+  publicationTable(ctx, rows);
+  pageFooters(ctx, `${title} - ${now.toISOString().slice(0, 10)}`);
+  return doc;
+}
@@ -0,0 +1,165 @@
+// src/refExport.js
+// BibTeX / RIS / CSL-JSON writers for normalized dashboard rows (the `filtered` list).
+// Call: exportReferences(rows, "bibtex" | "ris" | "csl") -> { text, fileName, mime }
+// Citation keys are deterministic and depend only on their own row: surname + year + first title word + a short
+// hash of the DOI (else the title and year), so a paper keeps its key whatever else is exported with it and
+// wherever it sits in the dataset.
+
+/* ----------------------------------------------------------------------
+ * 1) Names, keys, dates
+ * -------------------------------------------------------------------- */
+const BIB_MONTHS = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"];
+const STOP_WORDS = new Set(["a","an","the","of","on","in","for","and","to","at","by","with","from","is","are"]);
+
+const squash = (s = "") => String(s ?? "").replace(/\s+/g, " ").trim();
+const ascii = (s = "") => String(s).normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+
+// "Knight JC" -> { family:"Knight", given:"J. C." }; "SPOR Evidence Alliance" -> { literal }
+export function splitByline(name = "") {
+  const s = squash(name);
+  const m = s.match(/^(.+?)\s+(\p{Lu}{1,3})$/u);
+  if (!m) return { literal: s };
+  return { family: m[1], given: [...m[2]].map(c => `${c}.`).join(" ") };
+}
+
+function keyBase(row) {
+  const first = splitByline(row.authors?.[0] || "");
+  const surname = ascii(first.family || first.literal || "anon").toLowerCase().replace(/[^a-z]/g, "") || "anon";
+  const word = ascii(row.title || "").toLowerCase().split(/[^a-z0-9]+/).find(w => w && !STOP_WORDS.has(w)) || "untitled";
+  return `${surname}${row.year ?? "nd"}${word}`;
+}
+
+// FNV-1a, 4 base-36 characters
+function shortHash(s) {
+  let h = 0x811c9dc5;
+  for (const c of String(s)) h = Math.imul(h ^ c.codePointAt(0), 0x01000193) >>> 0;
+  return h.toString(36).padStart(4, "0").slice(-4);
+}
+
+// not row.id: rows without a source id get one from their position in the list (normalizeRow)
+const keyIdentity = (row) =>
+  (row.doi ? `doi:${row.doi.toLowerCase()}` : `title:${ascii(squash(row.title)).toLowerCase()}|${row.year ?? ""}`);
+
+export function citationKeys(rows = []) {
+  const keys = new Map(), used = new Map();
+  for (const r of rows) {
+    const k = `${keyBase(r)}-${shortHash(keyIdentity(r))}`;
+    // only the same paper listed twice (same DOI) lands here; number the repeats in list order
+    const n = used.get(k) || 0;
+    used.set(k, n + 1);
+    keys.set(r, n ? `${k}-${n + 1}` : k);
+  }
+  return keys;
+}
+
+const keywordsOf = (row) => [row.topic, ...(row.subjects || [])].filter(Boolean);
+const pagesOf = (row) => row.pages || row.articleNumber || "";
+
+/* ----------------------------------------------------------------------
+ * 2) BibTeX
+ * -------------------------------------------------------------------- */
+const bibEscape = (s = "") => squash(s).replace(/([&%$#_])/g, "\\$1").replace(/[{}]/g, "");
+
+function bibtexEntry(row, key) {
+  const fields = [
+    ["author", (row.authors || []).map(a => {
+      const p = splitByline(a);
+      return p.literal ? `{${bibEscape(p.literal)}}` : `${bibEscape(p.family)}, ${p.given}`;
+    }).join(" and ")],
+    ["title", row.title && `{${bibEscape(row.title)}}`],
+    ["journal", bibEscape(row.venue)],
+    ["year", row.year],
+    ["month", row.month ? BIB_MONTHS[row.month - 1] : ""],
+    ["volume", bibEscape(row.volume)],
+    ["number", bibEscape(row.issue)],
+    ["pages", row.pages ? bibEscape(row.pages).replace(/-/g, "--") : ""],
+    ["eid", !row.pages ? bibEscape(row.articleNumber) : ""],
+    ["doi", row.doi],
+    ["url", row.url],
+    ["keywords", bibEscape(keywordsOf(row).join(", "))],
+    ["abstract", bibEscape(row.abstract)],
+  ].filter(([, v]) => v != null && v !== "");
+  const body = fields.map(([k, v]) => `  ${k} = ${k === "month" || k === "year" ? v : `{${v}}`}`).join(",\n");
+  return `@${row.venue ? "article" : "misc"}{${key},\n${body}\n}`;
+}
+
+export function toBibtex(rows = []) {
+  const keys = citationKeys(rows);
+  return rows.map(r => bibtexEntry(r, keys.get(r))).join("\n\n") + "\n";
+}
+
+/* ----------------------------------------------------------------------
+ * 3) RIS
+ * -------------------------------------------------------------------- */
+function risEntry(row, key) {
+  const lines = [["TY", row.venue ? "JOUR" : "GEN"], ["ID", key]];
+  for (const a of row.authors || []) {
+    const p = splitByline(a);
+    // a corporate author ends in a comma (RIS convention), so readers don't split off its last word as a surname
+    lines.push(["AU", p.literal ? `${p.literal},` : `${p.family}, ${p.given.replace(/\s+/g, "")}`]);
+  }
+  const [sp, ep] = row.pages ? [row.pageFirst || row.pages.split("-")[0], row.pageLast || row.pages.split("-")[1]] : [row.articleNumber, ""];
+  lines.push(
+    ["TI", squash(row.title)],
+    ["JO", squash(row.venue)],
+    ["PY", row.year ? String(row.year) : ""],
+    ["DA", row.year ? `${row.year}/${row.month ? String(row.month).padStart(2, "0") : ""}//` : ""],
+    ["VL", row.volume],
+    ["IS", row.issue],
+    ["SP", sp],
+    ["EP", ep],
+    ["DO", row.doi],
+    ["UR", row.url],
+    ...keywordsOf(row).map(k => ["KW", k]),
+    ["AB", squash(row.abstract)],
+  );
+  return lines.filter(([, v]) => v != null && v !== "").map(([t, v]) => `${t}  - ${v}`).join("\n") + "\nER  - ";
+}
+
+export function toRis(rows = []) {
+  const keys = citationKeys(rows);
+  return rows.map(r => risEntry(r, keys.get(r))).join("\n\n") + "\n";
+}
+
+/* ----------------------------------------------------------------------
+ * 4) CSL-JSON
+ * -------------------------------------------------------------------- */
+export function toCslItems(rows = []) {
+  const keys = citationKeys(rows);
+  return rows.map(r => {
+    const item = {
+      id: keys.get(r),
+      type: r.venue ? "article-journal" : "document",
+      title: r.title || undefined,
+      "container-title": r.venue || undefined,
+      author: (r.authors || []).map(splitByline),
+      issued: r.year ? { "date-parts": [[r.year, ...(r.month ? [r.month] : [])]] } : undefined,
+      volume: r.volume || undefined,
+      issue: r.issue || undefined,
+      page: r.pages || undefined,
+      number: !r.pages && r.articleNumber ? r.articleNumber : undefined,
+      DOI: r.doi || undefined,
+      URL: r.url || undefined,
+      keyword: keywordsOf(r).join(", ") || undefined,
+      abstract: r.abstract || undefined,
+    };
+    return JSON.parse(JSON.stringify(item)); // drop undefined keys
+  });
+}
+
+export const toCslJson = (rows = []) => JSON.stringify(toCslItems(rows), null, 2) + "\n";
+
+/* ----------------------------------------------------------------------
+ * 5) Entry point
+ * -------------------------------------------------------------------- */
+export const REFERENCE_FORMATS = {
+  bibtex: { label: "BibTeX (.bib)", ext: "bib", mime: "application/x-bibtex", write: toBibtex },
+  ris:    { label: "RIS (.ris)", ext: "ris", mime: "application/x-research-info-systems", write: toRis },
+  csl:    { label: "CSL-JSON (.json)", ext: "csl.json", mime: "application/vnd.citationstyles.csl+json", write: toCslJson },
+};
+
+export function exportReferences(rows, format, baseName = "faculty-publications") {
+  const f = REFERENCE_FORMATS[format];
+  if (!f) throw new Error(`Unknown reference format: ${format}`);
+  return { text: f.write(rows), fileName: `${baseName}.${f.ext}`, mime: f.mime };
+}
@@ -0,0 +1,47 @@
+// src/refExport.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toBibtex, toRis } from "./refExport.js";
+import { parseBibtex, parseRis } from "./refImport.js";
+
+const ROWS = [
+  {
+    title: "Recommendations on screening for depression in adults", venue: "CMAJ", year: 2013, month: 5,
+    authors: ["Joffres M", "Jaramillo A", "Dickinson J", "Canadian Task Force on Preventive Health Care"],
+    volume: "185", issue: "9", pages: "775-782", doi: "10.1503/cmaj.130403",
+  },
+  {
+    title: "Patient-oriented research priorities in Newfoundland and Labrador", venue: "CMAJ Open", year: 2021,
+    authors: ["SPOR Evidence Alliance", "Gustafson DL", "O'Hagan J"], articleNumber: "E123",
+  },
+];
+
+test("RIS export and import round-trip authors, corporate authors included", () => {
+  const ris = toRis(ROWS);
+  assert.match(ris, /^AU {2}- Canadian Task Force on Preventive Health Care,$/m);
+  assert.match(ris, /^AU {2}- Gustafson, D\.L\.$/m);
+  const back = parseRis(ris).records;
+  assert.deepEqual(back.map(r => r.authors), ROWS.map(r => r.authors));
+  assert.deepEqual(back.map(r => [r.title, r.venue, r.year, r.month, r.doi || null]), ROWS.map(r => [r.title, r.venue, r.year, r.month ?? null, r.doi ?? null]));
+  assert.equal(back[0].pages, "775-782");
+});
+
+test("BibTeX export and import round-trip authors, corporate authors included", () => {
+  const back = parseBibtex(toBibtex(ROWS)).records;
+  assert.deepEqual(back.map(r => r.authors), ROWS.map(r => r.authors));
+  assert.deepEqual(back.map(r => r.title), ROWS.map(r => r.title));
+});
+
+test("citation keys depend on the DOI, or the title and year, not on the row id or list position", () => {
+  const noDoi = { title: "Tele-education for rural physicians", year: 2019, authors: ["Mathews M"] };
+  const first = toBibtex([{ ...noDoi, id: "2019-Tele-education-for-rural-physicians-3" }]);
+  const moved = toBibtex([ROWS[0], { ...noDoi, id: "2019-Tele-education-for-rural-physicians-17" }]);
+  const key = first.match(/^@\w+\{([^,]+),/)[1];
+  assert.match(key, /^mathews2019tele-[0-9a-z]{4}$/);
+  assert.ok(moved.includes(`{${key},`));
+  const withDoi = (doi, id) => toBibtex([{ ...ROWS[0], doi, id }]).match(/^@\w+\{([^,]+),/)[1];
+  assert.equal(withDoi("10.1503/cmaj.130403", "a"), withDoi("10.1503/CMAJ.130403", "b"));
+  assert.notEqual(withDoi("10.1503/cmaj.130403"), withDoi("10.1503/cmaj.130404"));
+});
@@ -0,0 +1,233 @@
+// src/refImport.js
+// BibTeX and RIS parsers for publication lists faculty send as EndNote/Zotero exports.
+// Call: parseReferenceFile(fileName, text) -> { format, records, errors }
+//   records are canonical publications (same shape as sourceAdapters.js) tagged source:"bibtex"|"ris".
+
+import { bylineName, doiFrom } from "./sourceAdapters.js";
+
+/* ----------------------------------------------------------------------
+ * 1) Shared helpers
+ * -------------------------------------------------------------------- */
+const MONTH_NAME_TO_NUM = {
+  jan:1, feb:2, mar:3, apr:4, may:5, jun:6, jul:7, aug:8, sep:9, oct:10, nov:11, dec:12,
+};
+const squash = (s = "") => String(s).replace(/\s+/g, " ").trim();
+
+function monthNum(v) {
+  const s = squash(v).toLowerCase();
+  if (/^\d{1,2}$/.test(s)) { const n = Number(s); return n >= 1 && n <= 12 ? n : null; }
+  return MONTH_NAME_TO_NUM[s.slice(0, 3)] ?? null;
+}
+
+// "Knight, John C." | "John C. Knight" | "Knight JC" -> "Knight JC"; "World Health Organization," (RIS corporate author) as written
+function personToByline(raw) {
+  const s = squash(raw).replace(/[{}]/g, "");
+  if (!s) return "";
+  if (s.includes(",")) {
+    const [family, ...rest] = s.split(",");
+    return bylineName({ family: squash(family), given: squash(rest.join(" ")) });
+  }
+  if (/^\S+(?:\s+\S+)*\s+\p{Lu}{1,3}$/u.test(s)) return s; // already a byline
+  const parts = s.split(" ");
+  return bylineName({ family: parts.pop(), given: parts.join(" ") });
+}
+
+/* ----------------------------------------------------------------------
+ * 2) BibTeX
+ * -------------------------------------------------------------------- */
+const TEX_ACCENTS = { "'": "\u0301", "`": "\u0300", "^": "\u0302", '"': "\u0308", "~": "\u0303", "c": "\u0327", "=": "\u0304", "v": "\u030c", "u": "\u0306" };
+
+function deTex(s = "") {
+  return squash(
+    String(s)
+      .replace(/\\([`'^"~=]|[cvu](?=[\s{]))\s*\{?\s*\\?([A-Za-z])\}?/g, (_, acc, ch) => (ch + (TEX_ACCENTS[acc] || "")).normalize("NFC"))
+      .replace(/\\(?:textit|textbf|emph|mathrm|textsc)\s*\{([^{}]*)\}/g, "$1")
+      .replace(/\\&/g, "&").replace(/\\%/g, "%").replace(/\\_/g, "_").replace(/\\\$/g, "$")
+      .replace(/--/g, "-")
+      .replace(/[{}]/g, "")
+  );
+}
+
+// Reads one {…}, (…) or "…" value starting at text[i] (braces nest inside all three); returns [value, nextIndex]
+function readDelimited(text, i) {
+  const open = text[i];
+  const close = open === "{" ? "}" : open === "(" ? ")" : '"';
+  let depth = 0, quoted = false, j = i + 1;
+  for (; j < text.length; j++) {
+    const c = text[j];
+    if (c === "\\") { j++; continue; }
+    if (open === "(" && c === '"' && depth === 0) quoted = !quoted;
+    else if (quoted) continue;
+    else if (c === "{") depth++;
+    else if (c === "}" && depth > 0) depth--;
+    else if (c === close && depth === 0) break;
+  }
+  return [text.slice(i + 1, j), j + 1];
+}
+
+// "Knight, John and {World Health Organization} and {Johnson and Johnson}" -> bylines; splits on " and " outside
+// braces, and a name braced as a whole is a corporate author, kept as written
+function bibAuthors(raw = "") {
+  const names = [];
+  let depth = 0, start = 0;
+  for (let i = 0; i < raw.length; i++) {
+    const c = raw[i];
+    if (c === "\\") { i++; continue; }
+    if (c === "{") depth++;
+    else if (c === "}" && depth > 0) depth--;
+    else if (depth === 0) {
+      const m = raw.slice(i).match(/^\s+and\s+/i);
+      if (m) { names.push(raw.slice(start, i)); i += m[0].length - 1; start = i + 1; }
+    }
+  }
+  names.push(raw.slice(start));
+  return names.map(n => {
+    const name = n.trim();
+    if (name.startsWith("{") && readDelimited(name, 0)[1] === name.length) return deTex(name.slice(1, -1));
+    return personToByline(deTex(name));
+  }).filter(Boolean);
+}
+
+function parseBibFields(body, strings) {
+  const fields = {};
+  let i = 0;
+  while (i < body.length) {
+    const m = body.slice(i).match(/^[\s,]*([\w\-:.]+)\s*=\s*/);
+    if (!m) break;
+    const name = m[1].toLowerCase();
+    i += m[0].length;
+    let value = "";
+    // value = part ( # part )*
+    for (;;) {
+      while (/\s/.test(body[i] || "")) i++;
+      if (body[i] === "{" || body[i] === '"') { const [v, n] = readDelimited(body, i); value += v; i = n; }
+      else {
+        const w = body.slice(i).match(/^[\w\-:.]+/);
+        if (!w) break;
+        value += strings[w[0].toLowerCase()] ?? w[0];
+        i += w[0].length;
+      }
+      const hash = body.slice(i).match(/^\s*#\s*/);
+      if (!hash) break;
+      i += hash[0].length;
+    }
+    fields[name] = value;
+  }
+  return fields;
+}
+
+export function parseBibtex(text = "") {
+  const records = [], errors = [], strings = {};
+  const re = /@(\w+)\s*([{(])/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const type = m[1].toLowerCase();
+    const [body, next] = readDelimited(text, m.index + m[0].length - 1);
+    re.lastIndex = next;
+    if (type === "comment" || type === "preamble") continue;
+    if (type === "string") { Object.assign(strings, parseBibFields(body, strings)); continue; }
+
+    const comma = body.indexOf(",");
+    const key = squash(comma < 0 ? body : body.slice(0, comma));
+    const f = parseBibFields(comma < 0 ? "" : body.slice(comma + 1), strings);
+    const title = deTex(f.title || f.booktitle || "");
+    if (!title) { errors.push(`@${type}{${key}}: no title`); continue; }
+
+    const year = Number((f.year || f.date || "").match(/\d{4}/)?.[0]) || null;
+    records.push({
+      id: null,
+      title,
+      venue: deTex(f.journal || f.journaltitle || (f.title ? f.booktitle : "") || f.publisher || ""),
+      authors: bibAuthors(f.author || ""),
+      subjects: deTex(f.keywords || "").split(/\s*[,;]\s*/).filter(Boolean),
+      type,
+      format: "",
+      year,
+      month: monthNum(f.month || (f.date || "").split("-")[1] || ""),
+      date_text: "",
+      doi: doiFrom(f.doi, f.url),
+      url: squash(f.url || ""),
+      tail: "",
+      volume: squash(f.volume || "") || null,
+      issue: squash(f.number || f.issue || "") || null,
+      pages: deTex(f.pages || "") || null,
+      articleNumber: squash(f.eid || f["article-number"] || "") || null,
+      abstract: deTex(f.abstract || ""),
+      source: "bibtex",
+    });
+  }
+  return { records, errors };
+}
+
+/* ----------------------------------------------------------------------
+ * 3) RIS
+ * -------------------------------------------------------------------- */
+const RIS_LINE = /^([A-Z][A-Z0-9])  -\s?(.*)$/;
+
+export function parseRis(text = "") {
+  const records = [], errors = [];
+  let cur = null;
+  const push = (tag, v) => { (cur[tag] ||= []).push(squash(v)); };
+  const one = (...tags) => tags.map(t => cur[t]?.[0]).find(Boolean) || "";
+
+  const finish = () => {
+    const title = one("TI", "T1", "CT", "BT");
+    if (!title) { errors.push(`${one("TY") || "record"} ${records.length + errors.length + 1}: no title`); return; }
+    // PY is often the year alone, with the full date in DA ("2013/05//")
+    const dates = ["PY", "Y1", "DA"].map(t => one(t).split(/[/\-]/)).filter(([d]) => d);
+    const y = dates.map(([d]) => d.match(/\d{4}/)?.[0]).find(Boolean);
+    const month = dates.map(([, mo]) => monthNum(mo || "")).find(Boolean) ?? null;
+    const sp = one("SP"), ep = one("EP");
+    records.push({
+      id: null,
+      title,
+      venue: one("JF", "JO", "T2", "JA", "J2", "PB"),
+      authors: [...(cur.AU || []), ...(cur.A1 || [])].map(personToByline).filter(Boolean),
+      subjects: (cur.KW || []).filter(Boolean),
+      type: one("TY"),
+      format: "",
+      year: Number(y) || null,
+      month,
+      date_text: "",
+      doi: doiFrom(one("DO"), ...(cur.UR || [])),
+      url: one("UR", "L1"),
+      tail: "",
+      volume: one("VL") || null,
+      issue: one("IS") || null,
+      pages: sp ? (ep && ep !== sp ? `${sp}-${ep}` : sp) : null,
+      articleNumber: one("C7") || null, // AN is the accession number (PMID, WOS id), not the article number
+      abstract: one("AB", "N2"),
+      source: "ris",
+    });
+  };
+
+  for (const line of String(text).replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const m = line.match(RIS_LINE);
+    if (!m) { if (cur && line.trim()) { const last = Object.keys(cur).at(-1); if (last) cur[last][cur[last].length - 1] += " " + squash(line); } continue; }
+    const [, tag, value] = m;
+    if (tag === "TY") { cur = {}; push("TY", value); continue; }
+    if (!cur) continue;
+    if (tag === "ER") { finish(); cur = null; continue; }
+    push(tag, value);
+  }
+  if (cur) finish();
+  return { records, errors };
+}
+
+/* ----------------------------------------------------------------------
+ * 4) Entry point
+ * -------------------------------------------------------------------- */
+export function detectReferenceFormat(fileName = "", text = "") {
+  if (/\.(bib|bibtex)$/i.test(fileName)) return "bibtex";
+  if (/\.(ris|enw|txt)$/i.test(fileName) && /^TY  - /m.test(text)) return "ris";
+  if (/^\s*@\w+\s*[{(]/m.test(text)) return "bibtex";
+  if (/^TY  - /m.test(text)) return "ris";
+  return null;
+}
+
+export function parseReferenceFile(fileName, text) {
+  const format = detectReferenceFormat(fileName, text);
+  if (!format) return { format: null, records: [], errors: [`${fileName}: not a BibTeX or RIS file`] };
+  const out = format === "bibtex" ? parseBibtex(text) : parseRis(text);
+  return { format, ...out };
+}
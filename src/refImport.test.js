@@ -0,0 +1,66 @@
+// src/refImport.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectReferenceFormat, parseBibtex, parseReferenceFile, parseRis } from "./refImport.js";
+
+test("BibTeX: @string macros, # concatenation and month macros", () => {
+  const bib = `@string{cmaj = "Canadian Medical Association Journal"}
+@string{nl = {Newfoundland}}
+@article{knight2020,
+  author = {Knight, John C. and Wang, Peter P.},
+  title = {Diabetes in } # nl # { and Labrador},
+  journal = cmaj,
+  year = 2020,
+  month = mar,
+  pages = {191--197},
+  doi = {10.1503/cmaj.190123}
+}`;
+  const [r] = parseBibtex(bib).records;
+  assert.equal(r.title, "Diabetes in Newfoundland and Labrador");
+  assert.equal(r.venue, "Canadian Medical Association Journal");
+  assert.deepEqual(r.authors, ["Knight JC", "Wang PP"]);
+  assert.deepEqual([r.year, r.month, r.pages, r.doi], [2020, 3, "191-197", "10.1503/cmaj.190123"]);
+});
+
+test("BibTeX: TeX accents and markup, braced corporate authors, top-level \" and \" only", () => {
+  const bib = `@article{x, author = {Fran{\\c{c}}ois, Ren{\\'e}e and {\\"O}zt{\\"u}rk, Ay{\\c s}e and {Johnson and Johnson} and {Canadian Task Force on Preventive Health Care}},
+    title = {{\\emph{In vitro}} screening for {HPV} \\& cervical cancer}, journal = {Curr Oncol}, year = {2019}}`;
+  const [r] = parseBibtex(bib).records;
+  assert.deepEqual(r.authors, ["François R", "Öztürk A", "Johnson and Johnson", "Canadian Task Force on Preventive Health Care"]);
+  assert.equal(r.title, "In vitro screening for HPV & cervical cancer");
+});
+
+test("BibTeX: entries without a title are reported, comments skipped", () => {
+  const { records, errors } = parseBibtex("@comment{jabref-meta: x}\n@misc{notitle, year = {2020}}\n@book{b, title = {Health Policy}, publisher = {UTP}, year = {2018}}");
+  assert.deepEqual(records.map(r => [r.title, r.venue]), [["Health Policy", "UTP"]]);
+  assert.deepEqual(errors, ["@misc{notitle}: no title"]);
+});
+
+test("RIS: C7 is the article number, SP/EP the pages, AN (accession number) is ignored", () => {
+  const ris = [
+    "TY  - JOUR", "AU  - Knight, John C.", "AU  - Wang, P.P.", "TI  - Diabetes in Newfoundland", "JO  - BMJ Open",
+    "PY  - 2021", "DA  - 2021/01/05", "VL  - 11", "IS  - 1", "C7  - e041234", "AN  - 33402402", "DO  - 10.1136/bmjopen-2020-041234", "ER  - ",
+    "TY  - JOUR", "AU  - Mathews, M", "TI  - Rural physicians", "T2  - Can Fam Physician", "Y1  - 2018///",
+    "SP  - 1068", "EP  - 1069", "AN  - WOS:000123", "KW  - rural", "KW  - workforce", "ER  - ",
+  ].join("\r\n");
+  const { records, errors } = parseRis(ris);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(r => [r.authors, r.year, r.month, r.pages, r.articleNumber]), [
+    [["Knight JC", "Wang PP"], 2021, 1, null, "e041234"],
+    [["Mathews M"], 2018, null, "1068-1069", null],
+  ]);
+  assert.equal(records[1].venue, "Can Fam Physician");
+  assert.deepEqual(records[1].subjects, ["rural", "workforce"]);
+});
+
+test("RIS: continuation lines, a missing title, and format detection", () => {
+  const ris = "TY  - JOUR\nTI  - A long title that\n  wraps onto a second line\nPY  - 2020\nER  - \nTY  - JOUR\nPY  - 2020\nER  - ";
+  const { records, errors } = parseRis(ris);
+  assert.equal(records[0].title, "A long title that wraps onto a second line");
+  assert.deepEqual(errors, ["JOUR 2: no title"]);
+  assert.equal(detectReferenceFormat("export.txt", ris), "ris");
+  assert.equal(detectReferenceFormat("refs", "@article{a, title={x}}"), "bibtex");
+  assert.deepEqual(parseReferenceFile("notes.docx", "hello").errors, ["notes.docx: not a BibTeX or RIS file"]);
+});
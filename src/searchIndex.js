@@ -0,0 +1,193 @@
+// src/searchIndex.js
+// In-memory inverted index over the loaded rows: tokenization, light stemming, typo-tolerant term
+// expansion (prefix + Damerau-Levenshtein) and BM25F-style ranking over title, journal, authors and subjects.
+// Call: const index = buildSearchIndex(rows)             // once per dataset
+//       matchingIds(index, "ultrasond") -> Set of row ids // fuzzy AND over the words of one search term
+//       rankRows(index, ["newfoundland labrador diabetes"]) -> { scores: Map(id -> score), stems: Set }
+//       highlightParts(text, stems) -> [{ text, hit }]    // for <mark> rendering
+//       editDistance("diabtes", "diabetes", 2) -> 1       // also used by venueNormalize.js
+
+/* ----------------------------------------------------------------------
+ * 1) Tokens & stems
+ * -------------------------------------------------------------------- */
+const STOP_WORDS = new Set(("a an and are as at be by for from has in is it its of on or that the to was were " +
+  "with among after before between during into than via vs").split(" "));
+
+// Light suffix stripper: enough to fold plurals and common verb/noun endings ("screening" ~ "screened" ~ "screen")
+const SUFFIXES = [
+  ["ational", "ate"], ["ations", "ate"], ["ation", "ate"], ["izations", "ize"], ["ization", "ize"],
+  ["fulness", "ful"], ["iveness", "ive"], ["ingly", ""], ["edly", ""], ["ness", ""],
+  ["ies", "y"], ["sses", "ss"], ["ing", ""], ["ed", ""], ["es", "e"], ["ly", ""], ["s", ""],
+];
+
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (/(ss|us|is)$/.test(word)) return word;
+  for (const [suf, rep] of SUFFIXES) {
+    if (word.endsWith(suf) && word.length - suf.length >= 3) return word.slice(0, -suf.length) + rep;
+  }
+  return word;
+}
+
+const fold = (s) => String(s ?? "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+export function tokenize(text) {
+  return (fold(text).match(/[\p{L}\p{N}]+/gu) || []).filter(w => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Index
+ * -------------------------------------------------------------------- */
+// field weights for BM25F (a title hit counts more than a subject-heading hit)
+export const INDEX_FIELDS = [
+  { name: "title",    weight: 3,   text: r => r.title },
+  { name: "authors",  weight: 2,   text: r => (r.authors || []).join(" ") },
+  { name: "journal",  weight: 1.5, text: r => r.venue },
+  { name: "subjects", weight: 1.5, text: r => (r.subjects || []).join(" ") },
+];
+
+export function buildSearchIndex(rows = [], { fields = INDEX_FIELDS } = {}) {
+  const postings = new Map(); // stem -> Map(docIdx -> weighted tf)
+  const lengths = new Float64Array(rows.length);
+
+  rows.forEach((r, d) => {
+    for (const f of fields) {
+      const toks = tokenize(f.text(r));
+      lengths[d] += f.weight * toks.length;
+      for (const t of toks) {
+        const s = stem(t);
+        if (!postings.has(s)) postings.set(s, new Map());
+        const p = postings.get(s);
+        p.set(d, (p.get(d) || 0) + f.weight);
+      }
+    }
+  });
+
+  const byLength = new Map(); // vocabulary bucketed by length for fuzzy lookups
+  for (const s of postings.keys()) {
+    if (!byLength.has(s.length)) byLength.set(s.length, []);
+    byLength.get(s.length).push(s);
+  }
+  const avgLength = rows.length ? lengths.reduce((a, b) => a + b, 0) / rows.length : 0;
+  return { ids: rows.map(r => r.id), postings, lengths, avgLength, byLength, expansions: new Map() };
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Typo-tolerant term expansion
+ * -------------------------------------------------------------------- */
+// Optimal-string-alignment distance, abandoned once it exceeds max
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev; prev = cur;
+  }
+  return prev[b.length];
+}
+
+const allowedEdits = (len) => (len >= 8 ? 2 : len >= 4 ? 1 : 0);
+const EDIT_WEIGHT = [1, 0.6, 0.4];
+const PREFIX_WEIGHT = 0.8;
+
+// word -> [{ term, weight }]: the exact stem, index terms it prefixes, and index terms within the edit budget
+export function expandWord(index, word) {
+  const key = fold(word);
+  if (index.expansions.has(key)) return index.expansions.get(key);
+  const s = stem(key);
+  const out = new Map();
+  const add = (term, weight) => { if ((out.get(term) ?? 0) < weight) out.set(term, weight); };
+
+  if (index.postings.has(s)) add(s, 1);
+  if (index.postings.has(key)) add(key, 1);
+  const max = allowedEdits(s.length);
+  for (const [len, terms] of index.byLength) {
+    if (key.length >= 3 && len > key.length) {
+      for (const t of terms) if (t.startsWith(key) || t.startsWith(s)) add(t, PREFIX_WEIGHT);
+    }
+    if (max && Math.abs(len - s.length) <= max) {
+      for (const t of terms) {
+        if (t[0] !== s[0] && t[1] !== s[1]) continue; // typos rarely hit both of the first two letters
+        const d = editDistance(s, t, max);
+        if (d > 0 && d <= max) add(t, EDIT_WEIGHT[d]);
+      }
+    }
+  }
+  const list = [...out].map(([term, weight]) => ({ term, weight }));
+  index.expansions.set(key, list);
+  return list;
+}
+
+/* ----------------------------------------------------------------------
+ * 4) Matching & BM25 ranking
+ * -------------------------------------------------------------------- */
+const K1 = 1.2, B = 0.75;
+
+function wordScores(index, word) {
+  const n = index.ids.length;
+  const scores = new Map(); // docIdx -> best score over the expansions of this word
+  for (const { term, weight } of expandWord(index, word)) {
+    const p = index.postings.get(term);
+    const idf = Math.log(1 + (n - p.size + 0.5) / (p.size + 0.5));
+    for (const [d, tf] of p) {
+      const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + (B * index.lengths[d]) / (index.avgLength || 1)));
+      const v = weight * idf * norm;
+      if (v > (scores.get(d) ?? 0)) scores.set(d, v);
+    }
+  }
+  return scores;
+}
+
+// Rows containing every word of `term` (each word may match fuzzily); null when the term has no indexable words
+export function matchingIds(index, term) {
+  const words = tokenize(term);
+  if (!words.length) return null;
+  let docs = null;
+  for (const w of words) {
+    const hits = new Set(wordScores(index, w).keys());
+    docs = docs ? new Set([...docs].filter(d => hits.has(d))) : hits;
+    if (!docs.size) break;
+  }
+  return new Set([...docs].map(d => index.ids[d]));
+}
+
+export function rankRows(index, terms = []) {
+  const scores = new Map();
+  const stems = new Set();
+  for (const w of terms.flatMap(tokenize)) {
+    for (const { term } of expandWord(index, w)) stems.add(term);
+    for (const [d, v] of wordScores(index, w)) {
+      const id = index.ids[d];
+      scores.set(id, (scores.get(id) || 0) + v);
+    }
+  }
+  return { scores, stems };
+}
+
+/* ----------------------------------------------------------------------
+ * 5) Highlighting
+ * -------------------------------------------------------------------- */
+export function highlightParts(text = "", stems) {
+  const src = String(text ?? "");
+  if (!stems?.size || !src) return [{ text: src, hit: false }];
+  const parts = [];
+  let last = 0;
+  for (const m of src.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const w = fold(m[0]);
+    if (!stems.has(stem(w)) && !stems.has(w)) continue;
+    if (m.index > last) parts.push({ text: src.slice(last, m.index), hit: false });
+    parts.push({ text: m[0], hit: true });
+    last = m.index + m[0].length;
+  }
+  if (last < src.length) parts.push({ text: src.slice(last), hit: false });
+  return parts;
+}
@@ -0,0 +1,51 @@
+// src/searchIndex.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchIndex, editDistance, highlightParts, matchingIds, rankRows, stem, tokenize } from "./searchIndex.js";
+
+const ROWS = [
+  { id: "a", title: "Point-of-care ultrasound training for rural physicians", venue: "Can J Rural Med", authors: ["Mathews M"], subjects: ["Ultrasonography"] },
+  { id: "b", title: "Screening for diabetes in Newfoundland and Labrador", venue: "CMAJ Open", authors: ["Knight JC", "Wang PP"], subjects: [] },
+  { id: "c", title: "Diabetic retinopathy screening uptake", venue: "Can J Ophthalmol", authors: ["Wang PP"], subjects: ["Diabetes"] },
+  { id: "d", title: "Cancer incidence among fish plant workers", venue: "Occup Med", authors: ["Sarkar A"], subjects: [] },
+];
+const index = buildSearchIndex(ROWS);
+const hits = (term) => [...(matchingIds(index, term) || [])].sort();
+
+test("tokens and stems fold plurals, accents and verb endings", () => {
+  assert.deepEqual(tokenize("The Screening of Zoë's patients"), ["screening", "zoe", "patients"]);
+  assert.equal(stem("screening"), stem("screened"));
+  assert.equal(stem("physicians"), stem("physician"));
+});
+
+test("typos and prefixes match: ultrasond hits ultrasound", () => {
+  assert.deepEqual(hits("ultrasond"), ["a"]);
+  assert.deepEqual(hits("ultrasuond"), ["a"]);   // transposition
+  assert.deepEqual(hits("newfoundlnd"), ["b"]);
+  assert.deepEqual(hits("ultra"), ["a"]);        // prefix
+  assert.deepEqual(hits("cat"), []);             // short words get no edit budget
+  assert.equal(matchingIds(index, "the of"), null);
+});
+
+test("every word of a term must match, in any indexed field", () => {
+  assert.deepEqual(hits("diabetes screening"), ["b", "c"]);
+  assert.deepEqual(hits("wang diabetes"), ["b", "c"]);
+  assert.deepEqual(hits("knight retinopathy"), []);
+  assert.deepEqual(hits("rural med"), ["a"]);
+});
+
+test("ranking prefers exact and title hits, and highlighting marks the matched words", () => {
+  const { scores, stems } = rankRows(index, ["diabetes"]);
+  assert.ok(scores.get("b") > scores.get("c"));
+  const parts = highlightParts("Screening for diabetes in Newfoundland", stems);
+  assert.deepEqual(parts.filter(p => p.hit).map(p => p.text), ["diabetes"]);
+  assert.equal(parts.map(p => p.text).join(""), "Screening for diabetes in Newfoundland");
+});
+
+test("editDistance counts a transposition as one edit and gives up past max", () => {
+  assert.equal(editDistance("diabtes", "diabetes", 2), 1);
+  assert.equal(editDistance("ultrasuond", "ultrasound", 2), 1);
+  assert.equal(editDistance("abcdef", "uvwxyz", 2), 3);
+});
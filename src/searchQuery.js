@@ -0,0 +1,193 @@
+// src/searchQuery.js
+// Query language for the dashboard search box.
+//   knight cancer            -> both words, anywhere (title, journal, subjects, authors)
+//   "low back pain"          -> exact phrase
+//   author:"Knight JC"  journal:cmaj  doi:10.1177  topic:Cardiology  subject:nursing  title:covid
+//   year:2019..2023  year:..2015  year:2020  month:apr
+//   -word  NOT word          -> negation
+//   a OR b  (a | b)  ( … )   -> alternatives and grouping; plain juxtaposition is AND
+// Call: parseSearchQuery(text, { freeTerm }) -> { ast, error: { message, pos } | null, match(row) -> boolean, terms }
+//   freeTerm(value, phrase) may return an extra predicate for unfielded terms (the fuzzy index in searchIndex.js);
+//   `terms` lists the unfielded, non-negated values, for relevance ranking and highlighting.
+// Rows are normalized dashboard rows (lcTitle, lcVenue, lcSubjects, lcAuthors, doi, topic, year, month).
+// On a parse error `match` falls back to the old whole-string substring search, so the table never blanks out.
+
+/* ----------------------------------------------------------------------
+ * 1) Fields
+ * -------------------------------------------------------------------- */
+const MONTH_NAMES = ["january","february","march","april","may","june","july","august","september","october","november","december"];
+
+const anyIncludes = (list, v) => (list || []).some(s => s.includes(v));
+
+const FIELDS = {
+  author:  { test: (r, v) => anyIncludes(r.lcAuthors, v) },
+  journal: { test: (r, v) => r.lcVenue.includes(v) },
+  title:   { test: (r, v) => r.lcTitle.includes(v) },
+  subject: { test: (r, v) => anyIncludes(r.lcSubjects, v) },
+  topic:   { test: (r, v) => (r.topic || "Other").toLowerCase().includes(v) },
+  doi:     { test: (r, v) => (r.doi || "").toLowerCase().includes(v.replace(/^https?:\/\/(dx\.)?doi\.org\//, "")) },
+  year:    { compile: compileYear },
+  month:   { compile: compileMonth },
+};
+const FIELD_ALIASES = { venue: "journal", au: "author", ti: "title", subjects: "subject" };
+
+export const SEARCH_FIELDS = Object.keys(FIELDS);
+
+function anyField(r, v) {
+  return r.lcTitle.includes(v) || r.lcVenue.includes(v) || anyIncludes(r.lcSubjects, v) || anyIncludes(r.lcAuthors, v);
+}
+
+// "2020" | "2019..2023" | "..2015" | "2019.."
+function compileYear(value) {
+  const m = value.match(/^(\d{4})?(?:(\.\.)(\d{4})?)?$/);
+  if (!m || (!m[1] && !m[3])) return { error: `year: expects 2020, 2019..2023, ..2015 or 2019.. (got "${value}")` };
+  const from = m[1] ? Number(m[1]) : -Infinity;
+  const to = m[2] ? (m[3] ? Number(m[3]) : Infinity) : from;
+  if (from > to) return { error: `year: range ${value} is reversed` };
+  return { test: (r) => typeof r.year === "number" && r.year >= from && r.year <= to };
+}
+
+function compileMonth(value) {
+  const n = /^\d{1,2}$/.test(value) ? Number(value)
+    : value.length >= 3 ? MONTH_NAMES.findIndex(name => name.startsWith(value)) + 1 : 0;
+  if (!(n >= 1 && n <= 12)) return { error: `month: expects a month name or 1-12 (got "${value}")` };
+  return { test: (r) => r.month === n };
+}
+
+/* ----------------------------------------------------------------------
+ * 2) Tokenizer
+ * -------------------------------------------------------------------- */
+class SearchSyntaxError extends Error {
+  constructor(message, pos) { super(message); this.pos = pos; }
+}
+
+// Tokens: { type: "(" | ")" | "or" | "not" | "term", pos, neg?, field?, value?, phrase? }
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "(" || c === ")") { tokens.push({ type: c, pos: i }); i++; continue; }
+    if (c === "|") { tokens.push({ type: "or", pos: i }); i++; continue; }
+
+    const start = i;
+    let neg = false;
+    if (c === "-" && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) { neg = true; i++; }
+
+    let field = null;
+    const fm = text.slice(i).match(/^([A-Za-z]+):/);
+    if (fm) { field = fm[1].toLowerCase(); i += fm[0].length; }
+
+    let value = "", phrase = false;
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end < 0) throw new SearchSyntaxError("Unclosed quote", i);
+      value = text.slice(i + 1, end); phrase = true; i = end + 1;
+    } else {
+      const m = text.slice(i).match(/^[^\s()"]+/);
+      value = m ? m[0] : ""; i += value.length;
+    }
+
+    if (!field && !neg && !phrase && value === "OR") { tokens.push({ type: "or", pos: start }); continue; }
+    if (!field && !neg && !phrase && value === "AND") continue;
+    if (!field && !neg && !phrase && value === "NOT") { tokens.push({ type: "not", pos: start }); continue; }
+    if (field && !value) throw new SearchSyntaxError(`${field}: needs a value`, start);
+    tokens.push({ type: "term", pos: start, neg, field, value, phrase });
+  }
+  return tokens;
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Parser (OR < AND < NOT/-) -> AST
+ * -------------------------------------------------------------------- */
+function parse(tokens) {
+  let k = 0;
+  const peek = () => tokens[k];
+
+  function orExpr() {
+    const items = [andExpr()];
+    while (peek()?.type === "or") {
+      const t = tokens[k++];
+      if (!peek() || peek().type === ")" || peek().type === "or") throw new SearchSyntaxError("OR needs a term on both sides", t.pos);
+      items.push(andExpr());
+    }
+    return items.length === 1 ? items[0] : { type: "or", items };
+  }
+
+  function andExpr() {
+    const items = [];
+    while (peek() && peek().type !== ")" && peek().type !== "or") items.push(unary());
+    if (!items.length) throw new SearchSyntaxError("Expected a search term", peek()?.pos ?? 0);
+    return items.length === 1 ? items[0] : { type: "and", items };
+  }
+
+  function unary() {
+    const t = tokens[k++];
+    if (t.type === "not") {
+      if (!peek() || peek().type === ")" || peek().type === "or") throw new SearchSyntaxError("NOT needs a term", t.pos);
+      return { type: "not", item: unary() };
+    }
+    if (t.type === "(") {
+      if (peek()?.type === ")") throw new SearchSyntaxError("Empty parentheses", t.pos);
+      const inner = orExpr();
+      if (peek()?.type !== ")") throw new SearchSyntaxError("Unclosed parenthesis", t.pos);
+      k++;
+      return inner;
+    }
+    const node = { type: "term", field: t.field, value: t.value, phrase: t.phrase, pos: t.pos };
+    return t.neg ? { type: "not", item: node } : node;
+  }
+
+  if (!tokens.length) return null;
+  const ast = orExpr();
+  if (k < tokens.length) throw new SearchSyntaxError("Unmatched closing parenthesis", tokens[k].pos);
+  return ast;
+}
+
+/* ----------------------------------------------------------------------
+ * 4) Compile AST -> predicate
+ * -------------------------------------------------------------------- */
+function compile(node, opts, negated = false) {
+  switch (node.type) {
+    case "and": { const fs = node.items.map(n => compile(n, opts, negated)); return (r) => fs.every(f => f(r)); }
+    case "or":  { const fs = node.items.map(n => compile(n, opts, negated)); return (r) => fs.some(f => f(r)); }
+    case "not": { const f = compile(node.item, opts, !negated); return (r) => !f(r); }
+    default: {
+      const value = node.value.toLowerCase().replace(/\s+/g, " ").trim();
+      if (!node.field) {
+        if (!negated) opts.terms.push(value);
+        const extra = opts.freeTerm?.(value, node.phrase);
+        return extra ? (r) => anyField(r, value) || extra(r) : (r) => anyField(r, value);
+      }
+      const name = FIELD_ALIASES[node.field] || node.field;
+      const def = FIELDS[name];
+      if (!def) throw new SearchSyntaxError(`Unknown field "${node.field}:" (try ${SEARCH_FIELDS.join(", ")})`, node.pos);
+      if (def.compile) {
+        const c = def.compile(value);
+        if (c.error) throw new SearchSyntaxError(c.error, node.pos);
+        return c.test;
+      }
+      return (r) => def.test(r, value);
+    }
+  }
+}
+
+/* ----------------------------------------------------------------------
+ * 5) Entry point
+ * -------------------------------------------------------------------- */
+const MATCH_ALL = () => true;
+
+export function parseSearchQuery(text = "", { freeTerm } = {}) {
+  const src = String(text ?? "");
+  if (!src.trim()) return { ast: null, error: null, match: MATCH_ALL, terms: [] };
+  try {
+    const ast = parse(tokenize(src));
+    const opts = { freeTerm, terms: [] };
+    return { ast, error: null, match: ast ? compile(ast, opts) : MATCH_ALL, terms: opts.terms };
+  } catch (e) {
+    if (!(e instanceof SearchSyntaxError)) throw e;
+    const plain = src.toLowerCase().trim();
+    return { ast: null, error: { message: e.message, pos: e.pos }, match: (r) => anyField(r, plain), terms: [] };
+  }
+}
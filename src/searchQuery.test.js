@@ -0,0 +1,69 @@
+// src/searchQuery.test.js
+// Run: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseSearchQuery } from "./searchQuery.js";
+
+// normalized dashboard rows, as normalizeRow builds them
+const row = (r) => ({
+  ...r,
+  lcTitle: r.title.toLowerCase(), lcVenue: r.venue.toLowerCase(),
+  lcSubjects: (r.subjects || []).map(s => s.toLowerCase()), lcAuthors: r.authors.map(a => a.toLowerCase()),
+});
+const ROWS = [
+  row({ id: 1, title: "Low back pain in fish plant workers", venue: "CMAJ", authors: ["Knight JC", "Wang PP"], subjects: ["Occupational health"], topic: "Public Health", year: 2019, month: 4, doi: "10.1503/cmaj.1" }),
+  row({ id: 2, title: "Back to school: COVID-19 testing", venue: "CMAJ Open", authors: ["Mathews M"], subjects: ["Nursing"], topic: "Infectious Disease", year: 2021, month: 9, doi: "10.9778/cmajo.2" }),
+  row({ id: 3, title: "Pain management in rural Newfoundland", venue: "Can Fam Physician", authors: ["Knight JC"], subjects: [], topic: null, year: 2014, month: null, doi: "" }),
+];
+const ids = (q) => ROWS.filter(parseSearchQuery(q).match).map(r => r.id);
+
+test("field-scoped terms only look at their field", () => {
+  assert.deepEqual(ids('author:"knight jc"'), [1, 3]);
+  assert.deepEqual(ids("journal:cmaj"), [1, 2]);
+  assert.deepEqual(ids("venue:physician"), [3]);
+  assert.deepEqual(ids("title:pain"), [1, 3]);
+  assert.deepEqual(ids("subject:nursing"), [2]);
+  assert.deepEqual(ids("topic:other"), [3]);
+  assert.deepEqual(ids("doi:https://doi.org/10.9778"), [2]);
+  assert.deepEqual(ids("knight"), [1, 3]); // unfielded: authors count too
+});
+
+test("years, months, phrases, negation and alternatives", () => {
+  assert.deepEqual(ids("year:2015..2021"), [1, 2]);
+  assert.deepEqual(ids("year:..2015"), [3]);
+  assert.deepEqual(ids("month:apr"), [1]);
+  assert.deepEqual(ids('"back pain"'), [1]);
+  assert.deepEqual(ids("back -pain"), [2]);
+  assert.deepEqual(ids("back NOT author:knight"), [2]);
+  assert.deepEqual(ids("(rural OR covid) cmaj"), [2]);
+  assert.deepEqual(ids("rural | fish"), [1, 3]);
+});
+
+test("errors carry a message and position, and fall back to a plain substring search", () => {
+  const cases = {
+    "author:": "author: needs a value",
+    "cancer year:": "year: needs a value",
+    "year:2023..2019": "year: range 2023..2019 is reversed",
+    "month:foo": 'month: expects a month name or 1-12 (got "foo")',
+    "a OR": "OR needs a term on both sides",
+    "(a OR b": "Unclosed parenthesis",
+    '"open phrase': "Unclosed quote",
+  };
+  for (const [q, message] of Object.entries(cases)) assert.equal(parseSearchQuery(q).error?.message, message, q);
+  assert.equal(parseSearchQuery("cancer year:").error.pos, 7);
+  assert.match(parseSearchQuery("foo:bar").error.message, /^Unknown field "foo:"/);
+  // a title with a colon reads as a field with no value; the whole string still finds it
+  const broken = parseSearchQuery("school: covid");
+  assert.equal(broken.error.message, "school: needs a value");
+  assert.deepEqual(ROWS.filter(broken.match).map(r => r.id), [2]);
+});
+
+test("terms lists the unfielded, non-negated values; freeTerm adds a predicate for them", () => {
+  assert.deepEqual(parseSearchQuery('author:knight "back pain" -covid rural').terms, ["back pain", "rural"]);
+  const seen = [];
+  const q = parseSearchQuery("ultrasond journal:cmaj", { freeTerm: (v) => { seen.push(v); return (r) => r.id === 2; } });
+  assert.deepEqual(seen, ["ultrasond"]);
+  assert.deepEqual(ROWS.filter(q.match).map(r => r.id), [2]);
+  assert.equal(parseSearchQuery("   ").error, null);
+});
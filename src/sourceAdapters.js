@@ -0,0 +1,311 @@
+// src/sourceAdapters.js
+// Maps publication data from different source schemas onto one canonical model.
+// Call: normalizeSource(json) -> { adapter, records, unmapped }
+//   adapter  : name of the adapter picked by schema detection ("scraper" | "crossref" | "pubmed" | "csl")
+//   records  : canonical publications (see CANONICAL_FIELDS)
+//   unmapped : { sourceField: recordCount } for fields the adapter does not understand
+// Add a source by appending to ADAPTERS: { name, detect(json), unwrap(json), map(record), known }.
+
+import { jatsToText, pickLicense, fundersOf, crossrefDate } from "./crossrefMeta.js";
+import { oaFromUnpaywall } from "./openAccess.js";
+
+/* ----------------------------------------------------------------------
+ * 1) Canonical model
+ * -------------------------------------------------------------------- */
+export const CANONICAL_FIELDS = [
+  "id", "title", "venue", "authors", "subjects", "type", "format",
+  "year", "month", "date_text", "doi", "url", "tail",
+  "volume", "issue", "pages", "articleNumber",
+  "orcids", // { byline: ORCID iD } for the authors that carry one (see authorIdentity.js)
+  "issn",   // the venue's ISSNs, print and electronic (see venueNormalize.js)
+  "enriched",   // { source: retrieved_at } for every lookup made at build time (scripts/enrich_pubs.mjs)
+  "provenance", // { field: { source, retrieved_at, was } } for fields replaced by such a lookup
+  "abstract",   // plain text (Crossref JATS converted, see crossrefMeta.js)
+  "funders",    // [{ name, doi, awards }]
+  "license",    // { label, url, open } | null
+  "dates",      // { issued, published_print, published_online } as "YYYY-MM-DD" prefixes
+  "citedBy",    // { count, source: "crossref" | "openalex", retrieved_at } | null
+  "oa",         // { status: "gold" | "hybrid" | "bronze" | "green" | "closed", url, hostType, version, license, source, retrieved_at } | null
+];
+
+/* ----------------------------------------------------------------------
+ * 2) Shared helpers
+ * -------------------------------------------------------------------- */
+const DOI_RE = /(10\.\d{4,9}\/[^\s"'>?#]+)/i;
+const str = (v) => (v == null ? "" : String(Array.isArray(v) ? (v[0] ?? "") : v).replace(/\s+/g, " ").trim());
+const first = (...vals) => vals.map(str).find(Boolean) || "";
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+const ISSN_RE = /\b\d{4}-?\d{3}[\dXx]\b/g;
+const issnsOf = (...vals) => [...new Set(vals.flat().flatMap(v => str(v).toUpperCase().match(ISSN_RE) || [])
+  .map(i => (i.includes("-") ? i : `${i.slice(0, 4)}-${i.slice(4)}`)))];
+
+export function doiFrom(...vals) {
+  for (const v of vals) {
+    let s = str(v);
+    if (!s) continue;
+    try { s = decodeURIComponent(s); } catch {}
+    const m = s.replace(/https?:\/\/(dx\.)?doi\.org\//i, "").match(DOI_RE);
+    if (m) return m[1].replace(/[.,;]+$/, "");
+  }
+  return "";
+}
+
+// { given:"Peter Paul", family:"Wang" } -> "Wang PP" (the byline style the scraped source uses)
+export function bylineName(o) {
+  if (!isObj(o)) return str(o);
+  const family = str(o.family || o.last || o.lastName);
+  if (!family) return str(o.literal || o.name);
+  const initials = str(o.given || o.first || o.firstName)
+    .split(/[\s.\-]+/).filter(Boolean).map(p => p[0].toUpperCase()).join("");
+  return [family, initials].filter(Boolean).join(" ");
+}
+
+// Crossref / CSL author objects -> { "Wang PP": "0000-0002-1825-0097" }
+function orcidsOf(people) {
+  const out = {};
+  for (const o of Array.isArray(people) ? people : []) {
+    const id = str(o?.ORCID || o?.orcid).match(/\d{4}-\d{4}-\d{4}-\d{3}[\dXx]/)?.[0];
+    const name = bylineName(o);
+    if (id && name) out[name] = id.toUpperCase();
+  }
+  return out;
+}
+
+// Crossref / CSL "date-parts" -> { year, month, date_text }
+function fromDateParts(...dates) {
+  for (const d of dates) {
+    const dp = d?.["date-parts"]?.[0];
+    if (!dp || !dp[0]) continue;
+    const [y, m, day] = dp.map(Number);
+    const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+    return {
+      year: y,
+      month: m >= 1 && m <= 12 ? m : null,
+      date_text: [y, m >= 1 && m <= 12 ? months[m - 1] : "", m && day ? day : ""].filter(Boolean).join(" "),
+    };
+  }
+  return { year: null, month: null, date_text: "" };
+}
+
+const rowsOf = (json) => (Array.isArray(json) ? json : []);
+const sample = (list, n = 20) => list.filter(isObj).slice(0, n);
+const share = (list, pred) => { const s = sample(list); return s.length ? s.filter(pred).length / s.length : 0; };
+
+// scripts/enrich_pubs.mjs `crossref` block -> the values to use plus where they came from.
+// Fields listed under `corrected` replace the scraped ones; the bibliographic details only fill gaps.
+function crossrefOf(r) {
+  const cr = isObj(r.crossref) ? r.crossref : null;
+  if (!cr) return { enriched: {}, provenance: {}, fix: (k, scraped) => scraped, cr: {} };
+  const ok = cr.status === "ok";
+  const corrected = ok && isObj(cr.corrected) ? cr.corrected : {};
+  const provenance = {};
+  for (const k of Object.keys(corrected)) {
+    if (cr[k] != null && cr[k] !== "") provenance[k] = { source: "crossref", retrieved_at: cr.retrieved_at, was: corrected[k] ?? null };
+  }
+  return {
+    enriched: { crossref: cr.retrieved_at || "" },
+    provenance,
+    fix: (k, scraped) => (k in provenance ? cr[k] : scraped),
+    cr: ok ? cr : {},
+  };
+}
+
+// The `openalex` block (enrich_pubs.mjs --citations openalex) wins over Crossref's is-referenced-by-count
+function citedByOf(r, cr) {
+  const oa = isObj(r.openalex) && r.openalex.status === "ok" ? r.openalex : null;
+  if (Number.isFinite(oa?.cited_by_count)) return { count: oa.cited_by_count, source: "openalex", retrieved_at: oa.retrieved_at };
+  if (Number.isFinite(cr.referenced_by_count)) return { count: cr.referenced_by_count, source: "crossref", retrieved_at: cr.retrieved_at };
+  return null;
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Adapters
+ * -------------------------------------------------------------------- */
+// scripts/scrape_faculty_pubs.mjs output (public/data/faculty_pubs.json)
+const scraperAdapter = {
+  name: "scraper",
+  known: ["index", "id", "key", "authors", "title", "journal", "year", "month", "date_text", "doi", "link", "tail",
+    "first_seen", "removed_at", "url", "venue", "subjects", "type", "format", "orcids", "issn", "crossref", "openalex", "unpaywall"],
+  // records the merge step flagged as gone from the source stay in the file for the changelog only
+  unwrap: (json) => rowsOf(json).filter(r => !r?.removed_at),
+  detect: (json) => share(rowsOf(json), r => "tail" in r || ("journal" in r && Array.isArray(r.authors))),
+  map: (r) => {
+    const { enriched, provenance, fix, cr } = crossrefOf(r);
+    return {
+      id: r.id ?? null,
+      title: str(fix("title", r.title)),
+      venue: fix("venue", first(r.journal, r.venue)),
+      authors: Array.isArray(r.authors) ? r.authors : [],
+      subjects: r.subjects?.length ? r.subjects : cr.subjects ?? [],
+      type: first(r.type, cr.type),
+      format: str(r.format),
+      year: fix("year", r.year ?? null),
+      month: fix("month", r.month ?? null),
+      date_text: str(r.date_text),
+      doi: doiFrom(r.doi, r.link, r.url),
+      url: first(r.link, r.url),
+      tail: str(r.tail),
+      volume: str(cr.volume) || null,
+      issue: str(cr.issue) || null,
+      pages: str(cr.pages) || null,
+      articleNumber: str(cr.article_number) || null,
+      orcids: isObj(r.orcids) ? r.orcids : {},
+      issn: issnsOf(r.issn ?? [], cr.issn ?? []),
+      enriched: {
+        ...enriched,
+        ...(isObj(r.openalex) && { openalex: r.openalex.retrieved_at || "" }),
+        ...(isObj(r.unpaywall) && { unpaywall: r.unpaywall.retrieved_at || "" }),
+      },
+      provenance,
+      abstract: jatsToText(cr.abstract),
+      funders: fundersOf(cr.funders),
+      license: pickLicense(cr.licenses),
+      dates: { issued: cr.issued ?? null, published_print: cr.published_print ?? null, published_online: cr.published_online ?? null },
+      citedBy: citedByOf(r, cr),
+      oa: oaFromUnpaywall(isObj(r.unpaywall) ? r.unpaywall : null),
+    };
+  },
+};
+
+// Crossref REST works: { message: { items:[…] } }, { message:{…} } or a bare array of works
+const crossrefAdapter = {
+  name: "crossref",
+  known: ["DOI", "URL", "title", "container-title", "short-container-title", "author", "issued", "published-print",
+    "published-online", "published", "created", "deposited", "indexed", "volume", "issue", "page", "article-number",
+    "subject", "type", "reference-count", "references-count", "is-referenced-by-count", "publisher", "member",
+    "prefix", "source", "score", "link", "resource", "content-domain", "ISSN", "issn-type", "language",
+    "journal-issue", "relation", "abstract", "funder", "license"],
+  unwrap: (json) => (Array.isArray(json) ? json : Array.isArray(json?.message?.items) ? json.message.items : isObj(json?.message) ? [json.message] : []),
+  detect: (json) => {
+    const list = crossrefAdapter.unwrap(json);
+    return share(list, r => "DOI" in r && (Array.isArray(r.title) || Array.isArray(r["container-title"])));
+  },
+  map: (r) => ({
+    id: null,
+    title: str(r.title),
+    venue: first(r["container-title"], r["short-container-title"]),
+    authors: (r.author || []).map(bylineName).filter(Boolean),
+    subjects: Array.isArray(r.subject) ? r.subject : [],
+    type: str(r.type),
+    format: "",
+    ...fromDateParts(r["published-print"], r.issued, r["published-online"], r.published, r.created),
+    doi: doiFrom(r.DOI),
+    url: first(r.URL),
+    tail: "",
+    volume: str(r.volume) || null,
+    issue: str(r.issue) || null,
+    pages: str(r.page) || null,
+    articleNumber: str(r["article-number"]) || null,
+    orcids: orcidsOf(r.author),
+    issn: issnsOf(r.ISSN ?? []),
+    abstract: jatsToText(r.abstract),
+    funders: fundersOf(r.funder),
+    license: pickLicense(r.license),
+    dates: { issued: crossrefDate(r.issued), published_print: crossrefDate(r["published-print"]), published_online: crossrefDate(r["published-online"]) },
+    citedBy: Number.isFinite(r["is-referenced-by-count"])
+      ? { count: r["is-referenced-by-count"], source: "crossref", retrieved_at: r.indexed?.["date-time"] || null } : null,
+  }),
+};
+
+// NCBI esummary (db=pubmed, retmode=json): { result: { uids:[…], "<uid>": {…} } } or a bare array of docsums
+const PUBMED_DATE_RE = /^((?:19|20)\d{2})(?:\s+([A-Za-z]{3}))?/;
+const PUBMED_MONTHS = { jan:1, feb:2, mar:3, apr:4, may:5, jun:6, jul:7, aug:8, sep:9, oct:10, nov:11, dec:12 };
+const pubmedAdapter = {
+  name: "pubmed",
+  known: ["uid", "pubdate", "epubdate", "sortpubdate", "source", "fulljournalname", "title", "authors", "lastauthor",
+    "sortfirstauthor", "volume", "issue", "pages", "elocationid", "articleids", "pubtype", "lang", "issn", "essn",
+    "nlmuniqueid", "pubstatus", "recordstatus", "history", "references", "attributes", "pmcrefcount", "doctype",
+    "availablefromurl", "bookname", "booktitle", "medium", "edition", "publisherlocation", "publishername",
+    "srcdate", "reportnumber", "locationlabel", "doccontriblist", "docdate", "chapter", "vernaculartitle", "viewcount"],
+  unwrap: (json) => {
+    if (Array.isArray(json)) return json;
+    const res = json?.result;
+    return Array.isArray(res?.uids) ? res.uids.map(u => res[u]).filter(isObj) : [];
+  },
+  detect: (json) => share(pubmedAdapter.unwrap(json), r => "uid" in r && ("pubdate" in r || "fulljournalname" in r)),
+  map: (r) => {
+    const date_text = first(r.pubdate, r.epubdate);
+    const dm = date_text.match(PUBMED_DATE_RE);
+    const ids = Array.isArray(r.articleids) ? r.articleids : [];
+    const doi = doiFrom(ids.find(x => x?.idtype === "doi")?.value, r.elocationid);
+    const elocIsArticle = r.elocationid && !/^doi:/i.test(str(r.elocationid));
+    return {
+      id: null,
+      title: str(r.title).replace(/\.$/, ""),
+      venue: first(r.fulljournalname, r.source),
+      authors: (r.authors || []).filter(a => !a?.authtype || a.authtype === "Author").map(a => str(a?.name)).filter(Boolean),
+      subjects: [],
+      type: str(r.pubtype),
+      format: "",
+      year: dm ? Number(dm[1]) : null,
+      month: dm?.[2] ? PUBMED_MONTHS[dm[2].toLowerCase()] ?? null : null,
+      date_text,
+      doi,
+      url: r.uid ? `https://pubmed.ncbi.nlm.nih.gov/${r.uid}/` : "",
+      tail: "",
+      volume: str(r.volume) || null,
+      issue: str(r.issue) || null,
+      pages: str(r.pages) || null,
+      articleNumber: elocIsArticle ? str(r.elocationid).replace(/^pii:\s*/i, "") : null,
+      orcids: {},
+      issn: issnsOf(r.issn ?? "", r.essn ?? ""),
+    };
+  },
+};
+
+// CSL-JSON (Zotero / citeproc): array of items with string titles and date-parts
+const cslAdapter = {
+  name: "csl",
+  known: ["id", "type", "title", "container-title", "container-title-short", "journalAbbreviation", "author", "editor",
+    "issued", "accessed", "DOI", "URL", "volume", "issue", "page", "number", "keyword", "abstract", "publisher",
+    "publisher-place", "ISSN", "ISBN", "language", "source", "note", "citation-key", "PMID", "PMCID"],
+  unwrap: rowsOf,
+  detect: (json) => share(rowsOf(json), r => typeof r.title === "string" && ("issued" in r || "container-title" in r) && "type" in r),
+  map: (r) => ({
+    id: null,
+    title: str(r.title),
+    venue: first(r["container-title"], r.journalAbbreviation, r["container-title-short"]),
+    authors: (r.author || []).map(bylineName).filter(Boolean),
+    subjects: str(r.keyword) ? str(r.keyword).split(/\s*[,;]\s*/) : [],
+    type: str(r.type),
+    format: "",
+    ...fromDateParts(r.issued),
+    doi: doiFrom(r.DOI, r.URL),
+    url: first(r.URL),
+    tail: "",
+    volume: str(r.volume) || null,
+    issue: str(r.issue) || null,
+    pages: str(r.page) || null,
+    articleNumber: str(r.number) || null,
+    orcids: orcidsOf(r.author),
+    issn: issnsOf(r.ISSN ?? []),
+    abstract: jatsToText(r.abstract),
+  }),
+};
+
+export const ADAPTERS = [scraperAdapter, crossrefAdapter, pubmedAdapter, cslAdapter];
+
+/* ----------------------------------------------------------------------
+ * 4) Detection + normalization
+ * -------------------------------------------------------------------- */
+export function detectAdapter(json) {
+  let best = null, bestScore = 0;
+  for (const a of ADAPTERS) {
+    const score = a.detect(json);
+    if (score > bestScore) { best = a; bestScore = score; }
+  }
+  return bestScore >= 0.5 ? best : null;
+}
+
+export function normalizeSource(json, { adapter: forced } = {}) {
+  const adapter = forced ? ADAPTERS.find(a => a.name === forced) : detectAdapter(json);
+  if (!adapter) return { adapter: null, records: [], unmapped: {} };
+
+  const known = new Set(adapter.known);
+  const unmapped = {};
+  const records = adapter.unwrap(json).filter(isObj).map(r => {
+    for (const k of Object.keys(r)) if (!known.has(k)) unmapped[k] = (unmapped[k] || 0) + 1;
+    return { ...adapter.map(r), source: adapter.name };
+  });
+  return { adapter: adapter.name, records, unmapped };
+}
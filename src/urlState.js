@@ -0,0 +1,142 @@
+// src/urlState.js
+// Filter state <-> query string, so any dashboard view can be shared as a link.
+// Call: parseFilterQuery(location.search, { minYear, maxYear }) -> filter state (invalid params dropped)
+//       serializeFilterQuery(state) -> "?years=2020-2024&author=knight-jc&author=wang-pp&author_mode=all" ("" when unfiltered)
+// Multi-select facets (year, author, subject, topic, venue, type, funder, license, oa) repeat their param once per selected value.
+// Authors are canonical person ids (see authorIdentity.js); bylines from older links are mapped on load.
+// ?dedupe=1 counts each duplicate/version cluster once (see duplicateDetect.js).
+// ?person=<id> opens that author's profile page. Ids come from curated ids or the canonical name key, not the most
+// printed byline, so they survive data updates and faculty pages can link to them; ids from older links are mapped on load.
+// ?view=quality opens the data quality report.
+// Only the query string is touched, so links keep whatever path the app is served from (BASE_URL).
+
+import { OA_STATUSES, OA_UNKNOWN } from "./openAccess.js";
+
+/* ----------------------------------------------------------------------
+ * 1) Defaults & params
+ * -------------------------------------------------------------------- */
+export const DEFAULT_FILTERS = {
+  q: "",
+  yearSel: [],
+  monthSel: null,
+  yearRange: null,
+  authorSel: [],
+  authorMode: "any", // "any" = papers by any selected author, "all" = co-authored by all of them
+  subjectSel: [],
+  topicSel: [],
+  venueSel: [],   // canonical venue names (see venueNormalize.js)
+  typeSel: [],    // Crossref work types ("journal-article")
+  funderSel: [],  // funder names
+  licenseSel: [], // license labels ("CC BY 4.0", see crossrefMeta.js)
+  oaSel: [],      // open-access statuses ("gold", "green", … "unknown", see openAccess.js)
+  dedupe: false,  // count each duplicate / preprint / correction cluster once
+  page: 0,
+  sortMode: "",   // "" = dataset order, "relevance" = ranked by the search index, "citations" = most cited first
+  profileId: null, // person id whose profile page is open
+  view: null,      // "quality" = data quality report
+};
+
+// state key -> query param; order here is the order params appear in the URL
+const PARAMS = [
+  ["profileId", "person"],
+  ["view", "view"],
+  ["q", "q"],
+  ["yearSel", "year"],
+  ["yearRange", "years"],
+  ["monthSel", "month"],
+  ["authorSel", "author"],
+  ["authorMode", "author_mode"],
+  ["subjectSel", "subject"],
+  ["topicSel", "topic"],
+  ["venueSel", "venue"],
+  ["typeSel", "type"],
+  ["funderSel", "funder"],
+  ["licenseSel", "license"],
+  ["oaSel", "oa"],
+  ["dedupe", "dedupe"],
+  ["page", "page"],
+  ["sortMode", "sort"],
+];
+
+const MAX_TEXT = 200;
+const OA_VALUES = [...OA_STATUSES, OA_UNKNOWN];
+
+/* ----------------------------------------------------------------------
+ * 2) Parse
+ * -------------------------------------------------------------------- */
+function intIn(raw, lo, hi) {
+  if (!/^\d{1,4}$/.test(String(raw ?? "").trim())) return null;
+  const n = Number(raw);
+  return n >= lo && n <= hi ? n : null;
+}
+
+const text = (raw) => String(raw ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_TEXT);
+const MAX_VALUES = 50;
+const unique = (list) => [...new Set(list)].slice(0, MAX_VALUES);
+const texts = (p, name) => unique(p.getAll(name).map(text).filter(Boolean));
+
+export function parseFilterQuery(search = "", { minYear = 1900, maxYear = new Date().getFullYear() + 1 } = {}) {
+  const p = new URLSearchParams(search);
+  const out = { ...DEFAULT_FILTERS };
+
+  out.q = String(p.get("q") ?? "").slice(0, MAX_TEXT);
+  // year=2019&year=2021 (or year=2019,2021): a set of years, not necessarily contiguous
+  out.yearSel = unique(p.getAll("year").flatMap(v => v.split(","))
+    .map(v => intIn(v, minYear, maxYear)).filter(v => v != null)).sort((a, b) => a - b);
+  out.monthSel = intIn(p.get("month"), 1, 12);
+
+  // "2020-2024" (reversed bounds are swapped, a single year collapses to year=)
+  const m = String(p.get("years") ?? "").match(/^\s*(\d{4})\s*[-\u2013:]\s*(\d{4})\s*$/);
+  if (m && !out.yearSel.length) {
+    const a = intIn(m[1], minYear, maxYear), b = intIn(m[2], minYear, maxYear);
+    if (a != null && b != null) {
+      if (a === b) out.yearSel = [a];
+      else out.yearRange = { from: Math.min(a, b), to: Math.max(a, b) };
+    }
+  }
+
+  out.authorSel = texts(p, "author");
+  out.authorMode = p.get("author_mode") === "all" ? "all" : "any";
+  out.subjectSel = texts(p, "subject");
+  out.topicSel = texts(p, "topic");
+  out.venueSel = texts(p, "venue");
+  out.typeSel = texts(p, "type");
+  out.funderSel = texts(p, "funder");
+  out.licenseSel = texts(p, "license");
+  out.oaSel = texts(p, "oa").map(v => v.toLowerCase()).filter(v => OA_VALUES.includes(v));
+  out.dedupe = p.get("dedupe") === "1";
+
+  const page = intIn(p.get("page"), 1, 9999);
+  out.page = page ? page - 1 : 0; // 1-based in the URL
+  out.sortMode = ["relevance", "citations"].includes(p.get("sort")) ? p.get("sort") : "";
+  out.profileId = text(p.get("person")) || null;
+  out.view = p.get("view") === "quality" ? "quality" : null;
+  return out;
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Serialize
+ * -------------------------------------------------------------------- */
+export function serializeFilterQuery(state = {}) {
+  const p = new URLSearchParams();
+  for (const [key, param] of PARAMS) {
+    const v = state[key];
+    if (v == null || v === "" || (key === "page" && !v)) continue;
+    if (key === "q" && !String(v).trim()) continue;
+    if (key === "authorMode" && (v === "any" || (state.authorSel || []).length < 2)) continue;
+    if (key === "dedupe") { if (v) p.set(param, "1"); continue; }
+    if (Array.isArray(v)) v.forEach(x => p.append(param, String(x)));
+    else if (key === "yearRange") p.set(param, `${v.from}-${v.to}`);
+    else if (key === "page") p.set(param, String(v + 1));
+    else p.set(param, String(v));
+  }
+  const s = p.toString();
+  return s ? `?${s}` : "";
+}
+
+// True when two states differ, and only in the given keys (used to coalesce typing or brush drags
+// into a single history entry)
+export function changedOnly(a = {}, b = {}, keys = []) {
+  const strip = (s) => serializeFilterQuery({ ...s, ...Object.fromEntries(keys.map(k => [k, DEFAULT_FILTERS[k]])) });
+  return serializeFilterQuery(a) !== serializeFilterQuery(b) && strip(a) === strip(b);
+}
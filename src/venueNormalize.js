@@ -0,0 +1,140 @@
+// src/venueNormalize.js
+// Canonical journal names for the Top Venues panel, the venue facet and the Venues KPI.
+// Call: const venues = buildVenueIndex(rows)          // once per row set
+//       venues.canonOf(row) -> "CMAJ Open"            // "" when the row has no venue
+//       venues.names -> Map(canonical -> { name, count, variants:[{ name, count }] })
+// Matching, in order: ISSN (row.issn) or exact name/alias from journalTable.js; an NLM-style abbreviation of a
+// table entry ("Can J Public Health"); then, among the remaining names in the data, abbreviations of one
+// another and one- or two-letter typos. Keys ignore case, accents, punctuation, "&"/"and", a leading "The",
+// parenthesised qualifiers and trailing volume numbers. The table keeps look-alikes apart ("CMAJ" vs "CMAJ Open").
+// Rows keep their printed venue for the table and citations.
+
+import { JOURNALS } from "./journalTable.js";
+import { editDistance } from "./searchIndex.js";
+
+/* ----------------------------------------------------------------------
+ * 1) Keys
+ * -------------------------------------------------------------------- */
+const fold = (s) => String(s ?? "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+
+const VOLUME_SUFFIX = /,?\s*vol(ume)?\.?\s*\d+\s*$/i;
+
+export function venueKey(name = "") {
+  return fold(name).toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(VOLUME_SUFFIX, "")
+    .replace(/&/g, " and ")
+    .replace(/['\u2019]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/^the /, "");
+}
+
+const STOP = new Set(["of", "the", "and", "in", "for", "on", "de", "la", "le", "et", "des", "du", "a"]);
+const words = (key) => key.split(" ").filter(w => w && !STOP.has(w));
+
+// "can j public health" abbreviates "canadian journal of public health": same number of significant words,
+// each a prefix of its counterpart, at least one actually shortened
+function abbreviates(shortKey, longKey, s = words(shortKey), l = words(longKey)) {
+  if (s.length < 2 || s.length !== l.length) return false;
+  let shortened = false;
+  for (let i = 0; i < s.length; i++) {
+    if (!l[i].startsWith(s[i])) return false;
+    if (s[i].length < l[i].length) shortened = true;
+  }
+  return shortened;
+}
+
+const typoBudget = (len) => (len >= 24 ? 2 : len >= 10 ? 1 : 0);
+
+const normIssn = (v) => (String(v ?? "").toUpperCase().match(/\d{4}-?\d{3}[\dX]/)?.[0] || "").replace(/^(\d{4})(\d)/, "$1-$2");
+
+/* ----------------------------------------------------------------------
+ * 2) Table lookup
+ * -------------------------------------------------------------------- */
+function tableIndex(table) {
+  const byKey = new Map(), byIssn = new Map();
+  for (const j of table) {
+    for (const n of [j.name, ...(j.aliases || [])]) { const k = venueKey(n); if (k && !byKey.has(k)) byKey.set(k, j.name); }
+    for (const i of j.issn || []) byIssn.set(normIssn(i), j.name);
+  }
+  const wordsOf = new Map([...byKey.keys()].map(k => [k, words(k)]));
+  const lookup = (key, issns = []) => {
+    for (const i of issns) { const hit = byIssn.get(normIssn(i)); if (hit) return hit; }
+    if (byKey.has(key)) return byKey.get(key);
+    const hits = new Set(), w = words(key);
+    for (const [k, name] of byKey) if (abbreviates(key, k, w, wordsOf.get(k))) hits.add(name);
+    return hits.size === 1 ? [...hits][0] : null;
+  };
+  return { lookup };
+}
+
+/* ----------------------------------------------------------------------
+ * 3) Build
+ * -------------------------------------------------------------------- */
+export function buildVenueIndex(rows = [], { table = JOURNALS } = {}) {
+  const { lookup } = tableIndex(table);
+  const raws = new Map(); // printed venue -> { count, issn: Set }
+  for (const r of rows) {
+    const v = String(r.venue ?? "").replace(/\s+/g, " ").trim();
+    if (!v) continue;
+    const e = raws.get(v) || { count: 0, issn: new Set() };
+    e.count++;
+    for (const i of r.issn || []) e.issn.add(i);
+    raws.set(v, e);
+  }
+
+  const canonOfRaw = new Map();
+  const groups = new Map(); // key of unmatched names -> { key, raws: [[raw, count]], count }
+  for (const [raw, e] of raws) {
+    const key = venueKey(raw);
+    const hit = key && lookup(key, [...e.issn]);
+    if (hit) { canonOfRaw.set(raw, hit); continue; }
+    const g = groups.get(key) || { key, raws: [], count: 0 };
+    g.raws.push([raw, e.count]); g.count += e.count;
+    groups.set(key, g);
+  }
+
+  // fold unmatched keys into a unique longer form they abbreviate, or into a near-identical, more common key
+  const target = new Map(); // key -> key it merges into
+  const keys = [...groups.values()].sort((a, b) => b.count - a.count || a.key.localeCompare(b.key)).map(g => g.key);
+  const wordsOf = new Map(keys.map(k => [k, words(k)]));
+  keys.forEach((k, i) => {
+    if (!k) return;
+    const w = wordsOf.get(k);
+    const longer = keys.filter(o => o && o !== k && abbreviates(k, o, w, wordsOf.get(o)));
+    if (longer.length === 1) { target.set(k, longer[0]); return; }
+    const budget = typoBudget(k.length);
+    if (!budget) return;
+    // only earlier (at least as common) keys with the same first letter that stay put themselves
+    const near = keys.slice(0, i).find(o => o && o[0] === k[0] && !target.has(o) && editDistance(k, o, budget) <= budget);
+    if (near) target.set(k, near);
+  });
+  const rootOf = (k) => { const seen = new Set(); while (target.has(k) && !seen.has(k)) { seen.add(k); k = target.get(k); } return k; };
+
+  const merged = new Map(); // root key -> [[raw, count]]
+  for (const g of groups.values()) {
+    const root = rootOf(g.key);
+    if (!merged.has(root)) merged.set(root, []);
+    merged.get(root).push(...g.raws);
+  }
+  for (const list of merged.values()) {
+    // the most common printing (then the least abbreviated, then the most capitalised: "PLoS" over "Plos")
+    // names the group, without a volume number
+    const caps = (s) => s.replace(/[^A-Z]/g, "").length;
+    const best = [...list].sort((a, b) => b[1] - a[1] || b[0].length - a[0].length || caps(b[0]) - caps(a[0]) || a[0].localeCompare(b[0]))[0][0];
+    for (const [raw] of list) canonOfRaw.set(raw, best.replace(VOLUME_SUFFIX, ""));
+  }
+
+  const names = new Map();
+  for (const [raw, e] of raws) {
+    const name = canonOfRaw.get(raw);
+    const n = names.get(name) || { name, count: 0, variants: [] };
+    n.count += e.count; n.variants.push({ name: raw, count: e.count });
+    names.set(name, n);
+  }
+  for (const n of names.values()) n.variants.sort((a, b) => b.count - a.count);
+
+  const canonOf = (row) => canonOfRaw.get(String(row?.venue ?? "").replace(/\s+/g, " ").trim()) || "";
+  return { canonOf, names };
+}